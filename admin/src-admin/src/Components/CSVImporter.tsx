@@ -1,5 +1,5 @@
 import * as React from 'react';
-import { useState, useCallback } from 'react';
+import { useState, useCallback, useEffect } from 'react';
 import { useDropzone } from 'react-dropzone';
 import {
     Box,
@@ -17,6 +17,11 @@ import {
     Fade,
     IconButton,
     Tooltip,
+    Table,
+    TableHead,
+    TableBody,
+    TableRow,
+    TableCell,
 } from '@mui/material';
 import CloudUploadIcon from '@mui/icons-material/CloudUpload';
 import CheckCircleIcon from '@mui/icons-material/CheckCircle';
@@ -36,9 +41,75 @@ const CSVImporter: React.FC<CSVImporterProps> = ({ socket, instance, adapterName
     const [file, setFile] = useState<File | null>(null);
     const [loading, setLoading] = useState(false);
     const [result, setResult] = useState<any>(null);
+    const [preview, setPreview] = useState<any>(null);
     const [error, setError] = useState<string | null>(null);
     const [type, setType] = useState('gas');
     const [meterName, setMeterName] = useState('');
+    const [mode, setMode] = useState('auto');
+    const [profile, setProfile] = useState('generic');
+    const [imports, setImports] = useState<any[]>([]);
+    const [profiles, setProfiles] = useState<{ value: string; label: string }[]>([
+        { value: 'generic', label: 'Automatisch erkennen' },
+    ]);
+
+    // Load built-in and user defined import profiles from the adapter
+    useEffect(() => {
+        if (!socket) {
+            return;
+        }
+        socket
+            .sendTo(`${adapterName}.${instance}`, 'getImportProfiles', {})
+            .then((response: any) => {
+                if (Array.isArray(response) && response.length > 0) {
+                    setProfiles(response);
+                }
+            })
+            .catch(() => {
+                // Adapter not running: keep automatic detection
+            });
+    }, [socket, adapterName, instance]);
+
+    // Load the import journal (imports that can be reverted)
+    const loadImports = useCallback(() => {
+        if (!socket) {
+            return;
+        }
+        socket
+            .sendTo(`${adapterName}.${instance}`, 'listImports', {})
+            .then((response: any) => {
+                if (Array.isArray(response)) {
+                    setImports(response);
+                }
+            })
+            .catch(() => {
+                // Adapter not running: no journal available
+            });
+    }, [socket, adapterName, instance]);
+
+    useEffect(() => {
+        loadImports();
+    }, [loadImports]);
+
+    const handleRevert = async (id: string) => {
+        if (!socket) {
+            return;
+        }
+        setLoading(true);
+        setError(null);
+        try {
+            const response = await socket.sendTo(`${adapterName}.${instance}`, 'revertImport', { id });
+            if (response && response.error) {
+                setError(response.error);
+            } else {
+                setResult(null);
+            }
+        } catch (sendError: any) {
+            setError(`Kommunikationsfehler: ${sendError.message}`);
+        } finally {
+            setLoading(false);
+            loadImports();
+        }
+    };
 
     // Theme-specific colors for utility types
     const getTypeColor = () => {
@@ -63,6 +134,7 @@ const CSVImporter: React.FC<CSVImporterProps> = ({ socket, instance, adapterName
             setFile(acceptedFiles[acceptedFiles.length - 1]);
             setError(null);
             setResult(null);
+            setPreview(null);
         }
     }, []);
 
@@ -75,7 +147,7 @@ const CSVImporter: React.FC<CSVImporterProps> = ({ socket, instance, adapterName
         maxFiles: 1,
     });
 
-    const handleUpload = async () => {
+    const sendFile = async (command: 'importCSV' | 'previewImportCSV') => {
         if (!file || !socket) {
             return;
         }
@@ -101,19 +173,25 @@ const CSVImporter: React.FC<CSVImporterProps> = ({ socket, instance, adapterName
                 const content = e.target?.result as string;
 
                 try {
-                    const response = await socket.sendTo(`${adapterName}.${instance}`, 'importCSV', {
+                    const response = await socket.sendTo(`${adapterName}.${instance}`, command, {
                         type,
                         meterName: finalMeterName,
                         content,
-                        format: 'generic',
+                        format: profile,
+                        mode,
+                        fileName: file.name,
                     });
 
                     if (response && response.error) {
                         setError(response.error);
+                    } else if (command === 'previewImportCSV') {
+                        setPreview(response);
                     } else {
                         setResult(response);
+                        setPreview(null);
                         setFile(null);
                         setMeterName('');
+                        loadImports();
                     }
                 } catch (sendError: any) {
                     setError(`Kommunikationsfehler: ${sendError.message}`);
@@ -128,6 +206,9 @@ const CSVImporter: React.FC<CSVImporterProps> = ({ socket, instance, adapterName
         }
     };
 
+    const handlePreview = () => sendFile('previewImportCSV');
+    const handleUpload = () => sendFile('importCSV');
+
     return (
         <Fade
             in={true}
@@ -231,6 +312,55 @@ const CSVImporter: React.FC<CSVImporterProps> = ({ socket, instance, adapterName
                                 sx={{ '& .MuiOutlinedInput-root': { borderRadius: 2 } }}
                             />
                         </Grid>
+                        <Grid
+                            item
+                            xs={12}
+                            sm={6}
+                        >
+                            <FormControl
+                                fullWidth
+                                size="small"
+                            >
+                                <InputLabel>Import-Profil</InputLabel>
+                                <Select
+                                    value={profile}
+                                    label="Import-Profil"
+                                    onChange={e => setProfile(e.target.value)}
+                                    sx={{ borderRadius: 2 }}
+                                >
+                                    {profiles.map(p => (
+                                        <MenuItem
+                                            key={p.value}
+                                            value={p.value}
+                                        >
+                                            {p.label}
+                                        </MenuItem>
+                                    ))}
+                                </Select>
+                            </FormControl>
+                        </Grid>
+                        <Grid
+                            item
+                            xs={12}
+                            sm={6}
+                        >
+                            <FormControl
+                                fullWidth
+                                size="small"
+                            >
+                                <InputLabel>Werte in der Datei</InputLabel>
+                                <Select
+                                    value={mode}
+                                    label="Werte in der Datei"
+                                    onChange={e => setMode(e.target.value)}
+                                    sx={{ borderRadius: 2 }}
+                                >
+                                    <MenuItem value="auto">Wie im Profil / automatisch</MenuItem>
+                                    <MenuItem value="consumption">Verbrauchswerte</MenuItem>
+                                    <MenuItem value="cumulative">Zählerstände</MenuItem>
+                                </Select>
+                            </FormControl>
+                        </Grid>
                     </Grid>
                 </Paper>
 
@@ -299,7 +429,22 @@ const CSVImporter: React.FC<CSVImporterProps> = ({ socket, instance, adapterName
                     )}
                 </Box>
 
-                <Box sx={{ mt: 4, display: 'flex', justifyContent: 'center' }}>
+                <Box sx={{ mt: 4, display: 'flex', justifyContent: 'center', gap: 2 }}>
+                    <Button
+                        variant="outlined"
+                        onClick={handlePreview}
+                        disabled={!file || loading}
+                        sx={{
+                            px: 4,
+                            py: 1.5,
+                            borderRadius: 10,
+                            fontWeight: 700,
+                            textTransform: 'none',
+                            fontSize: '1.1rem',
+                        }}
+                    >
+                        Vorschau
+                    </Button>
                     <Button
                         variant="contained"
                         onClick={handleUpload}
@@ -333,6 +478,98 @@ const CSVImporter: React.FC<CSVImporterProps> = ({ socket, instance, adapterName
                     </Button>
                 </Box>
 
+                {preview && (
+                    <Paper
+                        elevation={0}
+                        sx={{ mt: 3, p: 3, borderRadius: 3, border: '1px solid', borderColor: 'divider' }}
+                    >
+                        <Typography
+                            variant="subtitle1"
+                            sx={{ fontWeight: 700, mb: 1 }}
+                        >
+                            Vorschau (es wurde noch nichts gespeichert)
+                        </Typography>
+                        <Typography variant="body2">
+                            Profil: <b>{preview.profile}</b> · Trennzeichen: <b>{preview.separator}</b> · Datum:{' '}
+                            <b>{preview.columns.date.header}</b> · Wert: <b>{preview.columns.value.header}</b> · Werte
+                            als: <b>{preview.mode === 'cumulative' ? 'Zählerstände' : 'Verbrauchswerte'}</b>
+                        </Typography>
+                        <Typography variant="body2">
+                            <b>{preview.count}</b> gültige Zeilen ({preview.first} bis {preview.last}),{' '}
+                            <b>{preview.rejectedCount}</b> verworfen
+                            {preview.updatesCurrentPeriods
+                                ? ' · laufende Zeiträume des Zählers werden aktualisiert'
+                                : ''}
+                        </Typography>
+
+                        {preview.years.length > 0 && (
+                            <Table
+                                size="small"
+                                sx={{ mt: 2 }}
+                            >
+                                <TableHead>
+                                    <TableRow>
+                                        <TableCell>Jahr</TableCell>
+                                        <TableCell align="right">Verbrauch</TableCell>
+                                        <TableCell align="right">Kosten (€)</TableCell>
+                                        <TableCell align="right">Monate</TableCell>
+                                    </TableRow>
+                                </TableHead>
+                                <TableBody>
+                                    {preview.years.map((y: any) => (
+                                        <TableRow key={y.year}>
+                                            <TableCell>{y.year}</TableCell>
+                                            <TableCell align="right">{y.consumption}</TableCell>
+                                            <TableCell align="right">{y.costs}</TableCell>
+                                            <TableCell align="right">{y.months}</TableCell>
+                                        </TableRow>
+                                    ))}
+                                </TableBody>
+                            </Table>
+                        )}
+
+                        {preview.rows.length > 0 && (
+                            <Table
+                                size="small"
+                                sx={{ mt: 2 }}
+                            >
+                                <TableHead>
+                                    <TableRow>
+                                        <TableCell>Zeile</TableCell>
+                                        <TableCell>Datum</TableCell>
+                                        <TableCell align="right">Wert</TableCell>
+                                    </TableRow>
+                                </TableHead>
+                                <TableBody>
+                                    {preview.rows.map((row: any) => (
+                                        <TableRow key={row.line}>
+                                            <TableCell>{row.line}</TableCell>
+                                            <TableCell>{new Date(row.date).toLocaleString('de-DE')}</TableCell>
+                                            <TableCell align="right">{row.value}</TableCell>
+                                        </TableRow>
+                                    ))}
+                                </TableBody>
+                            </Table>
+                        )}
+
+                        {preview.rejected.length > 0 && (
+                            <Alert
+                                severity="warning"
+                                sx={{ mt: 2, borderRadius: 2 }}
+                            >
+                                {preview.rejected.map((r: any) => (
+                                    <Typography
+                                        key={`${r.line}-${r.reason}`}
+                                        variant="body2"
+                                    >
+                                        Zeile {r.line}: {r.reason}
+                                    </Typography>
+                                ))}
+                            </Alert>
+                        )}
+                    </Paper>
+                )}
+
                 {error && (
                     <Alert
                         severity="error"
@@ -359,11 +596,69 @@ const CSVImporter: React.FC<CSVImporterProps> = ({ socket, instance, adapterName
                             </Typography>
                             <Typography variant="body2">
                                 <b>{result.count}</b> Datensätze von <b>{result.first}</b> bis <b>{result.last}</b>{' '}
-                                wurden verarbeitet.
+                                wurden als {result.mode === 'cumulative' ? 'Zählerstände' : 'Verbrauchswerte'}{' '}
+                                verarbeitet.
                             </Typography>
                         </Alert>
                     </Fade>
                 )}
+
+                {imports.length > 0 && (
+                    <Paper
+                        elevation={0}
+                        sx={{ mt: 3, p: 3, borderRadius: 3, border: '1px solid', borderColor: 'divider' }}
+                    >
+                        <Typography
+                            variant="subtitle1"
+                            sx={{ fontWeight: 700, mb: 1 }}
+                        >
+                            Letzte Importe
+                        </Typography>
+                        <Table size="small">
+                            <TableHead>
+                                <TableRow>
+                                    <TableCell>Zeitpunkt</TableCell>
+                                    <TableCell>Zähler</TableCell>
+                                    <TableCell>Datei</TableCell>
+                                    <TableCell align="right">Datensätze</TableCell>
+                                    <TableCell align="right" />
+                                </TableRow>
+                            </TableHead>
+                            <TableBody>
+                                {imports.map((entry: any) => (
+                                    <TableRow key={entry.id}>
+                                        <TableCell>{new Date(entry.timestamp).toLocaleString('de-DE')}</TableCell>
+                                        <TableCell>
+                                            {entry.type}.{entry.meterName}
+                                        </TableCell>
+                                        <TableCell>{entry.fileName || '-'}</TableCell>
+                                        <TableCell align="right">{entry.count}</TableCell>
+                                        <TableCell align="right">
+                                            {entry.reverted ? (
+                                                <Typography
+                                                    variant="body2"
+                                                    color="text.secondary"
+                                                >
+                                                    rückgängig gemacht
+                                                </Typography>
+                                            ) : (
+                                                <Button
+                                                    size="small"
+                                                    color="warning"
+                                                    disabled={loading}
+                                                    onClick={() => handleRevert(entry.id)}
+                                                    sx={{ textTransform: 'none' }}
+                                                >
+                                                    Rückgängig
+                                                </Button>
+                                            )}
+                                        </TableCell>
+                                    </TableRow>
+                                ))}
+                            </TableBody>
+                        </Table>
+                    </Paper>
+                )}
             </Box>
         </Fade>
     );
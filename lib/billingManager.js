@@ -3,6 +3,15 @@
 const calculator = require('./calculator');
 const { getConfigType } = require('./utils/typeMapper');
 const billingHelper = require('./utils/billingHelper');
+const tariffHelper = require('./utils/tariffHelper');
+const consumptionHelper = require('./utils/consumptionHelper');
+const { parseConfigNumber } = require('./configParser');
+const stateManager = require('./stateManager');
+
+/**
+ * Default tolerance between the read and the tracked consumption of a billing period (percent)
+ */
+const DEFAULT_BILLING_TOLERANCE = 5;
 
 /**
  * BillingManager handles all cost calculations,
@@ -423,6 +432,13 @@ class BillingManager {
             return;
         }
 
+        // Official consumption from the meter readings, compared with the tracked consumption
+        const readings = await this._validatePeriodReadings(type, meter, endReading);
+        if (!readings) {
+            await this.adapter.setStateAsync(`${basePath}.billing.closePeriod`, false, true);
+            return;
+        }
+
         // Archive data for this meter
         const year = startDate.getFullYear();
 
@@ -441,13 +457,28 @@ class BillingManager {
         });
 
         // Get current values for archiving
-        const yearlyState = await this.adapter.getStateAsync(`${basePath}.consumption.yearly`);
         const totalYearlyState = await this.adapter.getStateAsync(`${basePath}.costs.totalYearly`);
         const balanceState = await this.adapter.getStateAsync(`${basePath}.costs.balance`);
-
-        const yearly = yearlyState?.val || 0;
-        const totalYearly = totalYearlyState?.val || 0;
-        const balance = balanceState?.val || 0;
+        const workingCostsState = await this.adapter.getStateAsync(`${basePath}.costs.yearly`);
+
+        // Read consumption if start and end reading are known, tracked consumption otherwise
+        const yearly = readings.official ?? readings.tracked;
+        const trackedTotalYearly = totalYearlyState?.val || 0;
+        const trackedWorkingCosts = workingCostsState?.val || 0;
+
+        // Costs and balance follow the archived consumption: working costs of the read consumption
+        const workingCosts =
+            readings.official !== null
+                ? billingHelper.calculateOfficialWorkingCosts(
+                      readings.official,
+                      readings.tracked,
+                      trackedWorkingCosts,
+                      meter.config?.preis,
+                  )
+                : trackedWorkingCosts;
+        const correction = workingCosts - trackedWorkingCosts;
+        const totalYearly = calculator.roundToDecimals(trackedTotalYearly + correction, 2);
+        const balance = calculator.roundToDecimals((balanceState?.val || 0) - correction, 2);
 
         const consumptionUnit = type === 'gas' ? 'kWh' : type === 'water' ? 'm³' : 'kWh';
 
@@ -466,9 +497,46 @@ class BillingManager {
         });
         await this.adapter.setStateAsync(`${basePath}.history.${year}.yearly`, yearly, true);
 
+        // Archive read and tracked consumption with their deviation
+        if (readings.official !== null) {
+            const comparison = [
+                { id: 'officialConsumption', name: `Verbrauch laut Zählerstand ${year}`, unit: consumptionUnit },
+                { id: 'trackedConsumption', name: `Erfasster Verbrauch ${year}`, unit: consumptionUnit },
+                { id: 'deviation', name: `Abweichung erfasst / abgelesen ${year}`, unit: '%' },
+                { id: 'trackedTotalYearly', name: `Gesamtkosten des erfassten Verbrauchs ${year}`, unit: '€' },
+            ];
+            for (const item of comparison) {
+                await this.adapter.setObjectNotExistsAsync(`${basePath}.history.${year}.${item.id}`, {
+                    type: 'state',
+                    common: {
+                        name: item.name,
+                        type: 'number',
+                        role: item.unit === '€' ? 'value.money' : 'value',
+                        read: true,
+                        write: false,
+                        unit: item.unit,
+                    },
+                    native: {},
+                });
+            }
+            await this.adapter.setStateAsync(
+                `${basePath}.history.${year}.officialConsumption`,
+                readings.official,
+                true,
+            );
+            await this.adapter.setStateAsync(`${basePath}.history.${year}.trackedConsumption`, readings.tracked, true);
+            await this.adapter.setStateAsync(`${basePath}.history.${year}.deviation`, readings.deviation, true);
+            await this.adapter.setStateAsync(
+                `${basePath}.history.${year}.trackedTotalYearly`,
+                trackedTotalYearly,
+                true,
+            );
+        }
+
         // Archive gas volume if applicable
         if (type === 'gas') {
-            const yearlyVolume = (await this.adapter.getStateAsync(`${basePath}.consumption.yearlyVolume`))?.val || 0;
+            const yearlyVolume =
+                readings.volume ?? (await this.adapter.getStateAsync(`${basePath}.consumption.yearlyVolume`))?.val ?? 0;
             await this.adapter.setObjectNotExistsAsync(`${basePath}.history.${year}.yearlyVolume`, {
                 type: 'state',
                 common: {
@@ -484,6 +552,54 @@ class BillingManager {
             await this.adapter.setStateAsync(`${basePath}.history.${year}.yearlyVolume`, yearlyVolume, true);
         }
 
+        // Archive tariff zone consumption (HT/NT or custom windows)
+        const zones = tariffHelper.getZones(meter.config?.tariffSchedule);
+        for (const zone of zones) {
+            await this.adapter.setObjectNotExistsAsync(`${basePath}.history.${year}.yearly${zone.key}`, {
+                type: 'state',
+                common: {
+                    name: `Jahresverbrauch ${year} ${zone.name}`,
+                    type: 'number',
+                    role: 'value',
+                    read: true,
+                    write: false,
+                    unit: consumptionUnit,
+                },
+                native: {},
+            });
+            const zoneYearly = (await this.adapter.getStateAsync(`${basePath}.consumption.yearly${zone.key}`))?.val;
+            await this.adapter.setStateAsync(`${basePath}.history.${year}.yearly${zone.key}`, zoneYearly || 0, true);
+        }
+
+        // Archive feed-in of bidirectional meters
+        if (meter.config?.exportSensorDP) {
+            const exportArchive = [
+                { id: 'yearlyExport', state: 'export.yearly', name: `Einspeisung ${year}`, unit: 'kWh' },
+                {
+                    id: 'yearlyCompensation',
+                    state: 'export.compensation.yearly',
+                    name: `Einspeisevergütung ${year}`,
+                    unit: '€',
+                },
+            ];
+            for (const item of exportArchive) {
+                await this.adapter.setObjectNotExistsAsync(`${basePath}.history.${year}.${item.id}`, {
+                    type: 'state',
+                    common: {
+                        name: item.name,
+                        type: 'number',
+                        role: item.unit === '€' ? 'value.money' : 'value',
+                        read: true,
+                        write: false,
+                        unit: item.unit,
+                    },
+                    native: {},
+                });
+                const value = (await this.adapter.getStateAsync(`${basePath}.${item.state}`))?.val;
+                await this.adapter.setStateAsync(`${basePath}.history.${year}.${item.id}`, value || 0, true);
+            }
+        }
+
         // Archive total yearly costs
         await this.adapter.setObjectNotExistsAsync(`${basePath}.history.${year}.totalYearly`, {
             type: 'state',
@@ -514,19 +630,52 @@ class BillingManager {
         });
         await this.adapter.setStateAsync(`${basePath}.history.${year}.balance`, balance, true);
 
+        // Snapshot for the annual statement before the running values are reset
+        let statement = null;
+        if (this.adapter.statementManager) {
+            try {
+                statement = await this.adapter.statementManager.collect(type, meter, year, startDate, endReading);
+                if (readings.official !== null) {
+                    Object.assign(statement, {
+                        startReading: readings.startReading,
+                        consumption: readings.official,
+                        volume: readings.volume,
+                        trackedConsumption: readings.tracked,
+                        deviation: readings.deviation,
+                        workingCosts,
+                        totalCosts: totalYearly,
+                        balance,
+                    });
+                }
+            } catch (error) {
+                this.adapter.log.error(`[Statement] Failed to collect ${basePath} ${year}: ${error.message}`);
+            }
+        }
+
         // Reset consumption and costs for this meter
         await this.adapter.setStateAsync(`${basePath}.consumption.yearly`, 0, true);
         if (type === 'gas') {
             await this.adapter.setStateAsync(`${basePath}.consumption.yearlyVolume`, 0, true);
         }
+        for (const zone of zones) {
+            await this.adapter.setStateAsync(`${basePath}.consumption.yearly${zone.key}`, 0, true);
+            await this.adapter.setStateAsync(`${basePath}.costs.yearly${zone.key}`, 0, true);
+        }
+        await this._resetBidirectionalStates(basePath, meter, 'yearly');
         await this.adapter.setStateAsync(`${basePath}.costs.yearly`, 0, true);
         await this.adapter.setStateAsync(`${basePath}.costs.totalYearly`, 0, true);
         await this.adapter.setStateAsync(`${basePath}.costs.balance`, 0, true);
         await this.adapter.setStateAsync(`${basePath}.costs.paidTotal`, 0, true);
         await this.adapter.setStateAsync(`${basePath}.billing.closePeriod`, false, true);
+        // The end reading is the start reading of the next period
+        await this.adapter.setStateAsync(`${basePath}.billing.startReading`, endReading, true);
+        await this.adapter.setStateAsync(`${basePath}.billing.newInitialReading`, endReading, true);
         await this.adapter.setStateAsync(`${basePath}.billing.notificationSent`, false, true);
         await this.adapter.setStateAsync(`${basePath}.billing.notificationChangeSent`, false, true);
 
+        // After a meter exchange the next period starts with the reading of the new meter
+        await this.adapter.multiMeterManager?.resetCounterOffset(type, meter.name, meter.config);
+
         // Update lastYearStart to contract anniversary
         const thisYearAnniversary = new Date(startDate);
         thisYearAnniversary.setFullYear(new Date().getFullYear());
@@ -542,12 +691,118 @@ class BillingManager {
             await this.adapter.multiMeterManager.updateTotalCosts(type);
         }
 
+        await this._onPeriodClosed(type, meter, year, statement);
+
         this.adapter.log.info(`✅ Abrechnungszeitraum ${year} für ${basePath} erfolgreich abgeschlossen!`);
         this.adapter.log.info(
             `💡 Tipp: Prüfe deine Adapter-Konfiguration! Hat sich dein Tarif, Abschlag oder die Grundgebühr geändert?`,
         );
     }
 
+    /**
+     * Compares the consumption read from the start and end reading with the tracked consumption.
+     * Depending on billingToleranceAction a deviation above billingTolerance only warns or refuses the closure.
+     * After a meter exchange the end reading of the new meter is continued with info.counterOffset.
+     *
+     * @param {string} type - Utility type
+     * @param {object} meter - Meter object from multiMeterManager
+     * @param {number} endReading - End reading entered by the user (m³ for gas)
+     * @returns {Promise<{startReading: number, official: number|null, volume: number|null, tracked: number, deviation: number|null}|null>} Period consumption, null if the closure is refused
+     */
+    async _validatePeriodReadings(type, meter, endReading) {
+        const basePath = `${type}.${meter.name}`;
+        const startState = await this.adapter.getStateAsync(`${basePath}.billing.startReading`);
+        const startReading =
+            typeof startState?.val === 'number' && startState.val > 0
+                ? startState.val
+                : meter.config?.initialReading || 0;
+        const yearlyState = await this.adapter.getStateAsync(`${basePath}.consumption.yearly`);
+        const tracked = typeof yearlyState?.val === 'number' ? yearlyState.val : 0;
+        const counterOffset = (await this.adapter.getStateAsync(`${basePath}.info.counterOffset`))?.val || 0;
+        const continuedEndReading = endReading + counterOffset;
+
+        if (!startReading) {
+            this.adapter.log.warn(
+                `⚠️ Kein Startzählerstand für ${basePath} (billing.startReading oder Zählerstand bei Vertragsbeginn) - der erfasste Verbrauch wird archiviert.`,
+            );
+            return { startReading: 0, official: null, volume: null, tracked, deviation: null };
+        }
+        if (continuedEndReading < startReading) {
+            this.adapter.log.error(
+                `❌ Endzählerstand ${endReading} ist kleiner als der Startzählerstand ${startReading} für ${basePath}. Bitte Zählerstände prüfen!`,
+            );
+            return null;
+        }
+
+        // Gas: the tracked consumption was converted with the Brennwert/Z-Zahl valid at each delta, so the
+        // read volume is converted with the volume-weighted factor of the tracked period
+        let factor = 1;
+        if (type === 'gas') {
+            const trackedVolume = (await this.adapter.getStateAsync(`${basePath}.consumption.yearlyVolume`))?.val;
+            factor =
+                typeof trackedVolume === 'number' && trackedVolume > 0 && tracked > 0
+                    ? tracked / trackedVolume
+                    : consumptionHelper.getGasFactorsAt(meter.config).factor;
+        }
+        const result = billingHelper.calculatePeriodConsumption(startReading, continuedEndReading, tracked, factor);
+        await this.adapter.setStateAsync(`${basePath}.billing.deviation`, result.deviation, true);
+
+        const unit = type === 'water' ? 'm³' : 'kWh';
+        const tolerance = parseConfigNumber(this.adapter.config.billingTolerance, DEFAULT_BILLING_TOLERANCE);
+        const message = `${basePath}: abgelesen ${result.official} ${unit}, erfasst ${result.tracked} ${unit}, Abweichung ${result.deviation} %`;
+
+        if (tolerance > 0 && Math.abs(result.deviation) > tolerance) {
+            if (this.adapter.config.billingToleranceAction === 'refuse') {
+                this.adapter.log.error(
+                    `❌ ${message} (Toleranz ${tolerance} %) - Abschluss abgebrochen. Bitte Zählerstände prüfen oder die Toleranz anpassen.`,
+                );
+                return null;
+            }
+            this.adapter.log.warn(`⚠️ ${message} (Toleranz ${tolerance} %)`);
+        } else {
+            this.adapter.log.info(`📏 ${message}`);
+        }
+
+        return { startReading, ...result };
+    }
+
+    /**
+     * Runs the follow-up tasks after the billing period of a meter was archived
+     *
+     * @param {string} type - Utility type
+     * @param {object} meter - Meter object from multiMeterManager
+     * @param {number} year - Archived year
+     * @param {Record<string, any>|null} [statement] - Statement data collected before the reset
+     */
+    async _onPeriodClosed(type, meter, year, statement = null) {
+        // Annual statement (HTML) in the file storage of the instance
+        if (this.adapter.statementManager && statement) {
+            try {
+                await this.adapter.statementManager.createStatement(statement);
+            } catch (error) {
+                this.adapter.log.error(`[Statement] Failed for ${type}.${meter.name} ${year}: ${error.message}`);
+            }
+        }
+
+        // Cost allocation to tenants / cost centers
+        if (this.adapter.costAllocationManager) {
+            try {
+                await this.adapter.costAllocationManager.allocatePeriod(type, year);
+            } catch (error) {
+                this.adapter.log.error(`[Allocation] Failed for ${type}.${meter.name} ${year}: ${error.message}`);
+            }
+        }
+
+        // Heating cost allocation (HeizkostenV) for the heating gas meter
+        if (this.adapter.heatingCostManager) {
+            try {
+                await this.adapter.heatingCostManager.handlePeriodClosed(type, meter, year);
+            } catch (error) {
+                this.adapter.log.error(`[Heating] Failed for ${type}.${meter.name} ${year}: ${error.message}`);
+            }
+        }
+    }
+
     /**
      * Updates billing countdown for all meters of a type
      * NOTE: Since v1.4.6, this updates ALL meters (main + additional)
@@ -817,6 +1072,50 @@ class BillingManager {
         }
     }
 
+    /**
+     * Moves the per-zone consumption and costs of a period into the statistics and resets them
+     *
+     * @param {string} basePath - State base path of the meter
+     * @param {object} meter - Meter object from multiMeterManager
+     * @param {string} period - daily, weekly, monthly or yearly
+     * @param {string} statKey - Statistics prefix (lastDay, lastWeek, lastMonth, lastYear)
+     */
+    async _rollTariffZoneStates(basePath, meter, period, statKey) {
+        for (const zone of tariffHelper.getZones(meter.config?.tariffSchedule)) {
+            const consumption = (await this.adapter.getStateAsync(`${basePath}.consumption.${period}${zone.key}`))?.val;
+            const cost = (await this.adapter.getStateAsync(`${basePath}.costs.${period}${zone.key}`))?.val;
+            await this.adapter.setStateAsync(
+                `${basePath}.statistics.consumption.${statKey}${zone.key}`,
+                consumption || 0,
+                true,
+            );
+            await this.adapter.setStateAsync(`${basePath}.statistics.cost.${statKey}${zone.key}`, cost || 0, true);
+            await this.adapter.setStateAsync(`${basePath}.consumption.${period}${zone.key}`, 0, true);
+            await this.adapter.setStateAsync(`${basePath}.costs.${period}${zone.key}`, 0, true);
+        }
+    }
+
+    /**
+     * Resets the export, generation and net states of a bidirectional meter for a period
+     *
+     * @param {string} basePath - State base path of the meter
+     * @param {object} meter - Meter object from multiMeterManager
+     * @param {string} period - daily, weekly, monthly or yearly
+     */
+    async _resetBidirectionalStates(basePath, meter, period) {
+        if (!meter.config?.exportSensorDP) {
+            return;
+        }
+
+        const groups = ['export', 'export.compensation', 'net.consumption', 'net.costs'];
+        if (meter.config.generationSensorDP) {
+            groups.push('generation', 'net.selfConsumption');
+        }
+        for (const group of groups) {
+            await this.adapter.setStateAsync(`${basePath}.${group}.${period}`, 0, true);
+        }
+    }
+
     /**
      * Resets daily counters
      *
@@ -866,33 +1165,9 @@ class BillingManager {
                 await this.adapter.setStateAsync(`${basePath}.consumption.dailyVolume`, 0, true);
             }
 
-            // Reset HT/NT daily counters if enabled
-            const configType = getConfigType(type);
-            const htNtEnabled = this.adapter.config[`${configType}HtNtEnabled`] || false;
-            if (htNtEnabled) {
-                const dailyHT = await this.adapter.getStateAsync(`${basePath}.consumption.dailyHT`);
-                const dailyNT = await this.adapter.getStateAsync(`${basePath}.consumption.dailyNT`);
-                await this.adapter.setStateAsync(
-                    `${basePath}.statistics.consumption.lastDayHT`,
-                    dailyHT?.val || 0,
-                    true,
-                );
-                await this.adapter.setStateAsync(
-                    `${basePath}.statistics.consumption.lastDayNT`,
-                    dailyNT?.val || 0,
-                    true,
-                );
-                await this.adapter.setStateAsync(`${basePath}.consumption.dailyHT`, 0, true);
-                await this.adapter.setStateAsync(`${basePath}.consumption.dailyNT`, 0, true);
-
-                // Costs for HT/NT
-                const dailyCostHT = (await this.adapter.getStateAsync(`${basePath}.costs.dailyHT`))?.val || 0;
-                const dailyCostNT = (await this.adapter.getStateAsync(`${basePath}.costs.dailyNT`))?.val || 0;
-                await this.adapter.setStateAsync(`${basePath}.statistics.cost.lastDayHT`, dailyCostHT, true);
-                await this.adapter.setStateAsync(`${basePath}.statistics.cost.lastDayNT`, dailyCostNT, true);
-                await this.adapter.setStateAsync(`${basePath}.costs.dailyHT`, 0, true);
-                await this.adapter.setStateAsync(`${basePath}.costs.dailyNT`, 0, true);
-            }
+            // Reset tariff zone daily counters (HT/NT or custom windows)
+            await this._rollTariffZoneStates(basePath, meter, 'daily', 'lastDay');
+            await this._resetBidirectionalStates(basePath, meter, 'daily');
 
             await this.adapter.setStateAsync(`${basePath}.costs.daily`, 0, true);
 
@@ -916,6 +1191,11 @@ class BillingManager {
         if (meters.length > 1) {
             await this.adapter.multiMeterManager.updateTotalCosts(type);
         }
+
+        // PV self-consumption statistics follow the periods of the PV meters
+        if (type === 'pv') {
+            await this.adapter.selfConsumptionManager?.resetPeriod('daily');
+        }
     }
 
     /**
@@ -945,6 +1225,9 @@ class BillingManager {
             // Get current values before reset
             const monthlyState = await this.adapter.getStateAsync(`${basePath}.consumption.monthly`);
             const monthlyValue = monthlyState?.val || 0;
+            const previousMonthStart = (
+                await this.adapter.getStateAsync(`${basePath}.statistics.timestamps.lastMonthStart`)
+            )?.val;
 
             // Save last month consumption
             await this.adapter.setStateAsync(`${basePath}.statistics.consumption.lastMonth`, monthlyValue, true);
@@ -969,30 +1252,19 @@ class BillingManager {
             // Reset monthly counters
             await this.adapter.setStateAsync(`${basePath}.consumption.monthly`, 0, true);
 
-            // Reset HT/NT monthly counters if enabled
-            const configType = getConfigType(type);
-            const htNtEnabled = this.adapter.config[`${configType}HtNtEnabled`] || false;
-            if (htNtEnabled) {
-                const monthlyHT = (await this.adapter.getStateAsync(`${basePath}.consumption.monthlyHT`))?.val || 0;
-                const monthlyNT = (await this.adapter.getStateAsync(`${basePath}.consumption.monthlyNT`))?.val || 0;
-                await this.adapter.setStateAsync(`${basePath}.statistics.consumption.lastMonthHT`, monthlyHT, true);
-                await this.adapter.setStateAsync(`${basePath}.statistics.consumption.lastMonthNT`, monthlyNT, true);
-                await this.adapter.setStateAsync(`${basePath}.consumption.monthlyHT`, 0, true);
-                await this.adapter.setStateAsync(`${basePath}.consumption.monthlyNT`, 0, true);
-
-                // Costs for HT/NT
-                const monthlyCostHT = (await this.adapter.getStateAsync(`${basePath}.costs.monthlyHT`))?.val || 0;
-                const monthlyCostNT = (await this.adapter.getStateAsync(`${basePath}.costs.monthlyNT`))?.val || 0;
-                await this.adapter.setStateAsync(`${basePath}.statistics.cost.lastMonthHT`, monthlyCostHT, true);
-                await this.adapter.setStateAsync(`${basePath}.statistics.cost.lastMonthNT`, monthlyCostNT, true);
-                await this.adapter.setStateAsync(`${basePath}.costs.monthlyHT`, 0, true);
-                await this.adapter.setStateAsync(`${basePath}.costs.monthlyNT`, 0, true);
-            }
+            // Reset tariff zone monthly counters
+            await this._rollTariffZoneStates(basePath, meter, 'monthly', 'lastMonth');
+            await this._resetBidirectionalStates(basePath, meter, 'monthly');
 
             await this.adapter.setStateAsync(`${basePath}.costs.monthly`, 0, true);
 
             // Update lastMonthStart timestamp (use normalized timestamp if provided)
             const timestamp = resetTimestamp || Date.now();
+
+            // Archive complete months (previous reset at 23:59) for the seasonal forecast
+            if (typeof previousMonthStart === 'number' && new Date(previousMonthStart).getHours() === 23) {
+                await this._archiveMonth(type, meter.name, timestamp, monthlyValue, monthlyCostValue);
+            }
             await this.adapter.setStateAsync(`${basePath}.statistics.timestamps.lastMonthStart`, timestamp, true);
 
             await this.adapter.setStateAsync(
@@ -1011,6 +1283,38 @@ class BillingManager {
         if (meters.length > 1) {
             await this.adapter.multiMeterManager.updateTotalCosts(type);
         }
+
+        // PV self-consumption statistics follow the periods of the PV meters
+        if (type === 'pv') {
+            await this.adapter.selfConsumptionManager?.resetPeriod('monthly');
+        }
+    }
+
+    /**
+     * Archives the consumption of a finished month in history.<year>.months.<MM>
+     *
+     * @param {string} type - Utility type
+     * @param {string} meterName - Meter name
+     * @param {number} resetTimestamp - Time of the monthly reset (last day of the month)
+     * @param {number} consumption - Consumption of the month
+     * @param {number} costs - Costs of the month
+     */
+    async _archiveMonth(type, meterName, resetTimestamp, consumption, costs) {
+        const date = new Date(resetTimestamp);
+        const year = date.getFullYear();
+        const month = date.getMonth() + 1;
+        const monthPath = `${type}.${meterName}.history.${year}.months.${String(month).padStart(2, '0')}`;
+
+        await stateManager.createHistoryStructure(this.adapter, type, meterName, year);
+        await stateManager.createHistoryMonthStructure(this.adapter, type, meterName, year, month);
+        await this.adapter.setStateAsync(`${monthPath}.consumption`, calculator.roundToDecimals(consumption, 2), true);
+        await this.adapter.setStateAsync(`${monthPath}.costs`, calculator.roundToDecimals(costs, 2), true);
+        if (type === 'gas') {
+            const volume = (
+                await this.adapter.getStateAsync(`${type}.${meterName}.statistics.consumption.lastMonthVolume`)
+            )?.val;
+            await this.adapter.setStateAsync(`${monthPath}.volume`, calculator.roundToDecimals(volume || 0, 2), true);
+        }
     }
 
     /**
@@ -1057,23 +1361,8 @@ class BillingManager {
                 await this.adapter.setStateAsync(`${basePath}.consumption.yearlyVolume`, 0, true);
             }
 
-            const configType = getConfigType(type);
-            const htNtEnabled = this.adapter.config[`${configType}HtNtEnabled`] || false;
-            if (htNtEnabled) {
-                const yearlyHT = (await this.adapter.getStateAsync(`${basePath}.consumption.yearlyHT`))?.val || 0;
-                const yearlyNT = (await this.adapter.getStateAsync(`${basePath}.consumption.yearlyNT`))?.val || 0;
-                await this.adapter.setStateAsync(`${basePath}.statistics.consumption.lastYearHT`, yearlyHT, true);
-                await this.adapter.setStateAsync(`${basePath}.statistics.consumption.lastYearNT`, yearlyNT, true);
-                await this.adapter.setStateAsync(`${basePath}.consumption.yearlyHT`, 0, true);
-                await this.adapter.setStateAsync(`${basePath}.consumption.yearlyNT`, 0, true);
-
-                const yearlyCostHT = (await this.adapter.getStateAsync(`${basePath}.costs.yearlyHT`))?.val || 0;
-                const yearlyCostNT = (await this.adapter.getStateAsync(`${basePath}.costs.yearlyNT`))?.val || 0;
-                await this.adapter.setStateAsync(`${basePath}.statistics.cost.lastYearHT`, yearlyCostHT, true);
-                await this.adapter.setStateAsync(`${basePath}.statistics.cost.lastYearNT`, yearlyCostNT, true);
-                await this.adapter.setStateAsync(`${basePath}.costs.yearlyHT`, 0, true);
-                await this.adapter.setStateAsync(`${basePath}.costs.yearlyNT`, 0, true);
-            }
+            await this._rollTariffZoneStates(basePath, meter, 'yearly', 'lastYear');
+            await this._resetBidirectionalStates(basePath, meter, 'yearly');
 
             await this.adapter.setStateAsync(`${basePath}.costs.yearly`, 0, true);
             await this.adapter.setStateAsync(`${basePath}.billing.notificationSent`, false, true);
@@ -1087,6 +1376,11 @@ class BillingManager {
         if (meters.length > 1) {
             await this.adapter.multiMeterManager.updateTotalCosts(type);
         }
+
+        // PV self-consumption statistics follow the periods of the PV meters
+        if (type === 'pv') {
+            await this.adapter.selfConsumptionManager?.resetPeriod('yearly');
+        }
     }
 
     /**
@@ -1123,23 +1417,8 @@ class BillingManager {
             await this.adapter.setStateAsync(`${basePath}.consumption.yearlyVolume`, 0, true);
         }
 
-        const configType = getConfigType(type);
-        const htNtEnabled = this.adapter.config[`${configType}HtNtEnabled`] || false;
-        if (htNtEnabled) {
-            const yearlyHT = (await this.adapter.getStateAsync(`${basePath}.consumption.yearlyHT`))?.val || 0;
-            const yearlyNT = (await this.adapter.getStateAsync(`${basePath}.consumption.yearlyNT`))?.val || 0;
-            await this.adapter.setStateAsync(`${basePath}.statistics.consumption.lastYearHT`, yearlyHT, true);
-            await this.adapter.setStateAsync(`${basePath}.statistics.consumption.lastYearNT`, yearlyNT, true);
-            await this.adapter.setStateAsync(`${basePath}.consumption.yearlyHT`, 0, true);
-            await this.adapter.setStateAsync(`${basePath}.consumption.yearlyNT`, 0, true);
-
-            const yearlyCostHT = (await this.adapter.getStateAsync(`${basePath}.costs.yearlyHT`))?.val || 0;
-            const yearlyCostNT = (await this.adapter.getStateAsync(`${basePath}.costs.yearlyNT`))?.val || 0;
-            await this.adapter.setStateAsync(`${basePath}.statistics.cost.lastYearHT`, yearlyCostHT, true);
-            await this.adapter.setStateAsync(`${basePath}.statistics.cost.lastYearNT`, yearlyCostNT, true);
-            await this.adapter.setStateAsync(`${basePath}.costs.yearlyHT`, 0, true);
-            await this.adapter.setStateAsync(`${basePath}.costs.yearlyNT`, 0, true);
-        }
+        await this._rollTariffZoneStates(basePath, meter, 'yearly', 'lastYear');
+        await this._resetBidirectionalStates(basePath, meter, 'yearly');
 
         await this.adapter.setStateAsync(`${basePath}.costs.yearly`, 0, true);
         await this.adapter.setStateAsync(`${basePath}.billing.notificationSent`, false, true);
@@ -1148,6 +1427,12 @@ class BillingManager {
         // Update lastYearStart timestamp (use normalized timestamp if provided)
         const timestamp = resetTimestamp || Date.now();
         await this.adapter.setStateAsync(`${basePath}.statistics.timestamps.lastYearStart`, timestamp, true);
+
+        // PV self-consumption statistics follow the contract year of the main PV meter
+        const mainPvMeter = type === 'pv' ? this.adapter.multiMeterManager?.getMetersForType('pv')[0] : null;
+        if (mainPvMeter && mainPvMeter.name === meter.name) {
+            await this.adapter.selfConsumptionManager?.resetPeriod('yearly');
+        }
     }
 
     /**
@@ -1189,24 +1474,8 @@ class BillingManager {
             await this.adapter.setStateAsync(`${basePath}.consumption.weekly`, 0, true);
             await this.adapter.setStateAsync(`${basePath}.costs.weekly`, 0, true);
 
-            const configType = getConfigType(type);
-            const htNtEnabled = this.adapter.config[`${configType}HtNtEnabled`] || false;
-            if (htNtEnabled) {
-                const weeklyHT = (await this.adapter.getStateAsync(`${basePath}.consumption.weeklyHT`))?.val || 0;
-                const weeklyNT = (await this.adapter.getStateAsync(`${basePath}.consumption.weeklyNT`))?.val || 0;
-                await this.adapter.setStateAsync(`${basePath}.statistics.consumption.lastWeekHT`, weeklyHT, true);
-                await this.adapter.setStateAsync(`${basePath}.statistics.consumption.lastWeekNT`, weeklyNT, true);
-                await this.adapter.setStateAsync(`${basePath}.consumption.weeklyHT`, 0, true);
-                await this.adapter.setStateAsync(`${basePath}.consumption.weeklyNT`, 0, true);
-
-                // Costs for HT/NT
-                const weeklyCostHT = (await this.adapter.getStateAsync(`${basePath}.costs.weeklyHT`))?.val || 0;
-                const weeklyCostNT = (await this.adapter.getStateAsync(`${basePath}.costs.weeklyNT`))?.val || 0;
-                await this.adapter.setStateAsync(`${basePath}.statistics.cost.lastWeekHT`, weeklyCostHT, true);
-                await this.adapter.setStateAsync(`${basePath}.statistics.cost.lastWeekNT`, weeklyCostNT, true);
-                await this.adapter.setStateAsync(`${basePath}.costs.weeklyHT`, 0, true);
-                await this.adapter.setStateAsync(`${basePath}.costs.weeklyNT`, 0, true);
-            }
+            await this._rollTariffZoneStates(basePath, meter, 'weekly', 'lastWeek');
+            await this._resetBidirectionalStates(basePath, meter, 'weekly');
 
             // Update lastWeekStart timestamp (use normalized timestamp if provided)
             const timestamp = resetTimestamp || Date.now();
@@ -1216,6 +1485,11 @@ class BillingManager {
         if (meters.length > 1) {
             await this.adapter.multiMeterManager.updateTotalCosts(type);
         }
+
+        // PV self-consumption statistics follow the periods of the PV meters
+        if (type === 'pv') {
+            await this.adapter.selfConsumptionManager?.resetPeriod('weekly');
+        }
     }
 }
 
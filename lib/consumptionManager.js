@@ -79,44 +79,24 @@ class ConsumptionManager {
     /**
      * Updates the current price display for all meters of a type
      * NOTE: Since v1.4.6, this updates ALL meters (main + additional)
-     * Only main meters support HT/NT, additional meters have fixed price
+     * Meters with a tariff schedule (HT/NT or tariff windows) or a dynamic price datapoint switch price by time
      *
      * @param {string} type - Utility type
      */
     async updateCurrentPrice(type) {
-        const configType = getConfigType(type);
-
         // Get all meters for this type
         const meters = this.adapter.multiMeterManager?.getMetersForType(type) || [];
 
         for (const meter of meters) {
-            let tariffName = 'Standard';
-            let activePrice = 0;
-
-            // Check if this meter has HT/NT enabled
-            const htNtEnabled = meter.config?.htNtEnabled || false;
-
-            if (htNtEnabled) {
-                const isHT = calculator.isHTTime(this.adapter.config, configType);
-                if (isHT) {
-                    activePrice = this.adapter.config[`${configType}HtPrice`] || 0;
-                    tariffName = 'Haupttarif (HT)';
-                } else {
-                    activePrice = this.adapter.config[`${configType}NtPrice`] || 0;
-                    tariffName = 'Nebentarif (NT)';
-                }
-            } else {
-                // Use meter's configured price
-                activePrice = meter.config?.preis || 0;
-            }
+            const tariff = this.adapter.multiMeterManager.resolvePrice(type, meter.name, meter.config);
 
             const basePath = `${type}.${meter.name}`;
             await this.adapter.setStateAsync(
                 `${basePath}.info.currentPrice`,
-                calculator.roundToDecimals(activePrice, 4),
+                calculator.roundToDecimals(tariff.price, 4),
                 true,
             );
-            await this.adapter.setStateAsync(`${basePath}.info.currentTariff`, tariffName, true);
+            await this.adapter.setStateAsync(`${basePath}.info.currentTariff`, tariff.name, true);
         }
     }
 }
@@ -0,0 +1,122 @@
+'use strict';
+
+const calculator = require('./calculator');
+const stateManager = require('./stateManager');
+const allocationHelper = require('./utils/allocationHelper');
+
+/**
+ * CostAllocationManager distributes the archived yearly consumption and costs of the meters
+ * onto parties (tenants / cost centers) using the configured split keys.
+ * The allocation is recalculated completely from the history states, so closing the
+ * periods of several meters one after another always leads to the same result.
+ */
+class CostAllocationManager {
+    /**
+     * @param {object} adapter - ioBroker adapter instance
+     */
+    constructor(adapter) {
+        this.adapter = adapter;
+    }
+
+    /**
+     * Allocates a closed billing year of a utility type onto the parties
+     *
+     * @param {string} type - Utility type
+     * @param {number} year - Billing year (as used in history.<year>)
+     */
+    async allocatePeriod(type, year) {
+        const parties = allocationHelper.parseParties(this.adapter.config.allocationParties);
+        const rules = allocationHelper.parseRules(this.adapter.config.allocationRules, type);
+
+        if (parties.length === 0 || rules.length === 0) {
+            this.adapter.log.debug(`[Allocation] No parties or split keys configured for ${type}`);
+            return;
+        }
+
+        const meters = this.adapter.multiMeterManager?.getMetersForType(type) || [];
+        if (meters.length === 0) {
+            return;
+        }
+
+        // Archived values of all meters of this year
+        const entries = [];
+        for (const meter of meters) {
+            const historyPath = `${type}.${meter.name}.history.${year}`;
+            const consumption = (await this.adapter.getStateAsync(`${historyPath}.yearly`))?.val;
+            const costs = (await this.adapter.getStateAsync(`${historyPath}.totalYearly`))?.val;
+            if (typeof consumption === 'number' || typeof costs === 'number') {
+                entries.push([
+                    meter.name,
+                    {
+                        consumption: typeof consumption === 'number' ? consumption : 0,
+                        costs: typeof costs === 'number' ? costs : 0,
+                    },
+                ]);
+            }
+        }
+        const meterValues = Object.fromEntries(entries);
+
+        this._checkSplitKeys(type, rules, parties, meters[0].name);
+
+        const allocations = allocationHelper.allocate(rules, parties, meterValues, meters[0].name);
+
+        for (const party of parties) {
+            const allocation = allocations[party.id];
+            const advancePayments = (party.advance[type] || 0) * 12;
+            const basePath = `allocation.${party.id}.${year}.${type}`;
+
+            await stateManager.createAllocationStructure(this.adapter, party, year, type);
+            await this.adapter.setStateAsync(
+                `${basePath}.consumption`,
+                calculator.roundToDecimals(allocation.consumption, 2),
+                true,
+            );
+            await this.adapter.setStateAsync(
+                `${basePath}.costs`,
+                calculator.roundToDecimals(allocation.costs, 2),
+                true,
+            );
+            await this.adapter.setStateAsync(
+                `${basePath}.advancePayments`,
+                calculator.roundToDecimals(advancePayments, 2),
+                true,
+            );
+            await this.adapter.setStateAsync(
+                `${basePath}.balance`,
+                calculator.roundToDecimals(advancePayments - allocation.costs, 2),
+                true,
+            );
+        }
+
+        this.adapter.log.info(
+            `[Allocation] ${type} ${year}: Kosten von ${Object.keys(meterValues).length} Zähler(n) auf ${parties.length} Partei(en) verteilt`,
+        );
+    }
+
+    /**
+     * Warns if the split keys of a meter do not add up to 100 %
+     *
+     * @param {string} type - Utility type
+     * @param {Array<{meter: string, method: string, party: string, share: number}>} rules - Split rules
+     * @param {Array<{id: string, area: number, persons: number}>} parties - Parties
+     * @param {string} defaultMeter - Meter used by rules without meter
+     */
+    _checkSplitKeys(type, rules, parties, defaultMeter) {
+        const totals = {};
+        for (const rule of rules) {
+            const meter = rule.meter || defaultMeter;
+            const shares = allocationHelper.calculateShares(rule, parties);
+            totals[meter] = (totals[meter] || 0) + Object.values(shares).reduce((sum, f) => sum + f, 0);
+        }
+
+        for (const [meter, total] of Object.entries(totals)) {
+            if (Math.abs(total - 1) > 0.001) {
+                this.adapter.log.warn(
+                    `[Allocation] ${type}.${meter}: Aufteilung ergibt ${calculator.roundToDecimals(total * 100, 1)} % statt 100 %`,
+                );
+            }
+        }
+    }
+}
+
+module.exports = CostAllocationManager;
@@ -0,0 +1,123 @@
+'use strict';
+
+const fileHelper = require('./utils/fileHelper');
+const exportHelper = require('./utils/exportHelper');
+
+/**
+ * ExportManager exports the running periods, closed billing periods and the
+ * history of a meter as CSV or JSON.
+ */
+class ExportManager {
+    /**
+     * @param {object} adapter - ioBroker adapter instance
+     */
+    constructor(adapter) {
+        this.adapter = adapter;
+    }
+
+    /**
+     * Handles the 'exportData' message
+     *
+     * @param {Record<string, any>} obj - Message object
+     */
+    async handleExportData(obj) {
+        if (!obj || !obj.message) {
+            return;
+        }
+
+        const { type, meterName, format, from, to, writeFile } = obj.message;
+
+        try {
+            const result = await this.exportData(type, meterName, format, from, to, writeFile);
+
+            if (obj.callback) {
+                this.adapter.sendTo(
+                    obj.from,
+                    obj.command,
+                    {
+                        result: result.file ? `Export gespeichert: ${result.file}` : `${result.rows} Zeilen exportiert`,
+                        ...result,
+                    },
+                    obj.callback,
+                );
+            }
+        } catch (error) {
+            this.adapter.log.warn(`[Export] Export of ${type}.${meterName} failed: ${error.message}`);
+            if (obj.callback) {
+                this.adapter.sendTo(obj.from, obj.command, { error: error.message }, obj.callback);
+            }
+        }
+    }
+
+    /**
+     * Exports the data of a meter
+     *
+     * @param {string} type - gas, water, electricity, pv
+     * @param {string} meterName - technical name of the meter
+     * @param {string} [format] - 'csv' (default) or 'json'
+     * @param {number|string} [from] - First year (default: all)
+     * @param {number|string} [to] - Last year (default: all)
+     * @param {boolean} [writeFile] - Also write the export to the file storage of the instance
+     * @returns {Promise<{success: boolean, format: string, rows: number, content: string, file?: string}>} Export
+     */
+    async exportData(type, meterName, format = 'csv', from, to, writeFile = false) {
+        const exportFormat = exportHelper.EXPORT_FORMATS.includes(format) ? format : 'csv';
+        const fromYear = Number(from) || undefined;
+        const toYear = Number(to) || undefined;
+
+        const data = await this.collect(type, meterName, fromYear, toYear);
+        const rows = data.periods.length + data.billing.length + data.history.length;
+        if (rows === 0) {
+            throw new Error(`Keine Daten für ${type}.${meterName} gefunden.`);
+        }
+
+        const content =
+            exportFormat === 'json'
+                ? JSON.stringify(
+                      {
+                          type,
+                          meterName,
+                          unit: type === 'water' ? 'm³' : 'kWh',
+                          exported: new Date().toISOString(),
+                          ...data,
+                      },
+                      null,
+                      2,
+                  )
+                : exportHelper.toCSV(data);
+
+        const result = { success: true, format: exportFormat, rows, content };
+        if (writeFile) {
+            const range = fromYear || toYear ? `_${fromYear || ''}-${toYear || ''}` : '';
+            result.file = await fileHelper.writeReportFile(
+                this.adapter,
+                `exports/${type}_${meterName}${range}.${exportFormat}`,
+                content,
+            );
+            this.adapter.log.info(`[Export] ${type}.${meterName} exportiert nach ${result.file}`);
+        }
+        return result;
+    }
+
+    /**
+     * Reads the states of a meter and builds the export data
+     *
+     * @param {string} type - Utility type
+     * @param {string} meterName - Meter name
+     * @param {number} [fromYear] - First year
+     * @param {number} [toYear] - Last year
+     * @returns {Promise<{periods: Array<object>, billing: Array<object>, history: Array<object>}>} Export data
+     */
+    async collect(type, meterName, fromYear, toYear) {
+        const prefix = `${this.adapter.namespace}.${type}.${meterName}.`;
+        const states = (await this.adapter.getStatesAsync(`${type}.${meterName}.*`)) || {};
+        const values = Object.fromEntries(
+            Object.entries(states)
+                .filter(([id, state]) => id.startsWith(prefix) && state)
+                .map(([id, state]) => [id.slice(prefix.length), state.val]),
+        );
+        return exportHelper.collectData(values, fromYear, toYear);
+    }
+}
+
+module.exports = ExportManager;
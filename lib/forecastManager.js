@@ -0,0 +1,141 @@
+'use strict';
+
+const billingHelper = require('./utils/billingHelper');
+const forecastHelper = require('./utils/forecastHelper');
+const priceHelper = require('./utils/priceHelper');
+
+/**
+ * ForecastManager projects the result of the running billing period of a meter
+ * (billing.projectedBalance) and recommends the monthly installment
+ * (billing.recommendedAbschlag). The seasonal profile and the baseline are learned
+ * from the history of the meter and cached until the next monthly reset.
+ */
+class ForecastManager {
+    /**
+     * @param {object} adapter - ioBroker adapter instance
+     */
+    constructor(adapter) {
+        this.adapter = adapter;
+        this.learned = new Map();
+    }
+
+    /**
+     * Updates projected balance and recommended installment of a meter
+     *
+     * @param {string} type - Utility type
+     * @param {string} meterName - Meter name
+     * @param {object} config - Meter configuration
+     * @param {{consumption: number, workingCosts: number}} [current] - Values of the running period (read from the states if omitted)
+     */
+    async updateForecast(type, meterName, config, current) {
+        if (type === 'pv') {
+            return;
+        }
+
+        const basePath = `${type}.${meterName}`;
+        const value = async id => {
+            const val = (await this.adapter.getStateAsync(`${basePath}.${id}`))?.val;
+            return typeof val === 'number' ? val : 0;
+        };
+
+        const yearStartTs = await value('statistics.timestamps.lastYearStart');
+        if (!yearStartTs) {
+            return;
+        }
+        const periodStart = new Date(yearStartTs);
+        const consumption = current ? current.consumption : await value('consumption.yearly');
+        const workingCosts = current ? current.workingCosts : await value('costs.yearly');
+
+        const { profile, baseline } = await this._getLearnedData(type, meterName);
+
+        // Zone tariffs and dynamic prices: continue with the average price of the period so far
+        const tariff = priceHelper.getTariffValuesAt(config);
+        const usesAveragePrice = config.tariffSchedule || this.adapter.multiMeterManager?.isCostAccumulated(config);
+        const price = usesAveragePrice && consumption > 0 ? workingCosts / consumption : tariff.preis;
+
+        const charges =
+            config.priceHistory?.length > 0
+                ? billingHelper.calculateAccumulatedChargesWithHistory(config, periodStart, 12)
+                : billingHelper.calculateAccumulatedCharges(config.grundgebuehr, config.jahresgebuehr, 12);
+
+        const forecast = forecastHelper.calculateForecast({
+            consumption,
+            workingCosts,
+            elapsedShare: forecastHelper.getElapsedShare(profile, periodStart),
+            baseline,
+            price,
+            fixedCharges: charges.total,
+            abschlag: config.abschlag || 0,
+        });
+        if (!forecast) {
+            return;
+        }
+
+        this.adapter.log.debug(
+            `[${basePath}] Forecast: consumption=${forecast.projectedConsumption}, costs=${forecast.projectedCosts}, balance=${forecast.projectedBalance}, abschlag=${forecast.recommendedAbschlag}, baseline=${baseline}`,
+        );
+
+        await this.adapter.setStateAsync(`${basePath}.billing.projectedBalance`, forecast.projectedBalance, true);
+        await this.adapter.setStateAsync(`${basePath}.billing.recommendedAbschlag`, forecast.recommendedAbschlag, true);
+    }
+
+    /**
+     * Discards the learned profile of a meter (e.g. after an import or a new invoice)
+     *
+     * @param {string} type - Utility type
+     * @param {string} meterName - Meter name
+     */
+    invalidate(type, meterName) {
+        this.learned.delete(`${type}.${meterName}`);
+    }
+
+    /**
+     * Returns the seasonal profile and the baseline of a meter, learned from
+     * history.<year>.months, statistics.consumption.lastMonth and the yearly values
+     * of closed periods. Cached until the monthly counter is reset.
+     *
+     * @param {string} type - Utility type
+     * @param {string} meterName - Meter name
+     * @returns {Promise<{profile: number[], baseline: number}>} Learned data
+     */
+    async _getLearnedData(type, meterName) {
+        const basePath = `${type}.${meterName}`;
+        const monthStart = (await this.adapter.getStateAsync(`${basePath}.statistics.timestamps.lastMonthStart`))?.val;
+        const cached = this.learned.get(basePath);
+        if (cached && cached.monthStart === monthStart) {
+            return cached;
+        }
+
+        const prefix = `${this.adapter.namespace}.${basePath}.history.`;
+        const states = (await this.adapter.getStatesAsync(`${basePath}.history.*`)) || {};
+        const values = Object.fromEntries(
+            Object.entries(states)
+                .filter(([id, state]) => id.startsWith(prefix) && typeof state?.val === 'number')
+                .map(([id, state]) => [id.slice(prefix.length), state.val]),
+        );
+
+        const samples = Object.keys(values)
+            .filter(id => /^\d{4}\.months\.\d{2}\.consumption$/.test(id))
+            .map(id => ({ key: id.slice(0, 14), month: Number(id.split('.')[2]), consumption: values[id] }));
+
+        // Last month of the statistics, as long as it is not archived in the history yet
+        const lastMonth = (await this.adapter.getStateAsync(`${basePath}.statistics.consumption.lastMonth`))?.val;
+        if (typeof monthStart === 'number' && typeof lastMonth === 'number' && lastMonth > 0) {
+            const date = new Date(monthStart);
+            const key = `${date.getFullYear()}.months.${String(date.getMonth() + 1).padStart(2, '0')}`;
+            if (!samples.some(s => s.key === key)) {
+                samples.push({ key, month: date.getMonth() + 1, consumption: lastMonth });
+            }
+        }
+
+        const learned = {
+            monthStart,
+            profile: forecastHelper.learnProfile(type, samples),
+            baseline: forecastHelper.findBaseline(values, samples),
+        };
+        this.learned.set(basePath, learned);
+        return learned;
+    }
+}
+
+module.exports = ForecastManager;
@@ -0,0 +1,179 @@
+'use strict';
+
+const stateManager = require('./stateManager');
+const { normalizeMeterName } = require('./utils/helpers');
+const fileHelper = require('./utils/fileHelper');
+const heatingCostHelper = require('./utils/heatingCostHelper');
+
+/**
+ * HeatingCostManager splits the heating costs of a closed gas billing period onto the
+ * units of a building according to the HeizkostenV: a base part by area and the
+ * remaining part by the readings of the heat cost allocators.
+ */
+class HeatingCostManager {
+    /**
+     * @param {object} adapter - ioBroker adapter instance
+     */
+    constructor(adapter) {
+        this.adapter = adapter;
+        this.units = [];
+    }
+
+    /**
+     * Checks if the heating cost allocation is configured
+     *
+     * @returns {boolean} True if enabled with gas and at least one unit
+     */
+    isActive() {
+        return !!(this.adapter.config.heatingCostEnabled && this.adapter.config.gasAktiv && this.units.length > 0);
+    }
+
+    /**
+     * Name of the gas meter whose costs are split (empty config = main meter)
+     *
+     * @returns {string} Meter name
+     */
+    getHeatingMeterName() {
+        const configured = this.adapter.config.heatingMeter;
+        if (configured && String(configured).trim() !== '') {
+            return normalizeMeterName(String(configured));
+        }
+        return normalizeMeterName(this.adapter.config.gasMainMeterName || 'main');
+    }
+
+    /**
+     * Creates the heating states and subscribes to the user inputs
+     */
+    async initialize() {
+        this.units = heatingCostHelper.parseHeatingUnits(this.adapter.config.heatingUnits);
+        if (!this.isActive()) {
+            return;
+        }
+
+        await stateManager.createHeatingStructure(this.adapter, this.units);
+        this.adapter.subscribeStates('heating.calculate');
+        this.adapter.subscribeStates('heating.year');
+        this.adapter.subscribeStates('heating.units.*.allocatorReading');
+
+        this.adapter.log.info(
+            `[Heating] Heizkostenabrechnung aktiv für ${this.units.length} Nutzeinheit(en), Gaszähler "${this.getHeatingMeterName()}"`,
+        );
+    }
+
+    /**
+     * Handles a user input on the heating states
+     *
+     * @param {string} id - Full state ID
+     * @param {ioBroker.State} state - State object
+     * @returns {Promise<boolean>} True if the state belonged to the heating cost allocation
+     */
+    async handleStateChange(id, state) {
+        const localId = id.startsWith(`${this.adapter.namespace}.`) ? id.slice(this.adapter.namespace.length + 1) : id;
+        if (!localId.startsWith('heating.') || state.ack) {
+            return false;
+        }
+
+        if (localId === 'heating.calculate') {
+            if (state.val === true) {
+                const year = (await this.adapter.getStateAsync('heating.year'))?.val;
+                if (typeof year === 'number' && year > 0) {
+                    await this.calculate(year);
+                } else {
+                    this.adapter.log.warn('[Heating] Kein Abrechnungsjahr gesetzt (heating.year)');
+                }
+            }
+            await this.adapter.setStateAsync('heating.calculate', false, true);
+            return true;
+        }
+
+        // Confirm manual inputs (year, allocator readings)
+        await this.adapter.setStateAsync(localId, state.val, true);
+        return true;
+    }
+
+    /**
+     * Called after a billing period was closed; calculates the heating costs for the heating meter
+     *
+     * @param {string} type - Utility type
+     * @param {object} meter - Meter object from multiMeterManager
+     * @param {number} year - Archived year
+     */
+    async handlePeriodClosed(type, meter, year) {
+        if (type !== 'gas' || !this.isActive() || meter.name !== this.getHeatingMeterName()) {
+            return;
+        }
+
+        await this.adapter.setStateAsync('heating.year', year, true);
+        await this.calculate(year);
+    }
+
+    /**
+     * Calculates the heating cost breakdown of a year and writes states, JSON report and CSV file
+     *
+     * @param {number} year - Billing year (as used in history.<year>)
+     * @returns {Promise<object|null>} Breakdown or null if no costs are archived
+     */
+    async calculate(year) {
+        const meterName = this.getHeatingMeterName();
+        const costsState = await this.adapter.getStateAsync(`gas.${meterName}.history.${year}.totalYearly`);
+        if (!costsState || typeof costsState.val !== 'number') {
+            this.adapter.log.warn(
+                `[Heating] Keine archivierten Gaskosten für ${year} (gas.${meterName}.history.${year})`,
+            );
+            return null;
+        }
+
+        const entries = [];
+        for (const unit of this.units) {
+            const reading = (await this.adapter.getStateAsync(`heating.units.${unit.id}.allocatorReading`))?.val;
+            entries.push([unit.id, typeof reading === 'number' && reading > 0 ? reading : 0]);
+        }
+        const readings = Object.fromEntries(entries);
+
+        const baseShare = heatingCostHelper.normalizeBaseShare(this.adapter.config.heatingBaseShare);
+        const breakdown = heatingCostHelper.calculateHeatingCosts(costsState.val, baseShare, this.units, readings);
+
+        if (breakdown.consumptionByArea) {
+            this.adapter.log.warn(
+                `[Heating] Keine Ablesewerte der Heizkostenverteiler vorhanden - Verbrauchskosten ${year} werden nach Fläche verteilt`,
+            );
+        }
+
+        const basePath = `heating.${year}`;
+        await stateManager.createHeatingYearStructure(this.adapter, year, this.units);
+        await this.adapter.setStateAsync(`${basePath}.totalCosts`, breakdown.totalCosts, true);
+        await this.adapter.setStateAsync(`${basePath}.baseCosts`, breakdown.baseCosts, true);
+        await this.adapter.setStateAsync(`${basePath}.consumptionCosts`, breakdown.consumptionCosts, true);
+        await this.adapter.setStateAsync(`${basePath}.baseShare`, breakdown.baseShare, true);
+
+        for (const unit of breakdown.units) {
+            const unitPath = `${basePath}.${unit.id}`;
+            await this.adapter.setStateAsync(`${unitPath}.area`, unit.area, true);
+            await this.adapter.setStateAsync(`${unitPath}.reading`, unit.reading, true);
+            await this.adapter.setStateAsync(`${unitPath}.baseCosts`, unit.baseCosts, true);
+            await this.adapter.setStateAsync(`${unitPath}.consumptionCosts`, unit.consumptionCosts, true);
+            await this.adapter.setStateAsync(`${unitPath}.totalCosts`, unit.totalCosts, true);
+            await this.adapter.setStateAsync(`${unitPath}.share`, unit.share, true);
+        }
+
+        await this.adapter.setStateAsync(`${basePath}.report`, JSON.stringify({ year, ...breakdown }), true);
+
+        try {
+            const file = await fileHelper.writeReportFile(
+                this.adapter,
+                `heating/heizkosten_${year}.csv`,
+                heatingCostHelper.toCSV(breakdown),
+            );
+            await this.adapter.setStateAsync(`${basePath}.reportFile`, file, true);
+        } catch (error) {
+            this.adapter.log.warn(`[Heating] CSV-Datei konnte nicht geschrieben werden: ${error.message}`);
+        }
+
+        this.adapter.log.info(
+            `[Heating] Heizkosten ${year}: ${breakdown.totalCosts} € auf ${this.units.length} Nutzeinheit(en) verteilt (${baseShare} % Grundkosten)`,
+        );
+        return breakdown;
+    }
+}
+
+module.exports = HeatingCostManager;
@@ -1,8 +1,28 @@
 'use strict';
 
 const calculator = require('./calculator');
+const { parseConfigNumber } = require('./configParser');
 const { getConfigType } = require('./utils/typeMapper');
 const stateManager = require('./stateManager');
+const consumptionHelper = require('./utils/consumptionHelper');
+const importHelper = require('./utils/importHelper');
+const importProfiles = require('./utils/importProfiles');
+
+/**
+ * Number of imports kept in the import journal
+ */
+const MAX_JOURNAL_ENTRIES = 20;
+
+/**
+ * History adapters that answer 'getHistory'
+ */
+const HISTORY_ADAPTERS = ['history', 'influxdb', 'sql'];
+
+/**
+ * Length of one 'getHistory' request (31 days) and resolution of the readings (1 hour)
+ */
+const HISTORY_CHUNK_MS = 31 * 24 * 3600 * 1000;
+const HISTORY_STEP_MS = 3600 * 1000;
 
 /**
  * ImportManager handles CSV file parsing and data importing
@@ -14,6 +34,8 @@ class ImportManager {
      */
     constructor(adapter) {
         this.adapter = adapter;
+        // Previous values of the states overwritten by the running import (id -> value)
+        this._snapshot = null;
     }
 
     /**
@@ -26,12 +48,12 @@ class ImportManager {
             return;
         }
 
-        const { type, meterName, content, format } = obj.message;
+        const { type, meterName, content, format, mode, fileName } = obj.message;
 
         this.adapter.log.info(`[Import] Starting CSV import for ${type}.${meterName} (Format: ${format || 'generic'})`);
 
         try {
-            const result = await this.processImport(type, meterName, content, format);
+            const result = await this.processImport(type, meterName, content, format, mode, fileName);
 
             if (obj.callback) {
                 this.adapter.sendTo(obj.from, obj.command, result, obj.callback);
@@ -45,216 +67,783 @@ class ImportManager {
     }
 
     /**
-     * Parses and processes the CSV content
+     * Handles the 'getImportProfiles' message from the Admin UI
      *
-     * @param {string} type - gas, water, electricity
-     * @param {string} meterName - technical name of the meter
-     * @param {string} content - raw CSV content (base64 or string)
-     * @param {string} _format - format profile (e.g. 'ehb')
+     * @param {Record<string, any>} obj - Message object
      */
-    async processImport(type, meterName, content, _format) {
-        // Decode base64 if necessary
-        let csvBody = content;
-        if (content.startsWith('data:') && content.includes('base64,')) {
-            const base64Data = content.split('base64,')[1];
-            csvBody = Buffer.from(base64Data, 'base64').toString('utf-8');
+    handleGetImportProfiles(obj) {
+        const profiles = importProfiles.getProfiles(this.adapter.config).map(p => ({
+            value: p.id,
+            label: p.builtin ? p.name : `${p.name} (eigenes Profil)`,
+            mode: p.mode,
+        }));
+        if (obj.callback) {
+            this.adapter.sendTo(obj.from, obj.command, profiles, obj.callback);
         }
+    }
 
-        const lines = csvBody.split(/\r?\n/).filter(line => line.trim() !== '');
-        if (lines.length < 2) {
-            throw new Error('Die Datei ist leer oder enthält zu wenige Daten.');
+    /**
+     * Handles the 'importHistory' message (backfill from a history/influxdb/sql instance)
+     *
+     * @param {Record<string, any>} obj - Message object
+     */
+    async handleImportHistory(obj) {
+        if (!obj || !obj.message) {
+            return;
         }
 
-        // Detect separator by looking at the first 5 lines and picking the most frequent separator
-        const possibleSeparators = [';', ',', '|', '\t'];
-        let separator = ';';
-        let maxTotalCols = 0;
+        const { type, meterName, instance, from, to } = obj.message;
 
-        for (const sep of possibleSeparators) {
-            let totalCols = 0;
-            for (let i = 0; i < Math.min(lines.length, 5); i++) {
-                totalCols += lines[i].split(sep).length;
+        this.adapter.log.info(`[Import] Starting history import for ${type}.${meterName} from ${instance}`);
+
+        try {
+            const result = await this.importFromHistory(type, meterName, instance, from, to);
+
+            if (obj.callback) {
+                this.adapter.sendTo(
+                    obj.from,
+                    obj.command,
+                    {
+                        result: `${result.count} Werte von ${result.first} bis ${result.last} importiert`,
+                        ...result,
+                    },
+                    obj.callback,
+                );
             }
-            if (totalCols > maxTotalCols) {
-                maxTotalCols = totalCols;
-                separator = sep;
+        } catch (error) {
+            this.adapter.log.error(`[Import] History import failed: ${error.message}`);
+            if (obj.callback) {
+                this.adapter.sendTo(obj.from, obj.command, { error: error.message }, obj.callback);
             }
         }
+    }
 
-        let headers = lines[0].split(separator).map(h => h.trim().toLowerCase().replace(/^"|"$/g, ''));
-
-        // Column detection
-        let dateIdx = -1;
-        let valueIdx = -1;
-
-        const dateHeaders = ['date', 'datum', 'zeit', 'timestamp', 'zeitstempel', 'day', 'tag', 'ablesedatum'];
-        const valueHeaders = [
-            'value',
-            'wert',
-            'reading',
-            'zählerstand',
-            'stand',
-            'verbrauch',
-            'amount',
-            'kwh',
-            'm³',
-            'm3',
-            'ablesewert',
-            'wasserstand',
-            'gasstand',
-            'stromstand',
-            'kaltwasser',
-            'warmwasser',
-            'energie',
-        ];
+    /**
+     * Handles the 'listImports' message (import journal without the saved values)
+     *
+     * @param {Record<string, any>} obj - Message object
+     */
+    async handleListImports(obj) {
+        const journal = await this.getJournal();
+        const imports = journal.map(({ states, ...entry }) => ({ ...entry, stateCount: states.length }));
+        if (obj.callback) {
+            this.adapter.sendTo(obj.from, obj.command, imports, obj.callback);
+        }
+    }
 
-        dateIdx = headers.findIndex(h => dateHeaders.some(dh => h.includes(dh)));
-        valueIdx = headers.findIndex(h => valueHeaders.some(vh => h.includes(vh)));
+    /**
+     * Handles the 'revertImport' message
+     *
+     * @param {Record<string, any>} obj - Message object
+     */
+    async handleRevertImport(obj) {
+        const id = obj?.message?.id;
 
-        // Special case: If header is just numbers or very common terms, try searching for the specific media name
-        if (valueIdx === -1) {
-            const mediaTerms = { gas: 'gas', water: 'wasser', electricity: 'strom', pv: 'pv' };
-            const term = mediaTerms[type];
-            valueIdx = headers.findIndex(h => h.includes(term));
+        try {
+            const result = await this.revertImport(id);
+
+            if (obj.callback) {
+                this.adapter.sendTo(obj.from, obj.command, result, obj.callback);
+            }
+        } catch (error) {
+            this.adapter.log.warn(`[Import] Revert of ${id} failed: ${error.message}`);
+            if (obj.callback) {
+                this.adapter.sendTo(obj.from, obj.command, { error: error.message }, obj.callback);
+            }
         }
+    }
 
-        // Fallback to defaults if not found by header
-        if (dateIdx === -1) {
-            dateIdx = 0;
+    /**
+     * Handles the 'previewImportCSV' message from the Admin UI (dry run, nothing is written)
+     *
+     * @param {Record<string, any>} obj - Message object
+     */
+    async handlePreviewImportCSV(obj) {
+        if (!obj || !obj.message) {
+            return;
         }
-        if (valueIdx === -1) {
-            valueIdx = 1;
+
+        const { type, meterName, content, format, mode, limit } = obj.message;
+
+        try {
+            const result = this.previewImport(type, meterName, content, format, mode, limit);
+
+            if (obj.callback) {
+                this.adapter.sendTo(obj.from, obj.command, result, obj.callback);
+            }
+        } catch (error) {
+            this.adapter.log.warn(`[Import] Preview failed: ${error.message}`);
+            if (obj.callback) {
+                this.adapter.sendTo(obj.from, obj.command, { error: error.message }, obj.callback);
+            }
         }
+    }
+
+    /**
+     * Parses the CSV content and calculates the consumption per day without writing anything
+     *
+     * @param {string} type - gas, water, electricity
+     * @param {string} meterName - technical name of the meter
+     * @param {string} content - raw CSV content (base64 or string)
+     * @param {string} format - import profile ID (e.g. 'ehb'), unknown IDs use automatic detection
+     * @param {string} [mode] - 'auto' (profile default), 'consumption' (amounts per row) or 'cumulative' (meter readings)
+     * @returns {object} Analysis (profile, parse result, effective mode, intervals, skipped readings, meter, days)
+     */
+    analyzeImport(type, meterName, content, format, mode = 'auto') {
+        const profile = importProfiles.resolveProfile(format, this.adapter.config);
+        const parsed = importHelper.parseCSV(content, type, profile);
+        const { dataPoints, headers, separator, dateIdx, valueIdx } = parsed;
 
         this.adapter.log.info(
-            `[Import] Found headers: [${headers.join(' | ')}]. Selected columns: Date="${headers[dateIdx]}" (Index ${dateIdx}), Value="${headers[valueIdx]}" (Index ${valueIdx}) (Separator: "${separator}")`,
+            `[Import] Found headers: [${headers.join(' | ')}]. Selected columns: Date="${headers[dateIdx]}" (Index ${dateIdx}), Value="${headers[valueIdx]}" (Index ${valueIdx}) (Separator: "${separator}", Profil: "${profile.name}")`,
         );
 
-        // Check if first line is actually data (contains numbers or date-like string)
-        let startIndex = 1;
-        const firstLineCols = lines[0].split(separator).map(c => c.trim().replace(/^"|"$/g, ''));
-        const dateStrFirst = firstLineCols[dateIdx] || '';
-        const isFirstLineData = !isNaN(parseFloat(firstLineCols[valueIdx])) || dateStrFirst.includes(':');
+        const effectiveMode = importHelper.resolveMode(
+            mode && mode !== 'auto' ? mode : profile.mode,
+            headers[valueIdx],
+        );
 
-        if (isFirstLineData) {
-            const hasHeaderText = headers.some(h =>
-                [...dateHeaders, ...valueHeaders].some(term => h.includes(term) && h.length > 2),
-            );
-            if (!hasHeaderText) {
-                startIndex = 0;
-                this.adapter.log.info('[Import] First line appears to be data, including it.');
-            }
-        }
+        return { profile, parsed, ...this._analyzeDataPoints(type, meterName, dataPoints, effectiveMode) };
+    }
 
-        const dataPoints = [];
-        for (let i = startIndex; i < lines.length; i++) {
-            const columns = lines[i].split(separator).map(c => c.trim().replace(/^"|"$/g, ''));
-            if (columns.length <= Math.max(dateIdx, valueIdx)) {
-                continue;
-            }
+    /**
+     * Calculates the consumption per day of sorted data points
+     *
+     * @param {string} type - Utility type
+     * @param {string} meterName - Meter name
+     * @param {Array<{line?: number, timestamp: Date, value: number}>} dataPoints - Sorted data points
+     * @param {'consumption'|'cumulative'} mode - Effective import mode
+     * @returns {{mode: 'consumption'|'cumulative', intervals: Array<object>, resets: Array<object>, meter: object|undefined, days: Array<object>}} Analysis
+     */
+    _analyzeDataPoints(type, meterName, dataPoints, mode) {
+        const { intervals, resets } = importHelper.toIntervals(dataPoints, mode);
+
+        // Meter config for dated Brennwert/Z-Zahl (falls back to global values for unknown meters)
+        const meters = this.adapter.multiMeterManager?.getMetersForType(type) || [];
+        const meter = meters.find(m => m.name === meterName);
+        const meterConfig = meter?.config || {
+            brennwert: parseConfigNumber(this.adapter.config.gasBrennwert, calculator.DEFAULTS.GAS_BRENNWERT),
+            zZahl: parseConfigNumber(this.adapter.config.gasZahl, calculator.DEFAULTS.GAS_Z_ZAHL),
+        };
 
-            const dateStr = columns[dateIdx];
-            const valueStr = columns[valueIdx];
+        const days = this._buildDailyValues(type, meterName, meter, meterConfig, intervals, mode);
 
-            let timestamp = null;
-            let value = calculator.ensureNumber(valueStr);
+        return { mode, intervals, resets, meter, days };
+    }
 
-            // Robust Date Parsing
-            timestamp = calculator.parseDateString(dateStr);
+    /**
+     * Builds the validation report of an import without writing any state
+     *
+     * @param {string} type - gas, water, electricity
+     * @param {string} meterName - technical name of the meter
+     * @param {string} content - raw CSV content (base64 or string)
+     * @param {string} format - import profile ID
+     * @param {string} [mode] - 'auto', 'consumption' or 'cumulative'
+     * @param {number} [limit] - Number of parsed rows to return (default 20)
+     * @returns {object} Preview report
+     */
+    previewImport(type, meterName, content, format, mode = 'auto', limit = 20) {
+        const analysis = this.analyzeImport(type, meterName, content, format, mode);
+        const { dataPoints, rejected, headers, separator, dateIdx, valueIdx } = analysis.parsed;
+        const currentYear = new Date().getFullYear();
 
-            if (!timestamp && !isNaN(Number(dateStr)) && dateStr.length > 10) {
-                // Possibly Unix Timestamp (ms)
-                timestamp = new Date(Number(dateStr));
+        // Rejected rows: unreadable rows from parsing and falling readings (cumulative mode)
+        const allRejected = [
+            ...rejected,
+            ...analysis.resets.map(r => ({
+                line: r.line,
+                content: `${r.timestamp.toLocaleDateString()}: ${r.value}`,
+                reason: `Zählerstand fällt (${r.previous} → ${r.value}), Abschnitt wird übersprungen`,
+            })),
+        ].sort((a, b) => (a.line || 0) - (b.line || 0));
+
+        const years = [...new Set(analysis.days.map(d => d.date.getFullYear()))].map(year => {
+            const from = new Date(year, 0, 1).getTime();
+            const to = new Date(year + 1, 0, 1).getTime();
+            const aggregate = {
+                year,
+                consumption: calculator.roundToDecimals(
+                    importHelper.sumRange(analysis.days, from, to, 'consumption'),
+                    2,
+                ),
+                costs: calculator.roundToDecimals(importHelper.sumRange(analysis.days, from, to, 'costs'), 2),
+                months: new Set(analysis.days.filter(d => d.date.getFullYear() === year).map(d => d.date.getMonth()))
+                    .size,
+                yearlyHistory: year < currentYear,
+            };
+            if (type === 'gas') {
+                aggregate.volume = calculator.roundToDecimals(
+                    importHelper.sumRange(analysis.days, from, to, 'volume'),
+                    2,
+                );
             }
+            return aggregate;
+        });
 
-            if (timestamp && !isNaN(timestamp.getTime()) && value > 0) {
-                dataPoints.push({ timestamp, value });
-            }
-        }
+        return {
+            success: true,
+            preview: true,
+            profile: analysis.profile.name,
+            mode: analysis.mode,
+            separator,
+            columns: {
+                date: { index: dateIdx, header: headers[dateIdx] },
+                value: { index: valueIdx, header: headers[valueIdx] },
+            },
+            count: dataPoints.length,
+            rows: dataPoints.slice(0, Number(limit) > 0 ? Number(limit) : 20).map(dp => ({
+                line: dp.line,
+                date: dp.timestamp.toISOString(),
+                value: dp.value,
+            })),
+            rejectedCount: allRejected.length,
+            rejected: allRejected.slice(0, 100),
+            years,
+            updatesCurrentPeriods: !!(analysis.meter && !analysis.meter.config.virtual),
+            first: dataPoints[0]?.timestamp.toLocaleDateString() || '',
+            last: dataPoints[dataPoints.length - 1]?.timestamp.toLocaleDateString() || '',
+        };
+    }
+
+    /**
+     * Parses and processes the CSV content
+     *
+     * @param {string} type - gas, water, electricity
+     * @param {string} meterName - technical name of the meter
+     * @param {string} content - raw CSV content (base64 or string)
+     * @param {string} format - import profile ID (e.g. 'ehb'), unknown IDs use automatic detection
+     * @param {string} [mode] - 'auto' (profile default), 'consumption' (amounts per row) or 'cumulative' (meter readings)
+     * @param {string} [fileName] - Name of the imported file (for the import journal)
+     */
+    async processImport(type, meterName, content, format, mode = 'auto', fileName = '') {
+        const analysis = this.analyzeImport(type, meterName, content, format, mode);
+        const { dataPoints, headers, firstDataLine } = analysis.parsed;
 
         if (dataPoints.length === 0) {
             this.adapter.log.warn(
-                `[Import] No valid data found. Headers: ${headers.join('|')}, First Data Line: ${lines[1]}`,
+                `[Import] No valid data found. Headers: ${headers.join('|')}, First Data Line: ${firstDataLine}`,
             );
             throw new Error(
                 'Keine gültigen Datenpunkte gefunden. Bitte sicherstellen, dass die Datei Spalten für Datum und Wert enthält.',
             );
         }
 
-        // Sort by timestamp
-        dataPoints.sort((a, b) => a.timestamp.getTime() - b.timestamp.getTime());
+        return this._applyImport(type, meterName, dataPoints, analysis, {
+            fileName: fileName || '',
+            profile: analysis.profile.name,
+        });
+    }
+
+    /**
+     * Backfills the history of a meter from the readings logged by a history, influxdb or sql instance
+     *
+     * @param {string} type - gas, water, electricity, pv
+     * @param {string} meterName - technical name of a configured meter
+     * @param {string} instance - history instance, e.g. 'history.0'
+     * @param {string|number} from - start of the range (date string or timestamp)
+     * @param {string|number} [to] - end of the range (default: now)
+     */
+    async importFromHistory(type, meterName, instance, from, to) {
+        const meters = this.adapter.multiMeterManager?.getMetersForType(type) || [];
+        const meter = meters.find(m => m.name === meterName);
+        if (!meter || meter.config.virtual) {
+            throw new Error(`Zähler "${type}.${meterName}" ist nicht konfiguriert.`);
+        }
+        if (!meter.config.sensorDP) {
+            throw new Error(`Zähler "${type}.${meterName}" hat keinen Sensor-Datenpunkt.`);
+        }
+        if (!instance || !HISTORY_ADAPTERS.includes(String(instance).split('.')[0])) {
+            throw new Error('Bitte eine history-, influxdb- oder sql-Instanz auswählen.');
+        }
+
+        const start = new Date(from).getTime();
+        const end = to ? new Date(to).getTime() : Date.now();
+        if (isNaN(start) || isNaN(end) || start >= end) {
+            throw new Error('Bitte einen gültigen Zeitraum angeben.');
+        }
+
+        // Power and pulse sensors deliver no meter readings: use the counter kept by the adapter
+        const historyId =
+            meter.config.sensorMode && meter.config.sensorMode !== 'counter'
+                ? `${this.adapter.namespace}.${type}.${meterName}.info.sensorCounter`
+                : meter.config.sensorDP;
+
+        // Sensor values are converted into the unit of the meter as in MultiMeterManager._preprocessValue
+        const unitFactor = meter.config.unitFactor || 1;
+        const dataPoints = (await this._readHistory(instance, historyId, start, end)).map(dp => ({
+            ...dp,
+            value: dp.value * unitFactor,
+        }));
+        if (dataPoints.length === 0) {
+            throw new Error(`${instance} hat für ${historyId} im gewählten Zeitraum keine Werte geliefert.`);
+        }
+
+        // The datapoint delivers meter readings, the same aggregation as for a CSV file with readings applies
+        const analysis = this._analyzeDataPoints(type, meterName, dataPoints, 'cumulative');
+
+        return this._applyImport(type, meterName, dataPoints, analysis, {
+            fileName: `${instance}: ${historyId}`,
+            profile: 'Historie',
+        });
+    }
 
+    /**
+     * Reads the logged values of a datapoint in chunks of one month (hourly maximum)
+     *
+     * @param {string} instance - history instance
+     * @param {string} id - Datapoint ID
+     * @param {number} start - Start timestamp
+     * @param {number} end - End timestamp
+     * @returns {Promise<Array<{timestamp: Date, value: number}>>} Sorted data points
+     */
+    async _readHistory(instance, id, start, end) {
+        const dataPoints = [];
+
+        for (let chunkStart = start; chunkStart < end; chunkStart += HISTORY_CHUNK_MS) {
+            const chunkEnd = Math.min(chunkStart + HISTORY_CHUNK_MS, end);
+            const response = await this.adapter.sendToAsync(instance, 'getHistory', {
+                id,
+                options: {
+                    start: chunkStart,
+                    end: chunkEnd,
+                    aggregate: 'max',
+                    step: HISTORY_STEP_MS,
+                    ignoreNull: true,
+                    removeBorderValues: true,
+                },
+            });
+            if (response?.error) {
+                throw new Error(`${instance}: ${response.error}`);
+            }
+
+            for (const entry of response?.result || []) {
+                const value = calculator.ensureNumber(entry.val);
+                if (typeof entry.ts === 'number' && value > 0 && entry.ts >= chunkStart && entry.ts < chunkEnd) {
+                    dataPoints.push({ timestamp: new Date(entry.ts), value });
+                }
+            }
+        }
+
+        return dataPoints.sort((a, b) => a.timestamp.getTime() - b.timestamp.getTime());
+    }
+
+    /**
+     * Writes the analyzed data points and records the import in the import journal
+     *
+     * @param {string} type - Utility type
+     * @param {string} meterName - Meter name
+     * @param {Array<{timestamp: Date, value: number}>} dataPoints - Sorted data points
+     * @param {{mode: string, resets: Array<object>, meter: object|undefined, days: Array<object>}} analysis - Result of _analyzeDataPoints
+     * @param {{fileName: string, profile: string}} source - Source of the data for the journal
+     * @returns {Promise<Record<string, any>>} Import result
+     */
+    async _applyImport(type, meterName, dataPoints, analysis, source) {
         this.adapter.log.info(
             `[Import] Found ${dataPoints.length} valid records from ${dataPoints[0].timestamp.toLocaleDateString()} to ${dataPoints[dataPoints.length - 1].timestamp.toLocaleDateString()}`,
         );
 
-        // Pure History Import: Aggregates only
+        if (analysis.mode === 'cumulative' && dataPoints.length < 2) {
+            throw new Error('Für Zählerstände werden mindestens zwei Ablesungen benötigt.');
+        }
+        if (analysis.resets.length > 0) {
+            this.adapter.log.warn(
+                `[Import] ${analysis.resets.length} fallende(r) Zählerstand/-stände erkannt (Zählerwechsel?) - diese Abschnitte wurden übersprungen`,
+            );
+        }
+
         const basePath = `${type}.${meterName}`;
+        const { meter, days } = analysis;
+        const timestamp = Date.now();
+        const first = dataPoints[0].timestamp.toLocaleDateString();
+        const last = dataPoints[dataPoints.length - 1].timestamp.toLocaleDateString();
 
         // Ensure channel and metadata structure
         await this.ensureMeterObjects(type, meterName);
 
+        // Every state overwritten from here on is saved in the import journal first
+        this._snapshot = new Map();
+        let snapshot;
+        try {
+            await this._writeHistory(type, meterName, days);
+            this.adapter.forecastManager?.invalidate(type, meterName);
+
+            // Configured (real) meters: fill the running periods and statistics as well
+            if (meter && !meter.config.virtual && days.length > 0) {
+                await this._updateCurrentPeriods(type, meter, days);
+            }
+
+            // Update metadata
+            await this._saveSnapshot(`${basePath}.lastImport`);
+            await this.adapter.setStateAsync(`${basePath}.lastImport`, timestamp, true);
+        } finally {
+            snapshot = this._snapshot;
+            this._snapshot = null;
+        }
+
+        const id = `import_${timestamp}`;
+        await this._addJournalEntry({
+            id,
+            timestamp,
+            type,
+            meterName,
+            fileName: source.fileName,
+            profile: source.profile,
+            mode: analysis.mode,
+            count: dataPoints.length,
+            first,
+            last,
+            reverted: 0,
+            states: [...snapshot].map(([stateId, val]) => ({ id: stateId, val })),
+        });
+
+        return {
+            success: true,
+            id,
+            count: dataPoints.length,
+            mode: analysis.mode,
+            first,
+            last,
+        };
+    }
+
+    /**
+     * Restores the states overwritten by an import from the import journal.
+     * Imports touching the same states have to be reverted newest first.
+     *
+     * @param {string} id - Journal entry ID
+     * @returns {Promise<{success: boolean, id: string, restored: number}>} Result
+     */
+    async revertImport(id) {
+        const journal = await this.getJournal();
+        const entry = journal.find(e => e.id === id);
+        if (!entry) {
+            throw new Error(`Import "${id}" nicht im Import-Journal gefunden.`);
+        }
+        if (entry.reverted) {
+            throw new Error('Dieser Import wurde bereits rückgängig gemacht.');
+        }
+
+        const ids = new Set(entry.states.map(s => s.id));
+        const newer = journal.find(
+            e => !e.reverted && e.timestamp > entry.timestamp && e.states.some(s => ids.has(s.id)),
+        );
+        if (newer) {
+            throw new Error(
+                `Bitte zuerst den neueren Import vom ${new Date(newer.timestamp).toLocaleString()} (${newer.fileName || newer.id}) rückgängig machen.`,
+            );
+        }
+
+        // States that did not exist before the import are reset to their default 0
+        for (const state of entry.states) {
+            await this.adapter.setStateAsync(state.id, state.val ?? 0, true);
+        }
+
+        this.adapter.forecastManager?.invalidate(entry.type, entry.meterName);
+
+        // Recalculate the derived costs and totals of a configured meter
+        const meters = this.adapter.multiMeterManager?.getMetersForType(entry.type) || [];
+        const meter = meters.find(m => m.name === entry.meterName);
+        if (meter && !meter.config.virtual) {
+            const multiMeterManager = this.adapter.multiMeterManager;
+            const yearly =
+                (await this.adapter.getStateAsync(`${entry.type}.${meter.name}.consumption.yearly`))?.val || 0;
+            await multiMeterManager.updateCosts(entry.type, meter.name, meter.config, yearly);
+            await multiMeterManager.updateVirtualMeters(entry.type, meter.name);
+            await multiMeterManager.updateTotalCosts(entry.type);
+        }
+
+        entry.reverted = Date.now();
+        await this._saveJournal(journal);
+
+        this.adapter.log.info(
+            `[Import] Import ${id} (${entry.type}.${entry.meterName}) rückgängig gemacht, ${entry.states.length} Datenpunkte wiederhergestellt`,
+        );
+
+        return { success: true, id, restored: entry.states.length };
+    }
+
+    /**
+     * Reads the import journal (newest import first)
+     *
+     * @returns {Promise<Array<Record<string, any>>>} Journal entries
+     */
+    async getJournal() {
+        const state = await this.adapter.getStateAsync('info.importJournal');
+        if (!state || !state.val) {
+            return [];
+        }
+        try {
+            const journal = JSON.parse(String(state.val));
+            return Array.isArray(journal) ? journal : [];
+        } catch (error) {
+            this.adapter.log.warn(`[Import] Import journal could not be read: ${error.message}`);
+            return [];
+        }
+    }
+
+    /**
+     * Adds an entry to the import journal, the oldest entries are dropped
+     *
+     * @param {Record<string, any>} entry - Journal entry
+     */
+    async _addJournalEntry(entry) {
+        const journal = await this.getJournal();
+        await this._saveJournal([entry, ...journal].slice(0, MAX_JOURNAL_ENTRIES));
+    }
+
+    /**
+     * Writes the import journal
+     *
+     * @param {Array<Record<string, any>>} journal - Journal entries
+     */
+    async _saveJournal(journal) {
+        await this.ensureJournalObject();
+        await this.adapter.setStateAsync('info.importJournal', JSON.stringify(journal), true);
+    }
+
+    /**
+     * Saves the current value of a state before the running import overwrites it
+     *
+     * @param {string} id - State ID
+     */
+    async _saveSnapshot(id) {
+        if (!this._snapshot || this._snapshot.has(id)) {
+            return;
+        }
+        const state = await this.adapter.getStateAsync(id);
+        this._snapshot.set(id, state ? state.val : null);
+    }
+
+    /**
+     * Converts the import intervals into consumption, gas volume and costs per day
+     *
+     * @param {string} type - Utility type
+     * @param {string} meterName - Meter name
+     * @param {object|undefined} meter - Configured meter (undefined for pure import folders)
+     * @param {object} meterConfig - Meter configuration used for the gas conversion
+     * @param {Array<{start: Date, end: Date, value: number}>} intervals - Consumption intervals
+     * @param {'consumption'|'cumulative'} mode - Import mode
+     * @returns {Array<{day: string, date: Date, value: number, consumption: number, volume: number, costs: number}>} Values per day
+     */
+    _buildDailyValues(type, meterName, meter, meterConfig, intervals, mode) {
+        const basePrice = this.adapter.config[`${getConfigType(type)}Preis`] || 0;
+
+        return importHelper.distributeByDay(intervals).map(day => {
+            let consumption = day.value;
+            let volume = 0;
+
+            if (type === 'gas') {
+                // Gas meters count m³, consumption amounts are given in kWh
+                const factors = consumptionHelper.getGasFactorsAt(meterConfig, day.date);
+                if (mode === 'cumulative') {
+                    volume = day.value;
+                    consumption = day.value * factors.factor;
+                } else {
+                    volume = day.value / factors.factor;
+                }
+            }
+
+            const price = meter
+                ? this.adapter.multiMeterManager.resolvePrice(type, meterName, meter.config, day.date).price
+                : basePrice;
+
+            return { ...day, consumption, volume, costs: consumption * price };
+        });
+    }
+
+    /**
+     * Writes the per-month history and the yearly history of completed years
+     *
+     * @param {string} type - Utility type
+     * @param {string} meterName - Meter name
+     * @param {Array<{date: Date, consumption: number, volume: number, costs: number}>} days - Values per day
+     */
+    async _writeHistory(type, meterName, days) {
+        const basePath = `${type}.${meterName}`;
         const currentYear = new Date().getFullYear();
-        const yearStats = {};
-
-        let count = 0;
-        for (const dp of dataPoints) {
-            try {
-                const year = dp.timestamp.getFullYear();
-
-                // Group by year for history states
-                if (year < currentYear) {
-                    if (!yearStats[year]) {
-                        yearStats[year] = { consumption: 0, volume: 0, count: 0 };
-                        await stateManager.createHistoryStructure(this.adapter, type, meterName, year);
-                    }
-                    yearStats[year].consumption += dp.value;
-                    if (type === 'gas') {
-                        const brennwert = this.adapter.config.gasBrennwert || calculator.DEFAULTS.GAS_BRENNWERT;
-                        const zZahl = this.adapter.config.gasZahl || calculator.DEFAULTS.GAS_Z_ZAHL;
-                        yearStats[year].volume += dp.value / (brennwert * zZahl);
-                    }
-                    yearStats[year].count++;
+        const years = [...new Set(days.map(d => d.date.getFullYear()))];
+
+        for (const year of years) {
+            const yearStart = new Date(year, 0, 1).getTime();
+            const yearEnd = new Date(year + 1, 0, 1).getTime();
+            await stateManager.createHistoryStructure(this.adapter, type, meterName, year);
+
+            for (let month = 1; month <= 12; month++) {
+                const from = new Date(year, month - 1, 1).getTime();
+                const to = new Date(year, month, 1).getTime();
+                if (!days.some(d => d.date.getTime() >= from && d.date.getTime() < to)) {
+                    continue;
                 }
 
-                // No individual writing to meterReading state needed for pure history
-                count++;
-            } catch (e) {
-                this.adapter.log.error(`[Import] Error writing data point ${dp.timestamp.toISOString()}: ${e.message}`);
+                const mPath = `${basePath}.history.${year}.months.${String(month).padStart(2, '0')}`;
+                await stateManager.createHistoryMonthStructure(this.adapter, type, meterName, year, month);
+                await this._setRounded(`${mPath}.consumption`, importHelper.sumRange(days, from, to, 'consumption'));
+                await this._setRounded(`${mPath}.costs`, importHelper.sumRange(days, from, to, 'costs'));
+                if (type === 'gas') {
+                    await this._setRounded(`${mPath}.volume`, importHelper.sumRange(days, from, to, 'volume'));
+                }
+            }
+
+            // Yearly totals only for completed years, the running year is covered by the period states
+            if (year < currentYear) {
+                const hPath = `${basePath}.history.${year}`;
+                await this._setRounded(
+                    `${hPath}.consumption`,
+                    importHelper.sumRange(days, yearStart, yearEnd, 'consumption'),
+                );
+                await this._setRounded(`${hPath}.costs`, importHelper.sumRange(days, yearStart, yearEnd, 'costs'));
+                if (type === 'gas') {
+                    await this._setRounded(
+                        `${hPath}.volume`,
+                        importHelper.sumRange(days, yearStart, yearEnd, 'volume'),
+                    );
+                }
             }
         }
+    }
 
-        // Write aggregated history states
-        for (const year in yearStats) {
-            const hPath = `${basePath}.history.${year}`;
-            const stats = yearStats[year];
-            await this.adapter.setStateAsync(
-                `${hPath}.consumption`,
-                calculator.roundToDecimals(stats.consumption, 2),
-                true,
-            );
+    /**
+     * Fills the running period states and the statistics of a configured meter from imported days.
+     * Period values are only raised, so consumption already tracked live is not counted twice.
+     * The running year of a meter with an initial reading is left to the meter reading.
+     *
+     * @param {string} type - Utility type
+     * @param {{name: string, config: object}} meter - Configured meter
+     * @param {Array<{date: Date, consumption: number, volume: number, costs: number}>} days - Values per day
+     */
+    async _updateCurrentPeriods(type, meter, days) {
+        const basePath = `${type}.${meter.name}`;
+        const multiMeterManager = this.adapter.multiMeterManager;
+        const startOfDay = ts => {
+            const d = new Date(ts);
+            return new Date(d.getFullYear(), d.getMonth(), d.getDate()).getTime();
+        };
+        const shift = (ts, unit, amount) => {
+            const d = new Date(ts);
+            if (unit === 'day') {
+                d.setDate(d.getDate() + amount);
+            } else if (unit === 'month') {
+                d.setMonth(d.getMonth() + amount);
+            } else {
+                d.setFullYear(d.getFullYear() + amount);
+            }
+            return d.getTime();
+        };
+
+        const firstDay = days[0].date.getTime();
+        const lastDay = days[days.length - 1].date.getTime();
+        const end = shift(startOfDay(Date.now()), 'day', 1);
+
+        const periods = [
+            {
+                period: 'daily',
+                timestamp: 'lastDayStart',
+                stat: 'lastDay',
+                average: 'averageDaily',
+                unit: 'day',
+                size: 1,
+            },
+            { period: 'weekly', timestamp: 'lastWeekStart', stat: 'lastWeek', unit: 'day', size: 7 },
+            {
+                period: 'monthly',
+                timestamp: 'lastMonthStart',
+                stat: 'lastMonth',
+                average: 'averageMonthly',
+                unit: 'month',
+                size: 1,
+            },
+            { period: 'yearly', timestamp: 'lastYearStart', stat: 'lastYear', unit: 'year', size: 1 },
+        ];
+
+        for (const p of periods) {
+            const tsState = await this.adapter.getStateAsync(`${basePath}.statistics.timestamps.${p.timestamp}`);
+            if (typeof tsState?.val !== 'number' || tsState.val <= 0) {
+                continue;
+            }
+            const periodStart = startOfDay(tsState.val);
+
+            // Running period. With an initial reading the yearly consumption follows the meter reading
+            // (recalculated on every sensor update), an imported value would be overwritten.
+            const fromReading = p.period === 'yearly' && meter.config.initialReading > 0;
+            const imported = importHelper.sumRange(days, periodStart, end, 'consumption');
+            const existing = (await this.adapter.getStateAsync(`${basePath}.consumption.${p.period}`))?.val || 0;
+            if (!fromReading && imported > existing) {
+                await this._setRounded(`${basePath}.consumption.${p.period}`, imported);
+                if (type === 'gas') {
+                    await this._setRounded(
+                        `${basePath}.consumption.${p.period}Volume`,
+                        importHelper.sumRange(days, periodStart, end, 'volume'),
+                    );
+                }
+                if (multiMeterManager.isCostAccumulated(meter.config)) {
+                    const importedCosts = importHelper.sumRange(days, periodStart, end, 'costs');
+                    await this._saveSnapshot(`${basePath}.costs.${p.period}`);
+                    await multiMeterManager._addToCostState(
+                        `${basePath}.costs.${p.period}`,
+                        importedCosts * (1 - existing / imported),
+                    );
+                }
+            }
+
+            // Previous period (statistics), only if the import covers it completely
+            const previousStart = shift(periodStart, p.unit, -p.size);
+            if (firstDay > previousStart || lastDay < shift(periodStart, 'day', -1)) {
+                continue;
+            }
+            const consumption = importHelper.sumRange(days, previousStart, periodStart, 'consumption');
+            const costs = importHelper.sumRange(days, previousStart, periodStart, 'costs');
+            await this._setRounded(`${basePath}.statistics.consumption.${p.stat}`, consumption);
+            await this._setRounded(`${basePath}.statistics.cost.${p.stat}`, costs);
             if (type === 'gas') {
-                await this.adapter.setStateAsync(`${hPath}.volume`, calculator.roundToDecimals(stats.volume, 2), true);
+                await this._setRounded(
+                    `${basePath}.statistics.consumption.${p.stat}Volume`,
+                    importHelper.sumRange(days, previousStart, periodStart, 'volume'),
+                );
+            }
+            if (p.average) {
+                await this._setRounded(`${basePath}.statistics.consumption.${p.average}`, consumption);
+                await this._setRounded(`${basePath}.statistics.cost.${p.average}`, costs);
             }
-            // Recalculate costs for history year roughly using current price
-            const configType = getConfigType(type);
-            const price = this.adapter.config[`${configType}Preis`] || 0;
-            await this.adapter.setStateAsync(
-                `${hPath}.costs`,
-                calculator.roundToDecimals(stats.consumption * price, 2),
-                true,
-            );
         }
 
-        // Update metadata for pure history import
-        await this.adapter.setStateAsync(`${basePath}.lastImport`, Date.now(), true);
+        const yearly = (await this.adapter.getStateAsync(`${basePath}.consumption.yearly`))?.val || 0;
+        await multiMeterManager.updateCosts(type, meter.name, meter.config, yearly);
+        await multiMeterManager.updateVirtualMeters(type, meter.name);
+        await multiMeterManager.updateTotalCosts(type);
+    }
 
-        return {
-            success: true,
-            count: count,
-            first: dataPoints[0].timestamp.toLocaleDateString(),
-            last: dataPoints[dataPoints.length - 1].timestamp.toLocaleDateString(),
-        };
+    /**
+     * Writes a value rounded to 2 decimals (the previous value is saved for the import journal)
+     *
+     * @param {string} id - State ID
+     * @param {number} value - Value
+     */
+    async _setRounded(id, value) {
+        await this._saveSnapshot(id);
+        await this.adapter.setStateAsync(id, calculator.roundToDecimals(value, 2), true);
+    }
+
+    /**
+     * Ensures that the import journal state exists
+     */
+    async ensureJournalObject() {
+        await this.adapter.setObjectNotExistsAsync('info', {
+            type: 'channel',
+            common: { name: 'General Information' },
+            native: {},
+        });
+        await this.adapter.setObjectNotExistsAsync('info.importJournal', {
+            type: 'state',
+            common: {
+                name: 'Import-Journal (JSON)',
+                type: 'string',
+                role: 'json',
+                read: true,
+                write: false,
+                def: '[]',
+            },
+            native: {},
+        });
     }
 
     /**
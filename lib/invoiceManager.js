@@ -0,0 +1,133 @@
+'use strict';
+
+const stateManager = require('./stateManager');
+const billingHelper = require('./utils/billingHelper');
+
+/**
+ * InvoiceManager takes over the supplier's final invoice of a closed billing period,
+ * compares it with the archived estimate of the adapter and uses the invoiced
+ * consumption as baseline of the forecast for the next installment.
+ */
+class InvoiceManager {
+    /**
+     * @param {object} adapter - ioBroker adapter instance
+     */
+    constructor(adapter) {
+        this.adapter = adapter;
+    }
+
+    /**
+     * Handles a user input on the invoice states (type.meter.billing.invoice.<id>)
+     *
+     * @param {string} id - Full state ID
+     * @param {ioBroker.State} state - State object
+     * @returns {Promise<boolean>} True if the state belonged to an invoice
+     */
+    async handleStateChange(id, state) {
+        const localId = id.startsWith(`${this.adapter.namespace}.`) ? id.slice(this.adapter.namespace.length + 1) : id;
+        const parts = localId.split('.');
+        if (parts.length !== 5 || parts[2] !== 'billing' || parts[3] !== 'invoice' || state.ack) {
+            return false;
+        }
+
+        const [type, meterName] = parts;
+        if (parts[4] === 'save') {
+            if (state.val === true) {
+                await this.saveInvoice(type, meterName);
+            }
+            await this.adapter.setStateAsync(localId, false, true);
+            return true;
+        }
+
+        // Confirm manual inputs (year, consumption, amount, settlement)
+        await this.adapter.setStateAsync(localId, state.val, true);
+        return true;
+    }
+
+    /**
+     * Stores the entered invoice in history.<year>, calculates the estimation error
+     * and the recommended installment
+     *
+     * @param {string} type - Utility type
+     * @param {string} meterName - Meter name
+     * @returns {Promise<boolean>} True if the invoice was saved
+     */
+    async saveInvoice(type, meterName) {
+        const basePath = `${type}.${meterName}`;
+        const input = async key => {
+            const val = (await this.adapter.getStateAsync(`${basePath}.billing.invoice.${key}`))?.val;
+            return typeof val === 'number' ? val : 0;
+        };
+
+        const year = await input('year');
+        const invoice = {
+            consumption: await input('consumption'),
+            amount: await input('amount'),
+            settlement: await input('settlement'),
+        };
+
+        const historyPath = `${basePath}.history.${year}`;
+        const estimatedConsumption = (await this.adapter.getStateAsync(`${historyPath}.yearly`))?.val;
+        if (!year || typeof estimatedConsumption !== 'number') {
+            this.adapter.log.error(
+                `❌ Rechnung für ${basePath}: kein abgeschlossener Abrechnungszeitraum für das Jahr ${year || '(leer)'} in history gefunden.`,
+            );
+            return false;
+        }
+        if (invoice.consumption <= 0 || invoice.amount <= 0) {
+            this.adapter.log.error(
+                `❌ Rechnung für ${basePath}: bitte Verbrauch und Rechnungsbetrag laut Rechnung eintragen.`,
+            );
+            return false;
+        }
+
+        const estimate = {
+            consumption: estimatedConsumption,
+            costs: (await this.adapter.getStateAsync(`${historyPath}.totalYearly`))?.val || 0,
+            balance: (await this.adapter.getStateAsync(`${historyPath}.balance`))?.val || 0,
+        };
+        const error = billingHelper.calculateEstimationError(estimate, invoice);
+
+        await stateManager.createHistoryInvoiceStructure(this.adapter, type, meterName, year);
+        for (const [key, value] of Object.entries(invoice)) {
+            await this.adapter.setStateAsync(`${historyPath}.invoice.${key}`, value, true);
+        }
+        for (const [key, value] of Object.entries(error)) {
+            await this.adapter.setStateAsync(`${historyPath}.estimationError.${key}`, value, true);
+        }
+
+        this.adapter.log.info(
+            `🧾 Rechnung ${year} für ${basePath} übernommen: Verbrauch ${error.consumption} %, Kosten ${error.amount} %, Saldo ${error.balance} € Abweichung zur Schätzung des Adapters`,
+        );
+
+        await this.updateRecommendation(type, meterName);
+        return true;
+    }
+
+    /**
+     * Recalculates the forecast with the invoiced consumption as baseline
+     *
+     * @param {string} type - Utility type
+     * @param {string} meterName - Meter name
+     */
+    async updateRecommendation(type, meterName) {
+        const meters = this.adapter.multiMeterManager?.getMetersForType(type) || [];
+        const meter = meters.find(m => m.name === meterName);
+        if (!meter || !this.adapter.forecastManager) {
+            return;
+        }
+
+        const config = meter.config;
+        this.adapter.forecastManager.invalidate(type, meterName);
+        await this.adapter.forecastManager.updateForecast(type, meterName, config);
+
+        const recommended = (await this.adapter.getStateAsync(`${type}.${meterName}.billing.recommendedAbschlag`))?.val;
+        if (typeof recommended === 'number' && config.abschlag && Math.abs(recommended - config.abschlag) >= 1) {
+            this.adapter.log.info(
+                `💡 Empfohlener Abschlag für ${type}.${meterName}: ${recommended} €/Monat (konfiguriert: ${config.abschlag} €/Monat)`,
+            );
+        }
+    }
+}
+
+module.exports = InvoiceManager;
@@ -359,6 +359,21 @@ class MessagingHandler {
                 message += `Saldo: *${balanceStr} €* (${status})\\n`;
             }
 
+            // Forecast until the end of the billing period (sum of all meters)
+            let projectedBalance = 0;
+            let recommendedAbschlag = 0;
+            for (const meter of meters) {
+                const billingPath = `${type}.${meter.name}.billing`;
+                projectedBalance += (await this.adapter.getStateAsync(`${billingPath}.projectedBalance`))?.val || 0;
+                recommendedAbschlag +=
+                    (await this.adapter.getStateAsync(`${billingPath}.recommendedAbschlag`))?.val || 0;
+            }
+            if (recommendedAbschlag > 0) {
+                const status = projectedBalance >= 0 ? '✅ Guthaben' : '❌ Nachzahlung';
+                message += `Prognose Abrechnung: *${projectedBalance.toFixed(2)} €* (${status})\\n`;
+                message += `Empfohlener Abschlag: ${recommendedAbschlag.toFixed(0)} €/Monat\\n`;
+            }
+
             message += `\\n`;
         }
 
@@ -9,7 +9,7 @@ class MeterRegistry {
      * Initializes the registry
      */
     constructor() {
-        // Maps sensorDP to array of {type, meterName}
+        // Maps sensorDP to array of {type, meterName, role}
         this.registry = {};
     }
 
@@ -19,8 +19,9 @@ class MeterRegistry {
      * @param {string} sensorDP - Sensor data point ID
      * @param {string} type - Utility type (gas, water, electricity, pv)
      * @param {string} meterName - Name of the meter
+     * @param {string} [role] - What the datapoint delivers for this meter (consumption, price, export, generation)
      */
-    register(sensorDP, type, meterName) {
+    register(sensorDP, type, meterName, role = 'consumption') {
         if (!sensorDP) {
             return;
         }
@@ -30,10 +31,12 @@ class MeterRegistry {
         }
 
         // Check if already registered
-        const exists = this.registry[sensorDP].some(entry => entry.type === type && entry.meterName === meterName);
+        const exists = this.registry[sensorDP].some(
+            entry => entry.type === type && entry.meterName === meterName && entry.role === role,
+        );
 
         if (!exists) {
-            this.registry[sensorDP].push({ type, meterName });
+            this.registry[sensorDP].push({ type, meterName, role });
         }
     }
 
@@ -41,7 +44,7 @@ class MeterRegistry {
      * Finds all meters associated with a sensor
      *
      * @param {string} sensorDP - Sensor data point ID
-     * @returns {Array<{type: string, meterName: string}>} Array of meter entries
+     * @returns {Array<{type: string, meterName: string, role: string}>} Array of meter entries
      */
     findBySensor(sensorDP) {
         return this.registry[sensorDP] || [];
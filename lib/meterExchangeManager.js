@@ -0,0 +1,146 @@
+'use strict';
+
+const calculator = require('./calculator');
+const stateManager = require('./stateManager');
+
+/**
+ * MeterExchangeManager takes over a meter exchange entered by the user
+ * (final reading of the old meter, start reading of the new meter, date),
+ * lets MultiMeterManager continue the readings without losing consumption and
+ * records the exchange in history.<year>.meterExchanges.
+ */
+class MeterExchangeManager {
+    /**
+     * @param {object} adapter - ioBroker adapter instance
+     */
+    constructor(adapter) {
+        this.adapter = adapter;
+    }
+
+    /**
+     * Handles a user input on the exchange states (type.meter.exchange.<id>)
+     *
+     * @param {string} id - Full state ID
+     * @param {ioBroker.State} state - State object
+     * @returns {Promise<boolean>} True if the state belonged to a meter exchange
+     */
+    async handleStateChange(id, state) {
+        const localId = id.startsWith(`${this.adapter.namespace}.`) ? id.slice(this.adapter.namespace.length + 1) : id;
+        const parts = localId.split('.');
+        if (parts.length !== 4 || parts[2] !== 'exchange' || state.ack) {
+            return false;
+        }
+
+        const [type, meterName] = parts;
+        if (parts[3] === 'execute') {
+            if (state.val === true) {
+                await this.exchangeMeter(type, meterName);
+            }
+            await this.adapter.setStateAsync(localId, false, true);
+            return true;
+        }
+
+        // Confirm manual inputs (oldReading, newReading, date)
+        await this.adapter.setStateAsync(localId, state.val, true);
+        return true;
+    }
+
+    /**
+     * Applies the entered meter exchange and records it in the history
+     *
+     * @param {string} type - Utility type
+     * @param {string} meterName - Meter name
+     * @returns {Promise<boolean>} True if the exchange was applied
+     */
+    async exchangeMeter(type, meterName) {
+        const basePath = `${type}.${meterName}`;
+        const meters = this.adapter.multiMeterManager?.getMetersForType(type) || [];
+        const meter = meters.find(m => m.name === meterName);
+        if (!meter || meter.config.virtual || !meter.config.sensorDP) {
+            this.adapter.log.error(`❌ Zählerwechsel: Zähler ${basePath} nicht gefunden oder ohne Sensor.`);
+            return false;
+        }
+
+        const input = async key => (await this.adapter.getStateAsync(`${basePath}.exchange.${key}`))?.val;
+        const oldReading = await input('oldReading');
+        const newReading = await input('newReading');
+        if (typeof oldReading !== 'number' || typeof newReading !== 'number' || oldReading <= 0 || newReading < 0) {
+            this.adapter.log.error(
+                `❌ Zählerwechsel ${basePath}: bitte Endstand des alten und Anfangsstand des neuen Zählers eintragen.`,
+            );
+            return false;
+        }
+
+        const dateInput = await input('date');
+        const date = dateInput ? calculator.parseGermanDate(String(dateInput)) : new Date();
+        if (!date || isNaN(date.getTime())) {
+            this.adapter.log.error(`❌ Zählerwechsel ${basePath}: ungültiges Datum "${dateInput}" (TT.MM.JJJJ).`);
+            return false;
+        }
+
+        // The consumption of the exchange is booked in the running period
+        const yearStart = (await this.adapter.getStateAsync(`${basePath}.statistics.timestamps.lastYearStart`))?.val;
+        if (typeof yearStart === 'number' && date.getTime() < new Date(yearStart).setHours(0, 0, 0, 0)) {
+            this.adapter.log.error(
+                `❌ Zählerwechsel ${basePath}: Datum ${date.toLocaleDateString('de-DE')} liegt vor dem Beginn des laufenden Abrechnungszeitraums (${new Date(yearStart).toLocaleDateString('de-DE')}).`,
+            );
+            return false;
+        }
+
+        let result;
+        try {
+            result = await this.adapter.multiMeterManager.applyMeterExchange(
+                type,
+                meterName,
+                meter.config,
+                oldReading,
+                newReading,
+                date.getTime(),
+            );
+        } catch (error) {
+            this.adapter.log.error(`❌ Zählerwechsel ${basePath}: ${error.message}`);
+            return false;
+        }
+
+        await this._recordExchange(type, meterName, date, {
+            date: date.toLocaleDateString('de-DE'),
+            oldReading,
+            newReading,
+            consumption: calculator.roundToDecimals(result.consumption, 2),
+            counterOffset: result.counterOffset,
+            entered: Date.now(),
+        });
+
+        const unit = type === 'water' ? 'm³' : 'kWh';
+        this.adapter.log.info(
+            `🔄 Zählerwechsel ${basePath} am ${date.toLocaleDateString('de-DE')} übernommen: alter Zähler ${oldReading}, neuer Zähler ${newReading}, nachgetragener Verbrauch ${calculator.roundToDecimals(result.consumption, 2)} ${unit}`,
+        );
+        return true;
+    }
+
+    /**
+     * Appends an exchange to history.<year>.meterExchanges
+     *
+     * @param {string} type - Utility type
+     * @param {string} meterName - Meter name
+     * @param {Date} date - Date of the exchange
+     * @param {Record<string, any>} entry - Exchange entry
+     */
+    async _recordExchange(type, meterName, date, entry) {
+        const year = date.getFullYear();
+        const id = `${type}.${meterName}.history.${year}.meterExchanges`;
+        await stateManager.createHistoryExchangeStructure(this.adapter, type, meterName, year);
+
+        let exchanges = [];
+        try {
+            const parsed = JSON.parse(String((await this.adapter.getStateAsync(id))?.val || '[]'));
+            exchanges = Array.isArray(parsed) ? parsed : [];
+        } catch (error) {
+            this.adapter.log.warn(`${id} could not be read: ${error.message}`);
+        }
+        exchanges.push(entry);
+        await this.adapter.setStateAsync(id, JSON.stringify(exchanges), true);
+    }
+}
+
+module.exports = MeterExchangeManager;
@@ -8,9 +8,26 @@ const MeterRegistry = require('./meter/MeterRegistry');
 const helpers = require('./utils/helpers');
 const consumptionHelper = require('./utils/consumptionHelper');
 const billingHelper = require('./utils/billingHelper');
+const tariffHelper = require('./utils/tariffHelper');
+const priceHelper = require('./utils/priceHelper');
+const formulaHelper = require('./utils/formulaHelper');
 
 // Default constants
 const DEFAULT_SPIKE_THRESHOLD = 500; // Default sensor spike detection limit
+const DEFAULT_POWER_MAX_GAP = 600; // Longest interval (s) between two power values that is integrated
+const SENSOR_MODES = ['counter', 'power', 'pulse'];
+const POWER_SENSOR_TYPES = ['electricity', 'pv']; // Types whose sensors may deliver power (W)
+
+/**
+ * Rounds a counter kept by the adapter down to steps of 0.01, so frequent tiny deltas
+ * are not lost when the consumption states are rounded
+ *
+ * @param {number} counter - Counter value
+ * @returns {number} Counter in steps of 0.01
+ */
+function toCounterSteps(counter) {
+    return Math.floor(calculator.roundToDecimals(counter * 100, 6)) / 100;
+}
 
 /**
  * MultiMeterManager handles multiple meters per utility type
@@ -29,6 +46,15 @@ class MultiMeterManager {
         this.lastSensorValues = {};
         this.meterRegistry = new MeterRegistry();
         this.tempBaselineStore = {}; // Tracks first value after start to prevent peaks
+        this.priceSources = {}; // Last raw value of dynamic price datapoints per meter
+        this.lastGasFactors = {}; // Gas conversion factor (kWh/m³) used for the last sensor value
+        this.lastAuxValues = {}; // Last export/generation register values of bidirectional meters
+        this.lastRawValues = {}; // Last raw sensor value per sensor (before offset and gas conversion)
+        this.counterOffsets = {}; // Reading of replaced meters per sensor (info.counterOffset)
+        this.meterDrops = {}; // Falling reading not yet entered as meter exchange (exchange.pending)
+        this.sensorCounters = {}; // Counter integrated from power values per sensor (info.sensorCounter)
+        this.powerSamples = {}; // Last power value {power, ts} per sensor
+        this.pulseInputs = {}; // Last pulse count / boolean input per sensor
     }
 
     /**
@@ -60,6 +86,7 @@ class MultiMeterManager {
             const mainMeterName = this.adapter.config[`${configType}MainMeterName`] || 'main';
             const normalizedName = helpers.normalizeMeterName(mainMeterName);
             const displayName = mainMeterName; // Original name for display
+            const tariffSchedule = tariffHelper.buildTariffSchedule(this.adapter.config, configType);
 
             meters.push({
                 name: normalizedName,
@@ -73,7 +100,17 @@ class MultiMeterManager {
                     grundgebuehr: parseConfigNumber(this.adapter.config[`${configType}Grundgebuehr`], 0),
                     jahresgebuehr: parseConfigNumber(this.adapter.config[`${configType}Jahresgebuehr`], 0),
                     abschlag: parseConfigNumber(this.adapter.config[`${configType}Abschlag`], 0),
-                    htNtEnabled: this.adapter.config[`${configType}HtNtEnabled`] || false,
+                    htNtEnabled: !!tariffSchedule,
+                    tariffSchedule,
+                    priceDP: this.adapter.config[`${configType}PriceDP`] || '',
+                    priceHistory: priceHelper.buildPriceHistory(
+                        this.adapter.config[`${configType}PriceHistory`],
+                        normalizedName,
+                        true,
+                    ),
+                    ...this._getGasSettings(type, {}, normalizedName, true),
+                    ...this._getBidirectionalSettings(type, {}, true),
+                    ...this._getSensorSettings(type, {}, true),
                 },
             });
         }
@@ -90,6 +127,11 @@ class MultiMeterManager {
                         `[${type}] Meter "${normalizedName}": preis=${meterConfig.preis} (${typeof meterConfig.preis}), grundgebuehr=${meterConfig.grundgebuehr} (${typeof meterConfig.grundgebuehr}), abschlag=${meterConfig.abschlag} (${typeof meterConfig.abschlag})`,
                     );
 
+                    const meterSchedule = tariffHelper.buildMeterTariffSchedule(
+                        meterConfig,
+                        this.adapter.config,
+                        configType,
+                    );
                     const parsedConfig = {
                         sensorDP: meterConfig.sensorDP,
                         preis: parseConfigNumber(meterConfig.preis, 0),
@@ -99,7 +141,18 @@ class MultiMeterManager {
                         grundgebuehr: parseConfigNumber(meterConfig.grundgebuehr, 0),
                         jahresgebuehr: parseConfigNumber(meterConfig.jahresgebuehr, 0),
                         abschlag: parseConfigNumber(meterConfig.abschlag, 0),
-                        htNtEnabled: false, // Additional meters don't support HT/NT
+                        htNtEnabled: !!meterSchedule,
+                        htNtIncomplete: !!meterConfig.htNtEnabled && !meterSchedule,
+                        tariffSchedule: meterSchedule,
+                        priceDP: meterConfig.priceDP || '',
+                        priceHistory: priceHelper.buildPriceHistory(
+                            this.adapter.config[`${configType}PriceHistory`],
+                            normalizedName,
+                            false,
+                        ),
+                        ...this._getGasSettings(type, meterConfig, normalizedName, false),
+                        ...this._getBidirectionalSettings(type, meterConfig, false),
+                        ...this._getSensorSettings(type, meterConfig, false),
                     };
 
                     meters.push({
@@ -111,9 +164,152 @@ class MultiMeterManager {
             }
         }
 
+        // Virtual meters (formula over the meters above, e.g. "main - werkstatt")
+        const virtualMeters = this.adapter.config[`${configType}VirtualMeters`];
+        if (Array.isArray(virtualMeters)) {
+            const mainConfig = meters[0]?.config || {};
+            for (const row of virtualMeters) {
+                if (!row || !row.name || !row.formula) {
+                    continue;
+                }
+
+                const normalizedName = helpers.normalizeMeterName(row.name);
+                if (meters.some(m => m.name === normalizedName)) {
+                    continue;
+                }
+
+                meters.push({
+                    name: normalizedName,
+                    displayName: row.name,
+                    config: {
+                        virtual: true,
+                        formula: row.formula,
+                        sensorDP: '',
+                        preis: parseConfigNumber(row.preis, mainConfig.preis || 0),
+                        offset: 0,
+                        initialReading: 0,
+                        contractStart: row.contractStart || mainConfig.contractStart,
+                        grundgebuehr: parseConfigNumber(row.grundgebuehr, 0),
+                        jahresgebuehr: parseConfigNumber(row.jahresgebuehr, 0),
+                        abschlag: parseConfigNumber(row.abschlag, 0),
+                        htNtEnabled: false,
+                        tariffSchedule: null,
+                        priceDP: '',
+                        priceHistory: [],
+                    },
+                });
+            }
+        }
+
         return meters;
     }
 
+    /**
+     * Builds the gas conversion settings of a meter. Empty values of additional meters
+     * fall back to the global Brennwert/Z-Zahl.
+     *
+     * @param {string} type - Utility type
+     * @param {object} meterConfig - Row of the additional meters table (empty for the main meter)
+     * @param {string} normalizedName - Normalized meter name
+     * @param {boolean} isMainMeter - Whether the meter is the main meter
+     * @returns {object} {brennwert, zZahl, gasConversionHistory} for gas, empty object otherwise
+     */
+    _getGasSettings(type, meterConfig, normalizedName, isMainMeter) {
+        if (type !== 'gas') {
+            return {};
+        }
+
+        const globalBrennwert = parseConfigNumber(this.adapter.config.gasBrennwert, calculator.DEFAULTS.GAS_BRENNWERT);
+        const globalZZahl = parseConfigNumber(this.adapter.config.gasZahl, calculator.DEFAULTS.GAS_Z_ZAHL);
+
+        return {
+            brennwert: parseConfigNumber(meterConfig.brennwert, globalBrennwert) || globalBrennwert,
+            zZahl: parseConfigNumber(meterConfig.zZahl, globalZZahl) || globalZZahl,
+            gasConversionHistory: consumptionHelper.buildGasConversionHistory(
+                this.adapter.config.gasConversionHistory,
+                normalizedName,
+                isMainMeter,
+            ),
+        };
+    }
+
+    /**
+     * Builds the export settings of a bidirectional electricity meter (import 1.8.0 / export 2.8.0).
+     * An empty feed-in price of an additional meter falls back to the main meter.
+     *
+     * @param {string} type - Utility type
+     * @param {object} meterConfig - Row of the additional meters table (empty for the main meter)
+     * @param {boolean} isMainMeter - Whether the meter is the main meter
+     * @returns {object} {exportSensorDP, feedInPrice, generationSensorDP} for electricity, empty object otherwise
+     */
+    _getBidirectionalSettings(type, meterConfig, isMainMeter) {
+        if (type !== 'electricity') {
+            return {};
+        }
+
+        const config = this.adapter.config;
+        const mainFeedInPrice = parseConfigNumber(config.stromFeedInPrice, 0);
+
+        if (isMainMeter) {
+            return {
+                exportSensorDP: config.stromExportSensorDP || '',
+                feedInPrice: mainFeedInPrice,
+                generationSensorDP: config.stromGenerationSensorDP || '',
+            };
+        }
+
+        return {
+            exportSensorDP: meterConfig.exportSensorDP || '',
+            feedInPrice: parseConfigNumber(meterConfig.feedInPrice, mainFeedInPrice),
+            generationSensorDP: meterConfig.generationSensorDP || '',
+        };
+    }
+
+    /**
+     * Builds the sensor settings of a meter (sensor mode, counter wrap-around)
+     *
+     * @param {string} type - Utility type
+     * @param {object} meterConfig - Row of the additional meters table (empty for the main meter)
+     * @param {boolean} isMainMeter - Whether the meter is the main meter
+     * @returns {object} {sensorMode, sourceUnit, unitFactor, powerMaxGap, pulseFactor, counterModulus} (counterModulus 0 = counter does not wrap)
+     */
+    _getSensorSettings(type, meterConfig, isMainMeter) {
+        const configType = this.getConfigType(type);
+        const source = isMainMeter
+            ? {
+                  sensorMode: this.adapter.config[`${configType}SensorMode`],
+                  sourceUnit: this.adapter.config[`${configType}SourceUnit`],
+                  unitMultiplier: this.adapter.config[`${configType}UnitMultiplier`],
+                  powerMaxGap: this.adapter.config[`${configType}PowerMaxGap`],
+                  pulseFactor: this.adapter.config[`${configType}PulseFactor`],
+                  maxCounterValue: this.adapter.config[`${configType}MaxCounterValue`],
+                  counterBits: this.adapter.config[`${configType}CounterBits`],
+              }
+            : meterConfig;
+
+        const modes = POWER_SENSOR_TYPES.includes(type) ? SENSOR_MODES : SENSOR_MODES.filter(m => m !== 'power');
+        const sensorMode = modes.includes(source.sensorMode) ? source.sensorMode : 'counter';
+        // Power and pulse sensors already yield kWh / m³ (pulseFactor)
+        const isCounter = sensorMode === 'counter';
+        const baseUnit = type === 'gas' || type === 'water' ? 'm3' : 'kWh';
+        const sourceUnit =
+            isCounter && consumptionHelper.getSourceUnits(type)[source.sourceUnit] ? source.sourceUnit : baseUnit;
+
+        return {
+            sensorMode,
+            sourceUnit,
+            unitFactor: isCounter
+                ? consumptionHelper.getUnitFactor(type, sourceUnit, parseConfigNumber(source.unitMultiplier, 1))
+                : 1,
+            powerMaxGap: parseConfigNumber(source.powerMaxGap, DEFAULT_POWER_MAX_GAP) || DEFAULT_POWER_MAX_GAP,
+            pulseFactor: parseConfigNumber(source.pulseFactor, 0),
+            counterModulus: consumptionHelper.getCounterModulus(
+                parseConfigNumber(source.maxCounterValue, 0),
+                parseConfigNumber(source.counterBits, 0),
+            ),
+        };
+    }
+
     /**
      * Finds meters by sensor datapoint
      *
@@ -142,11 +338,18 @@ class MultiMeterManager {
 
         // Initialize each meter
         for (const meter of meters) {
-            await this.initializeMeter(type, meter.name, meter.config, meter.displayName);
+            if (meter.config.virtual) {
+                await this.initializeVirtualMeter(type, meter.name, meter.config, meter.displayName);
+            } else {
+                await this.initializeMeter(type, meter.name, meter.config, meter.displayName);
+            }
         }
 
-        // Create totals structure if multiple meters exist
-        if (meters.length > 1) {
+        // Virtual meters need the values of all real meters
+        await this.updateVirtualMeters(type);
+
+        // Create totals structure if multiple meters exist (virtual meters are not part of the totals)
+        if (meters.filter(m => !m.config.virtual).length > 1) {
             await stateManager.createTotalsStructure(this.adapter, type);
             await this.updateTotalCosts(type);
         }
@@ -198,6 +401,16 @@ class MultiMeterManager {
             this.adapter.log.info(`${type}.${meterName}: Contract start: ${config.contractStart}`);
         }
 
+        if (config.htNtIncomplete) {
+            this.adapter.log.error(
+                `${type}.${meterName}: HT/NT aktiviert, aber keine HT-Zeiten angegeben (weder am Zähler noch am Hauptzähler). HT/NT wird ignoriert.`,
+            );
+        }
+
+        for (const message of config.tariffSchedule?.rejected || []) {
+            this.adapter.log.warn(`${type}.${meterName}: ${message}`);
+        }
+
         // Subscribe to sensor datapoint
         this.adapter.subscribeForeignStates(config.sensorDP);
         await this.adapter.setStateAsync(`${basePath}.info.sensorActive`, true, true);
@@ -210,13 +423,88 @@ class MultiMeterManager {
             this.adapter.log.debug(`${type}.${meterName}: Restored last sensor value: ${lastReading.val}`);
         }
 
+        // Restore the counter offset of replaced meters and a pending meter exchange
+        const counterOffset = await this.adapter.getStateAsync(`${basePath}.info.counterOffset`);
+        if (typeof counterOffset?.val === 'number' && counterOffset.val !== 0) {
+            this.counterOffsets[config.sensorDP] = counterOffset.val;
+        }
+        await this.adapter.setStateAsync(
+            `${basePath}.info.sourceUnit`,
+            consumptionHelper.describeSourceUnit(type, config),
+            true,
+        );
+        if (config.sensorMode === 'pulse' && !(config.pulseFactor > 0)) {
+            this.adapter.log.error(`${basePath}: Impulswertigkeit fehlt, Impulse werden nicht gezählt.`);
+        }
+        if (config.sensorMode !== 'counter') {
+            const sensorCounter = await this.adapter.getStateAsync(`${basePath}.info.sensorCounter`);
+            this.sensorCounters[config.sensorDP] = typeof sensorCounter?.val === 'number' ? sensorCounter.val : 0;
+        }
+        const pending = await this.adapter.getStateAsync(`${basePath}.exchange.pending`);
+        if (pending?.val) {
+            try {
+                this.meterDrops[config.sensorDP] = JSON.parse(String(pending.val));
+            } catch (error) {
+                this.adapter.log.warn(`${basePath}: exchange.pending could not be read: ${error.message}`);
+            }
+        }
+
+        // Subscribe to dynamic price datapoint (spot tariffs)
+        if (config.priceDP) {
+            this.meterRegistry.register(config.priceDP, type, meterName, 'price');
+            this.adapter.subscribeForeignStates(config.priceDP);
+            try {
+                const priceState = await this.adapter.getForeignStateAsync(config.priceDP);
+                if (priceState && priceState.val != null) {
+                    this.priceSources[basePath] = priceState.val;
+                }
+            } catch (error) {
+                this.adapter.log.warn(`Could not read price datapoint ${config.priceDP}: ${error.message}`);
+            }
+            this.adapter.log.debug(`Subscribed to ${type}.${meterName} price datapoint: ${config.priceDP}`);
+        }
+
+        // Bidirectional meter: export register (2.8.0) and optional generation sensor
+        if (config.exportSensorDP) {
+            await stateManager.createBidirectionalStructure(this.adapter, type, meterName, config);
+
+            const auxSensors = [
+                { role: 'export', sensorDP: config.exportSensorDP },
+                { role: 'generation', sensorDP: config.generationSensorDP },
+            ];
+            for (const aux of auxSensors) {
+                if (!aux.sensorDP) {
+                    continue;
+                }
+
+                this.meterRegistry.register(aux.sensorDP, type, meterName, aux.role);
+                this.adapter.subscribeForeignStates(aux.sensorDP);
+
+                const lastAux = await this.adapter.getStateAsync(`${basePath}.${aux.role}.meterReading`);
+                if (lastAux && typeof lastAux.val === 'number' && lastAux.val > 0) {
+                    this.lastAuxValues[`${basePath}.${aux.role}`] = lastAux.val;
+                }
+
+                try {
+                    const auxState = await this.adapter.getForeignStateAsync(aux.sensorDP);
+                    if (auxState && auxState.val != null) {
+                        const numValue = calculator.ensureNumber(auxState.val);
+                        await this.updateAuxiliaryCounter(type, meterName, aux.role, numValue);
+                    }
+                } catch (error) {
+                    this.adapter.log.warn(`Could not read initial value from ${aux.sensorDP}: ${error.message}`);
+                }
+                this.adapter.log.debug(`Subscribed to ${type}.${meterName} ${aux.role} sensor: ${aux.sensorDP}`);
+            }
+        }
+
         // Initialize with current sensor value
         try {
             const sensorState = await this.adapter.getForeignStateAsync(config.sensorDP);
             if (sensorState && sensorState.val != null) {
                 // Convert to number (handles strings, German commas, etc.)
                 const numValue = calculator.ensureNumber(sensorState.val);
-                await this.handleSensorUpdate(type, meterName, config.sensorDP, numValue);
+                await this.handleSensorUpdate(type, meterName, config.sensorDP, numValue, sensorState.ts);
             }
         } catch (error) {
             this.adapter.log.warn(`Could not read initial value from ${config.sensorDP}: ${error.message}`);
@@ -224,6 +512,34 @@ class MultiMeterManager {
         }
 
         // Initialize period start timestamps
+        await this._initializePeriodTimestamps(basePath, config);
+
+        // NOTE: Initial yearly consumption is calculated in handleSensorUpdate()
+        // which is called immediately after this initialization (line 224)
+        // This avoids race conditions where state objects aren't fully created yet
+
+        // Update current price
+        await this.updateCurrentPrice(type, meterName, config);
+
+        // Update billing countdown
+        await this._updateBillingCountdown(basePath, config);
+
+        // Initial cost calculation
+        await this.updateCosts(type, meterName, config);
+
+        // Reconstruct weekly consumption from daily values if needed
+        await this.reconstructPeriodConsumption(type, meterName, basePath);
+
+        this.adapter.log.debug(`Meter initialization completed for ${type}.${meterName}`);
+    }
+
+    /**
+     * Initializes the period start timestamps of a meter (lastYearStart follows the contract start)
+     *
+     * @param {string} basePath - State base path
+     * @param {object} config - Meter configuration
+     */
+    async _initializePeriodTimestamps(basePath, config) {
         const timestampRoles = ['lastDayStart', 'lastWeekStart', 'lastMonthStart', 'lastYearStart'];
 
         for (const role of timestampRoles) {
@@ -266,15 +582,15 @@ class MultiMeterManager {
                 // If already a valid number, no action needed (already correct in state)
             }
         }
+    }
 
-        // NOTE: Initial yearly consumption is calculated in handleSensorUpdate()
-        // which is called immediately after this initialization (line 224)
-        // This avoids race conditions where state objects aren't fully created yet
-
-        // Update current price
-        await this.updateCurrentPrice(type, meterName, config);
-
-        // Update billing countdown
+    /**
+     * Updates the billing countdown states of a meter
+     *
+     * @param {string} basePath - State base path
+     * @param {object} config - Meter configuration
+     */
+    async _updateBillingCountdown(basePath, config) {
         if (config.contractStart) {
             const startDate = calculator.parseGermanDate(config.contractStart);
             if (startDate) {
@@ -303,14 +619,109 @@ class MultiMeterManager {
                 );
             }
         }
+    }
 
-        // Initial cost calculation
-        await this.updateCosts(type, meterName, config);
+    /**
+     * Initializes a virtual meter (calculated from other meters by a formula)
+     *
+     * @param {string} type - Utility type
+     * @param {string} meterName - Meter name
+     * @param {object} config - Meter configuration
+     * @param {string} displayName - Original display name (optional)
+     * @returns {Promise<void>}
+     */
+    async initializeVirtualMeter(type, meterName, config, displayName) {
+        const basePath = `${type}.${meterName}`;
+        const label = displayName || meterName;
 
-        // Reconstruct weekly consumption from daily values if needed
-        await this.reconstructPeriodConsumption(type, meterName, basePath);
+        let parsed;
+        try {
+            parsed = formulaHelper.parseFormula(config.formula);
+        } catch (error) {
+            this.adapter.log.error(
+                `${type}: Virtueller Zähler "${label}": ${error.message} (Formel: ${config.formula})`,
+            );
+            return;
+        }
 
-        this.adapter.log.debug(`Meter initialization completed for ${type}.${meterName}`);
+        const realMeters = this.getMetersForType(type).filter(m => !m.config.virtual);
+        for (const term of parsed.terms) {
+            if (!realMeters.some(m => m.name === term.meter)) {
+                this.adapter.log.warn(
+                    `${type}: Virtueller Zähler "${label}" verweist auf unbekannten Zähler "${term.meter}" (wird als 0 gerechnet)`,
+                );
+            }
+        }
+
+        this.adapter.log.info(`Initializing virtual ${type} meter: ${label} = ${config.formula}`);
+
+        try {
+            await stateManager.createMeterStructure(this.adapter, type, meterName, config);
+        } catch (error) {
+            this.adapter.log.error(`Failed to create state structure for ${basePath}: ${error.message}`);
+            return;
+        }
+
+        await this._initializePeriodTimestamps(basePath, config);
+        await this.updateCurrentPrice(type, meterName, config);
+        await this._updateBillingCountdown(basePath, config);
+    }
+
+    /**
+     * Recalculates the virtual meters of a type from their referenced meters
+     *
+     * @param {string} type - Utility type
+     * @param {string} [changedMeter] - Only update virtual meters referencing this meter
+     */
+    async updateVirtualMeters(type, changedMeter) {
+        const meters = this.getMetersForType(type);
+        const virtualMeters = meters.filter(m => m.config.virtual);
+
+        for (const meter of virtualMeters) {
+            let parsed;
+            try {
+                parsed = formulaHelper.parseFormula(meter.config.formula);
+            } catch {
+                // Already reported during initialization
+                continue;
+            }
+
+            if (changedMeter && !parsed.terms.some(t => t.meter === changedMeter)) {
+                continue;
+            }
+
+            const basePath = `${type}.${meter.name}`;
+            const stateIds = ['consumption.daily', 'consumption.weekly', 'consumption.monthly', 'consumption.yearly'];
+            if (type === 'gas') {
+                stateIds.push(
+                    'consumption.dailyVolume',
+                    'consumption.weeklyVolume',
+                    'consumption.monthlyVolume',
+                    'consumption.yearlyVolume',
+                );
+            }
+            stateIds.push('info.meterReading');
+
+            const results = {};
+            for (const id of stateIds) {
+                const entries = [];
+                for (const term of parsed.terms) {
+                    const state = await this.adapter.getStateAsync(`${type}.${term.meter}.${id}`);
+                    entries.push([term.meter, typeof state?.val === 'number' ? state.val : 0]);
+                }
+                const values = Object.fromEntries(entries);
+
+                // Sub-meters can run ahead of the main meter for a moment, never report negative consumption
+                results[id] = calculator.roundToDecimals(Math.max(0, formulaHelper.evaluateFormula(parsed, values)), 2);
+                await this.adapter.setStateAsync(`${basePath}.${id}`, results[id], true);
+            }
+
+            await this.updateCosts(type, meter.name, meter.config, results['consumption.yearly']);
+
+            const now = Date.now();
+            await this.adapter.setStateAsync(`${basePath}.consumption.lastUpdate`, now, true);
+            await this.adapter.setStateAsync(`${basePath}.info.lastSync`, now, true);
+        }
     }
 
     /**
@@ -376,11 +787,14 @@ class MultiMeterManager {
                 // Also reconstruct gas volume if applicable
                 if (type === 'gas') {
                     const weeklyVolumeState = await this.adapter.getStateAsync(`${basePath}.consumption.weeklyVolume`);
-                    const lastDayVolumeState = await this.adapter.getStateAsync(
-                        `${basePath}.statistics.consumption.lastDayVolume`,
-                    );
                     const currentWeeklyVolume = weeklyVolumeState?.val || 0;
-                    const lastDayVolume = lastDayVolumeState?.val || 0;
+                    const lastDayVolume = await this._getLastDayVolume(
+                        type,
+                        meterName,
+                        basePath,
+                        lastDay,
+                        lastDayStart,
+                    );
 
                     if (lastDayVolume > 0) {
                         const reconstructedWeeklyVolume = calculator.roundToDecimals(
@@ -425,11 +839,14 @@ class MultiMeterManager {
                             const monthlyVolumeState = await this.adapter.getStateAsync(
                                 `${basePath}.consumption.monthlyVolume`,
                             );
-                            const lastDayVolumeState = await this.adapter.getStateAsync(
-                                `${basePath}.statistics.consumption.lastDayVolume`,
-                            );
                             const currentMonthlyVolume = monthlyVolumeState?.val || 0;
-                            const lastDayVolume = lastDayVolumeState?.val || 0;
+                            const lastDayVolume = await this._getLastDayVolume(
+                                type,
+                                meterName,
+                                basePath,
+                                lastDay,
+                                lastDayStart,
+                            );
 
                             if (lastDayVolume > 0) {
                                 const reconstructedMonthlyVolume = calculator.roundToDecimals(
@@ -449,6 +866,29 @@ class MultiMeterManager {
         }
     }
 
+    /**
+     * Returns the gas volume of the last day. If only the energy was recorded, it is converted
+     * back with the Brennwert/Z-Zahl valid on that day.
+     *
+     * @param {string} type - Utility type
+     * @param {string} meterName - Meter name
+     * @param {string} basePath - State base path
+     * @param {number} lastDay - Consumption of the last day (kWh)
+     * @param {number} lastDayStart - Timestamp of the last daily reset
+     * @returns {Promise<number>} Volume of the last day in m³
+     */
+    async _getLastDayVolume(type, meterName, basePath, lastDay, lastDayStart) {
+        const lastDayVolumeState = await this.adapter.getStateAsync(`${basePath}.statistics.consumption.lastDayVolume`);
+        if (lastDayVolumeState?.val || !lastDay) {
+            return lastDayVolumeState?.val || 0;
+        }
+
+        const meter = this.getMetersForType(type).find(m => m.name === meterName);
+        // The daily reset runs at 23:59 of the recorded day
+        const factors = consumptionHelper.getGasFactorsAt(meter?.config, lastDayStart - 60 * 1000);
+        return lastDay / factors.factor;
+    }
+
     /**
      * Handles sensor value updates
      *
@@ -456,8 +896,9 @@ class MultiMeterManager {
      * @param {string} meterName - Meter name
      * @param {string} sensorDP - Sensor datapoint ID
      * @param {number} value - New sensor value
+     * @param {number} [ts] - Timestamp of the sensor value (default: now)
      */
-    async handleSensorUpdate(type, meterName, sensorDP, value) {
+    async handleSensorUpdate(type, meterName, sensorDP, value, ts = Date.now()) {
         if (typeof value !== 'number' || value < 0) {
             this.adapter.log.warn(`Invalid sensor value for ${type}.${meterName}: ${value}`);
             return;
@@ -478,8 +919,19 @@ class MultiMeterManager {
 
         const config = meter.config;
 
+        // Power and pulse sensors: continue with the counter kept by the adapter (info.sensorCounter)
+        let raw = value;
+        if (config.sensorMode === 'power') {
+            raw = await this._integratePower(basePath, config, value, ts);
+        } else if (config.sensorMode === 'pulse') {
+            raw = await this._countPulses(basePath, config, value);
+        } else {
+            await this._handleCounterRollover(type, basePath, config, this.lastRawValues[sensorDP], raw);
+        }
+        this.lastRawValues[sensorDP] = raw;
+
         // Pre-process consumption value (offset, gas conversion)
-        const processed = await this._preprocessValue(type, value, config);
+        const processed = await this._preprocessValue(type, raw, config);
         const { consumption, consumptionM3 } = processed;
 
         // 1. Initialization Logic (Per Session)
@@ -495,9 +947,22 @@ class MultiMeterManager {
         }
 
         // 3. Delta Calibration & Spike Protection
-        const lastValue = this.lastSensorValues[sensorDP];
+        let lastValue = this.lastSensorValues[sensorDP];
         this.lastSensorValues[sensorDP] = consumption;
 
+        // Brennwert/Z-Zahl changed: convert the baseline so the factor change does not count as consumption
+        if (processed.gasFactor) {
+            const lastFactor = this.lastGasFactors[sensorDP];
+            if (lastFactor && lastFactor !== processed.gasFactor) {
+                const rescaled = calculator.roundToDecimals((lastValue / lastFactor) * processed.gasFactor, 4);
+                this.adapter.log.info(
+                    `[${basePath}] Gas conversion factor changed (${lastFactor} -> ${processed.gasFactor}), baseline ${lastValue} -> ${rescaled} kWh`,
+                );
+                lastValue = rescaled;
+            }
+            this.lastGasFactors[sensorDP] = processed.gasFactor;
+        }
+
         if (consumption < lastValue) {
             await this._handleMeterReset(type, meterName, lastValue, consumption, config);
             return;
@@ -525,30 +990,47 @@ class MultiMeterManager {
 
         this.adapter.log.debug(`${type}.${meterName} delta: ${delta}`);
 
+        await this._applyConsumptionDelta(type, meterName, config, processed, delta, now);
+    }
+
+    /**
+     * Counts a consumption delta in the periods, tariff zones, yearly consumption and costs
+     *
+     * @param {string} type - Utility type
+     * @param {string} meterName - Meter name
+     * @param {object} config - Meter configuration
+     * @param {{consumption: number, consumptionM3: number|null, gasFactor: number|null}} processed - Processed reading after the delta
+     * @param {number} delta - Consumption delta
+     * @param {number} now - Timestamp of the delta
+     */
+    async _applyConsumptionDelta(type, meterName, config, processed, delta, now) {
+        const basePath = `${type}.${meterName}`;
+
         // 4. Update Consumption Values (Daily, Weekly, Monthly)
-        const deltaVolume =
-            type === 'gas'
-                ? delta /
-                  ((this.adapter.config.gasBrennwert || calculator.DEFAULTS.GAS_BRENNWERT) *
-                      (this.adapter.config.gasZahl || calculator.DEFAULTS.GAS_Z_ZAHL))
-                : 0;
+        const deltaVolume = processed.gasFactor ? delta / processed.gasFactor : 0;
         await this._updateTotalConsumptionStates(basePath, type, delta, deltaVolume);
 
-        // 5. HT/NT Tracking
-        await this._updateHTNTConsumptionStates(basePath, type, delta, config);
+        // 5. Tariff zone tracking (HT/NT or custom time windows)
+        await this._updateTariffZoneStates(basePath, delta, config, now);
+
+        // Dynamic prices / price history: charge the delta at the price valid right now
+        if (this.isCostAccumulated(config)) {
+            await this._accumulateCosts(type, meterName, delta, config, now);
+        }
 
         // 6. Yearly & Costs
         const yearlyAmountFinal = await this._updateYearlyConsumption(
             type,
             meterName,
             config,
-            consumption,
-            consumptionM3,
+            processed.consumption,
+            processed.consumptionM3,
             delta,
             basePath,
         );
 
         await this.updateCosts(type, meterName, config, yearlyAmountFinal);
+        await this.updateVirtualMeters(type, meterName);
         await this.updateTotalCosts(type);
 
         await this.adapter.setStateAsync(`${basePath}.consumption.lastUpdate`, now, true);
@@ -556,31 +1038,41 @@ class MultiMeterManager {
     }
 
     /**
-     * Preprocesses raw sensor value (offset, gas conversion)
+     * Preprocesses raw sensor value (sensor unit, offset, gas conversion)
      *
      * @param {string} type - Utility type
      * @param {number} value - Raw sensor value
      * @param {object} config - Meter configuration
-     * @returns {Promise<{consumption: number, consumptionM3: number|null}>} Processed values
+     * @returns {Promise<{consumption: number, consumptionM3: number|null, gasFactor: number|null}>} Processed values
      */
     async _preprocessValue(type, value, config) {
         let consumption = value;
         let consumptionM3 = null;
+        let gasFactor = null;
+
+        // Sensor unit (Wh, MWh, l, ft³) and multiplier -> kWh / m³
+        if (config.unitFactor && config.unitFactor !== 1) {
+            consumption = calculator.roundToDecimals(consumption * config.unitFactor, 6);
+        }
 
         if (config.offset !== 0) {
             consumption = consumption - config.offset;
         }
 
+        // Readings of a new meter continue the reading of the replaced meter
+        consumption += this.counterOffsets[config.sensorDP] || 0;
+
         if (type === 'gas') {
-            const brennwert = this.adapter.config.gasBrennwert || calculator.DEFAULTS.GAS_BRENNWERT;
-            const zZahl = this.adapter.config.gasZahl || calculator.DEFAULTS.GAS_Z_ZAHL;
+            // Brennwert/Z-Zahl valid today (per meter, with dated changes)
+            const factors = consumptionHelper.getGasFactorsAt(config);
 
-            const res = consumptionHelper.calculateGas(consumption, brennwert, zZahl);
+            const res = consumptionHelper.calculateGas(consumption, factors.brennwert, factors.zZahl);
             consumptionM3 = res.volume;
             consumption = res.energy;
+            gasFactor = factors.factor;
         }
 
-        return { consumption, consumptionM3 };
+        return { consumption, consumptionM3, gasFactor };
     }
 
     /**
@@ -597,7 +1089,16 @@ class MultiMeterManager {
     async _handleFirstSensorValue(type, meterName, sensorDP, processed, basePath, config, now) {
         const { consumption, consumptionM3 } = processed;
         const currentState = await this.adapter.getStateAsync(`${basePath}.info.meterReading`);
-        const recoveredValue = currentState?.val ?? 0;
+        let recoveredValue = currentState?.val ?? 0;
+
+        if (type === 'gas') {
+            // Convert the stored volume with today's factor, the kWh reading may stem from an older Brennwert
+            const volumeState = await this.adapter.getStateAsync(`${basePath}.info.meterReadingVolume`);
+            if (typeof volumeState?.val === 'number' && volumeState.val > 0) {
+                recoveredValue = calculator.roundToDecimals(volumeState.val * processed.gasFactor, 2);
+            }
+            this.lastGasFactors[sensorDP] = processed.gasFactor;
+        }
 
         if (recoveredValue > 0 && Math.abs(consumption - recoveredValue) < 100) {
             this.adapter.log.info(`[${basePath}] Recovered persistent baseline: ${recoveredValue}`);
@@ -611,6 +1112,9 @@ class MultiMeterManager {
                 this.adapter.log.warn(
                     `[${basePath}] Recovered state (${recoveredValue}) differs significantly from new value (${consumption}).`,
                 );
+                if (consumption < recoveredValue) {
+                    await this._recordMeterDrop(basePath, config, recoveredValue);
+                }
             } else {
                 this.adapter.log.info(
                     `[${basePath}] No previous reading found. Setting initial baseline to ${consumption}`,
@@ -690,12 +1194,266 @@ class MultiMeterManager {
      */
     async _handleMeterReset(type, meterName, lastValue, consumption, config) {
         this.adapter.log.warn(
-            `${type}.${meterName}: Zählerstand gesunken (${lastValue} -> ${consumption}). Gehe von Zählerwechsel oder Reset aus.`,
+            `${type}.${meterName}: Zählerstand gesunken (${lastValue} -> ${consumption}). Gehe von Zählerwechsel oder Reset aus. Bei einem Zählerwechsel bitte Endstand des alten und Anfangsstand des neuen Zählers unter ${type}.${meterName}.exchange eintragen.`,
         );
+        await this._recordMeterDrop(`${type}.${meterName}`, config, lastValue);
         await this.updateCosts(type, meterName, config);
         await this.updateTotalCosts(type);
     }
 
+    /**
+     * Integrates the power of a sensor (W) into an energy counter (kWh) with the trapezoidal
+     * rule over the timestamps of the state changes. Intervals longer than powerMaxGap
+     * (sensor offline, adapter stopped) are not counted. The counter is kept in info.sensorCounter
+     * and passed on in steps of 0.01 kWh, so the tiny deltas of frequent power values are not
+     * lost when the consumption states are rounded.
+     *
+     * @param {string} basePath - State base path
+     * @param {object} config - Meter configuration
+     * @param {number} power - Power in W
+     * @param {number} ts - Timestamp of the power value
+     * @returns {Promise<number>} Integrated counter in kWh (0.01 kWh steps)
+     */
+    async _integratePower(basePath, config, power, ts) {
+        const sensorDP = config.sensorDP;
+        const last = this.powerSamples[sensorDP];
+        let counter = this.sensorCounters[sensorDP] || 0;
+
+        // Repeated or outdated values are ignored
+        if (!last || ts > last.ts) {
+            this.powerSamples[sensorDP] = { power, ts };
+            const seconds = last ? (ts - last.ts) / 1000 : 0;
+            const energy = ((((last?.power || 0) + power) / 2) * (seconds / 3600)) / 1000;
+
+            if (seconds > config.powerMaxGap) {
+                this.adapter.log.debug(
+                    `[${basePath}] Power gap of ${Math.round(seconds)} s exceeds ${config.powerMaxGap} s, interval not counted`,
+                );
+            } else if (energy > 0) {
+                counter = calculator.roundToDecimals(counter + energy, 6);
+                this.sensorCounters[sensorDP] = counter;
+                await this.adapter.setStateAsync(`${basePath}.info.sensorCounter`, counter, true);
+            }
+        }
+
+        return toCounterSteps(counter);
+    }
+
+    /**
+     * Counts the pulses of an S0/reed contact input and converts them with the impulse
+     * constant (pulseFactor, e.g. 0.01 m³ per pulse) into a meter reading kept in
+     * info.sensorCounter. The input may be a pulse count (increase = pulses) or a
+     * boolean datapoint (rising edge = one pulse). After a falling pulse count the new count
+     * is taken as pulses since the device restart, unless it is a wrap-around of the counter range.
+     *
+     * @param {string} basePath - State base path
+     * @param {object} config - Meter configuration
+     * @param {number} input - Pulse count or boolean input (0/1)
+     * @returns {Promise<number>} Meter reading in the sensor unit (0.01 steps)
+     */
+    async _countPulses(basePath, config, input) {
+        const sensorDP = config.sensorDP;
+        const last = this.pulseInputs[sensorDP];
+        let counter = this.sensorCounters[sensorDP] || 0;
+        this.pulseInputs[sensorDP] = input;
+
+        let pulses = 0;
+        if (typeof last === 'number') {
+            pulses =
+                input >= last
+                    ? input - last
+                    : (consumptionHelper.getRolloverDelta(last, input, config.counterModulus) ?? input);
+        }
+
+        if (pulses > 0 && config.pulseFactor > 0) {
+            counter = calculator.roundToDecimals(counter + pulses * config.pulseFactor, 6);
+            this.sensorCounters[sensorDP] = counter;
+            await this.adapter.setStateAsync(`${basePath}.info.sensorCounter`, counter, true);
+        }
+
+        return toCounterSteps(counter);
+    }
+
+    /**
+     * Recognizes a wrap-around of the counter (e.g. 99999 -> 00000 or 2^32 on bus counters)
+     * and continues the reading by one counter range (info.counterOffset), so the
+     * consumption across the wrap is counted like any other delta.
+     *
+     * @param {string} type - Utility type
+     * @param {string} basePath - State base path
+     * @param {object} config - Meter configuration
+     * @param {number|undefined} lastRaw - Last raw sensor value of this session
+     * @param {number} raw - New raw sensor value
+     */
+    async _handleCounterRollover(type, basePath, config, lastRaw, raw) {
+        if (!config.counterModulus) {
+            return;
+        }
+
+        // After a restart: raw value behind the persisted reading
+        const previous = lastRaw ?? (await this._getStoredRawReading(type, basePath, config));
+        const delta = consumptionHelper.getRolloverDelta(previous, raw, config.counterModulus);
+        if (delta === null) {
+            return;
+        }
+
+        const counterOffset = calculator.roundToDecimals(
+            (this.counterOffsets[config.sensorDP] || 0) + config.counterModulus * (config.unitFactor || 1),
+            4,
+        );
+        this.counterOffsets[config.sensorDP] = counterOffset;
+        await this.adapter.setStateAsync(`${basePath}.info.counterOffset`, counterOffset, true);
+        this.adapter.log.info(
+            `${basePath}: Zählerüberlauf erkannt (${previous} -> ${raw}), Verbrauch über den Überlauf: ${delta}`,
+        );
+    }
+
+    /**
+     * Converts the persisted meter reading back to the raw sensor value
+     *
+     * @param {string} type - Utility type
+     * @param {string} basePath - State base path
+     * @param {object} config - Meter configuration
+     * @returns {Promise<number|undefined>} Raw sensor value or undefined if no reading is stored
+     */
+    async _getStoredRawReading(type, basePath, config) {
+        const stored = (
+            await this.adapter.getStateAsync(
+                `${basePath}.info.${type === 'gas' ? 'meterReadingVolume' : 'meterReading'}`,
+            )
+        )?.val;
+        if (typeof stored !== 'number' || stored <= 0) {
+            return undefined;
+        }
+        const reading = stored + config.offset - (this.counterOffsets[config.sensorDP] || 0);
+        return calculator.roundToDecimals(reading / (config.unitFactor || 1), 4);
+    }
+
+    /**
+     * Remembers the first falling reading until it is entered as meter exchange.
+     * The consumption between the last reading of the old meter and the first reading
+     * of the new meter is counted when the exchange is entered.
+     *
+     * @param {string} basePath - State base path
+     * @param {object} config - Meter configuration
+     * @param {number} lastValue - Last reading before the drop (processed)
+     */
+    async _recordMeterDrop(basePath, config, lastValue) {
+        if (this.meterDrops[config.sensorDP]) {
+            return;
+        }
+        const drop = { lastValue, raw: this.lastRawValues[config.sensorDP], ts: Date.now() };
+        this.meterDrops[config.sensorDP] = drop;
+        await this.adapter.setStateAsync(`${basePath}.exchange.pending`, JSON.stringify(drop), true);
+    }
+
+    /**
+     * Applies a meter exchange: counts the consumption between the last known reading
+     * and the exchange, and continues the readings of the new meter from the final
+     * reading of the old meter (info.counterOffset). Period and yearly values stay continuous.
+     *
+     * @param {string} type - Utility type
+     * @param {string} meterName - Meter name
+     * @param {object} config - Meter configuration
+     * @param {number} oldReading - Final reading of the old meter (unit of the meter, m³ for gas)
+     * @param {number} newReading - Start reading of the new meter (unit of the meter, m³ for gas)
+     * @param {number} [now] - Timestamp of the exchange (default: now)
+     * @returns {Promise<{consumption: number, counterOffset: number}>} Counted consumption and new counter offset
+     */
+    async applyMeterExchange(type, meterName, config, oldReading, newReading, now = Date.now()) {
+        const basePath = `${type}.${meterName}`;
+        const sensorDP = config.sensorDP;
+        const drop = this.meterDrops[sensorDP];
+
+        // Last reading of the old meter: before the drop or the current baseline
+        let lastOld = drop ? drop.lastValue : this.lastSensorValues[sensorDP];
+        if (lastOld === undefined) {
+            lastOld = (await this.adapter.getStateAsync(`${basePath}.info.meterReading`))?.val || 0;
+        }
+        // Entered readings are in the unit of the meter, drop.raw and lastRawValues in the sensor unit
+        const unitFactor = config.unitFactor || 1;
+        const finalOld = (await this._preprocessValue(type, oldReading / unitFactor, config)).consumption;
+        if (finalOld < lastOld) {
+            throw new Error(
+                `Endstand des alten Zählers (${oldReading}) liegt unter dem zuletzt erfassten Zählerstand (${calculator.roundToDecimals(lastOld, 2)}).`,
+            );
+        }
+
+        const counterOffset = calculator.roundToDecimals(
+            (this.counterOffsets[sensorDP] || 0) + oldReading - newReading,
+            4,
+        );
+        this.counterOffsets[sensorDP] = counterOffset;
+        await this.adapter.setStateAsync(`${basePath}.info.counterOffset`, counterOffset, true);
+
+        // Readings of the new meter since the drop were already counted as deltas
+        const newRaw = newReading / unitFactor;
+        const firstNew = await this._preprocessValue(type, drop ? (drop.raw ?? newRaw) : newRaw, config);
+        const current = await this._preprocessValue(
+            type,
+            drop ? (this.lastRawValues[sensorDP] ?? drop.raw ?? newRaw) : newRaw,
+            config,
+        );
+        const consumption = calculator.roundToDecimals(Math.max(0, firstNew.consumption - lastOld), 4);
+
+        this.lastSensorValues[sensorDP] = current.consumption;
+        if (current.gasFactor) {
+            this.lastGasFactors[sensorDP] = current.gasFactor;
+        }
+        delete this.meterDrops[sensorDP];
+        await this.adapter.setStateAsync(`${basePath}.exchange.pending`, '', true);
+        await this.adapter.setStateAsync(`${basePath}.info.meterReading`, current.consumption, true);
+        if (type === 'gas') {
+            await this.adapter.setStateAsync(`${basePath}.info.meterReadingVolume`, current.consumptionM3 || 0, true);
+        }
+
+        // Also recalculates the yearly consumption from initialReading with the continued reading
+        await this._applyConsumptionDelta(type, meterName, config, current, consumption, now);
+        return { consumption, counterOffset };
+    }
+
+    /**
+     * Starts the readings of a replaced meter from its own reading again when a billing
+     * period is closed, so the next period uses the physical reading of the new meter
+     *
+     * @param {string} type - Utility type
+     * @param {string} meterName - Meter name
+     * @param {object} config - Meter configuration
+     */
+    async resetCounterOffset(type, meterName, config) {
+        const counterOffset = this.counterOffsets[config.sensorDP];
+        if (!counterOffset) {
+            return;
+        }
+
+        const basePath = `${type}.${meterName}`;
+        const withOffset = await this._preprocessValue(type, 0, config);
+        delete this.counterOffsets[config.sensorDP];
+        const shift = withOffset.consumption - (await this._preprocessValue(type, 0, config)).consumption;
+
+        if (this.lastSensorValues[config.sensorDP] !== undefined) {
+            this.lastSensorValues[config.sensorDP] = calculator.roundToDecimals(
+                this.lastSensorValues[config.sensorDP] - shift,
+                4,
+            );
+            await this.adapter.setStateAsync(
+                `${basePath}.info.meterReading`,
+                this.lastSensorValues[config.sensorDP],
+                true,
+            );
+        }
+        if (type === 'gas') {
+            const volume = (await this.adapter.getStateAsync(`${basePath}.info.meterReadingVolume`))?.val || 0;
+            await this.adapter.setStateAsync(
+                `${basePath}.info.meterReadingVolume`,
+                calculator.roundToDecimals(volume - counterOffset, 4),
+                true,
+            );
+        }
+        await this.adapter.setStateAsync(`${basePath}.info.counterOffset`, 0, true);
+        this.adapter.log.info(`${basePath}: Zählerstand-Offset ${counterOffset} nach Abrechnungsabschluss entfernt`);
+    }
+
     /**
      * Handles suspicious delta (spike detection)
      *
@@ -711,7 +1469,8 @@ class MultiMeterManager {
     async _handleSuspiciousDelta(type, meterName, delta, consumption, consumptionM3, config, basePath, now) {
         this.adapter.log.warn(`[${basePath}] Discarding suspicious delta of ${delta}. Treating as baseline reset.`);
         if (config.initialReading > 0) {
-            await this.calculateAbsoluteYearly(type, meterName, config, consumption, consumptionM3 || 0, now);
+            // The discarded delta must not be charged
+            await this.calculateAbsoluteYearly(type, meterName, config, consumption, consumptionM3 || 0, now, false);
         }
     }
 
@@ -745,46 +1504,28 @@ class MultiMeterManager {
     }
 
     /**
-     * Updates HT/NT specific consumption states
+     * Adds a consumption delta to the tariff zone active at the given time
      *
      * @param {string} basePath - State base path
-     * @param {string} type - Utility type
      * @param {number} delta - Consumption delta
      * @param {object} config - Meter configuration
+     * @param {number} now - Timestamp of the delta
      */
-    async _updateHTNTConsumptionStates(basePath, type, delta, config) {
-        if (!config.htNtEnabled) {
-            return;
-        }
-
-        const configType = this.getConfigType(type);
-        const suffix = consumptionHelper.getHTNTSuffix(this.adapter.config, configType);
-        if (!suffix) {
+    async _updateTariffZoneStates(basePath, delta, config, now) {
+        const window = tariffHelper.getActiveWindow(config.tariffSchedule, new Date(now));
+        if (!window) {
             return;
         }
 
-        const periods = ['daily', 'weekly', 'monthly'];
+        const periods = ['daily', 'weekly', 'monthly', 'yearly'];
         for (const period of periods) {
-            const state = await this.adapter.getStateAsync(`${basePath}.consumption.${period}${suffix}`);
+            const state = await this.adapter.getStateAsync(`${basePath}.consumption.${period}${window.key}`);
             await this.adapter.setStateAsync(
-                `${basePath}.consumption.${period}${suffix}`,
+                `${basePath}.consumption.${period}${window.key}`,
                 calculator.roundToDecimals((state?.val || 0) + delta, 2),
                 true,
             );
         }
-
-        if (type === 'gas') {
-            const brennwert = this.adapter.config.gasBrennwert || calculator.DEFAULTS.GAS_BRENNWERT;
-            const zZahl = this.adapter.config.gasZahl || calculator.DEFAULTS.GAS_Z_ZAHL;
-            const deltaVolume = delta / (brennwert * zZahl);
-
-            const state = await this.adapter.getStateAsync(`${basePath}.consumption.weeklyVolume${suffix}`);
-            await this.adapter.setStateAsync(
-                `${basePath}.consumption.weeklyVolume${suffix}`,
-                calculator.roundToDecimals((state?.val || 0) + deltaVolume, 2),
-                true,
-            );
-        }
     }
 
     /**
@@ -810,9 +1551,14 @@ class MultiMeterManager {
                     calculator.roundToDecimals(yearlyM3, 2),
                     true,
                 );
-                const brennwert = this.adapter.config.gasBrennwert || calculator.DEFAULTS.GAS_BRENNWERT;
-                const zZahl = this.adapter.config.gasZahl || calculator.DEFAULTS.GAS_Z_ZAHL;
-                yearlyAmount = calculator.convertGasM3ToKWh(yearlyM3, brennwert, zZahl);
+                if (config.gasConversionHistory?.length > 0) {
+                    // Dated Brennwert changes: each delta was converted with the factor valid at its time
+                    const yState = await this.adapter.getStateAsync(`${basePath}.consumption.yearly`);
+                    yearlyAmount = (yState?.val || 0) + delta;
+                } else {
+                    const factors = consumptionHelper.getGasFactorsAt(config);
+                    yearlyAmount = calculator.convertGasM3ToKWh(yearlyM3, factors.brennwert, factors.zZahl);
+                }
             } else {
                 yearlyAmount = Math.max(0, consumption - config.initialReading);
             }
@@ -835,10 +1581,12 @@ class MultiMeterManager {
      * @param {number} consumption - Current consumption value
      * @param {number} consumptionM3 - Current consumption in m³ (for gas)
      * @param {number} now - Current timestamp
+     * @param {boolean} [chargeCatchUp] - Charge consumption not seen as deltas (false for discarded spikes)
      */
-    async calculateAbsoluteYearly(type, meterName, config, consumption, consumptionM3, now) {
+    async calculateAbsoluteYearly(type, meterName, config, consumption, consumptionM3, now, chargeCatchUp = true) {
         const basePath = `${type}.${meterName}`;
         let yearlyAmountFinal;
+        const previousYearly = (await this.adapter.getStateAsync(`${basePath}.consumption.yearly`))?.val || 0;
 
         let yearlyAmount;
         if (type === 'gas') {
@@ -851,9 +1599,8 @@ class MultiMeterManager {
                 calculator.roundToDecimals(yearlyM3, 2),
                 true,
             );
-            const brennwert = this.adapter.config.gasBrennwert || calculator.DEFAULTS.GAS_BRENNWERT;
-            const zZahl = this.adapter.config.gasZahl || calculator.DEFAULTS.GAS_Z_ZAHL;
-            yearlyAmount = calculator.convertGasM3ToKWh(yearlyM3, brennwert, zZahl);
+            const factors = consumptionHelper.getGasFactorsAt(config, now);
+            yearlyAmount = calculator.convertGasM3ToKWh(yearlyM3, factors.brennwert, factors.zZahl);
         } else {
             yearlyAmount = Math.max(0, consumption - config.initialReading);
             this.adapter.log.debug(
@@ -863,14 +1610,116 @@ class MultiMeterManager {
         yearlyAmountFinal = calculator.roundToDecimals(yearlyAmount, 2);
         await this.adapter.setStateAsync(`${basePath}.consumption.yearly`, yearlyAmountFinal, true);
 
+        // Accumulated costs: consumption not seen as deltas (first start, offline time) is charged at the
+        // current price. Like the consumption it only counts for the year (total and tariff zone), the
+        // daily/weekly/monthly consumption and costs contain only deltas.
+        if (chargeCatchUp && this.isCostAccumulated(config) && yearlyAmountFinal > previousYearly) {
+            await this._accumulateCosts(type, meterName, yearlyAmountFinal - previousYearly, config, now, ['yearly']);
+        }
+
         // Pass direct calculated values to updateCosts to avoid race condition with DB
         await this.updateCosts(type, meterName, config, yearlyAmountFinal);
+        await this.updateVirtualMeters(type, meterName);
         await this.updateTotalCosts(type);
 
         await this.adapter.setStateAsync(`${basePath}.consumption.lastUpdate`, now, true);
         await this.adapter.setStateAsync(`${basePath}.info.lastSync`, now, true);
     }
 
+    /**
+     * Resolves the working price of a meter at a point in time.
+     * Priority: dynamic price datapoint, tariff window, price history, base price.
+     *
+     * @param {string} type - Utility type
+     * @param {string} meterName - Meter name
+     * @param {object} config - Meter configuration
+     * @param {Date} [date] - Point in time (default: now)
+     * @returns {{name: string, price: number, key: string|null}} Active tariff
+     */
+    resolvePrice(type, meterName, config, date = new Date()) {
+        const tariff = tariffHelper.resolveTariff(config, date);
+
+        if (config.priceDP) {
+            const dynamicPrice = priceHelper.getPriceAt(this.priceSources[`${type}.${meterName}`], date);
+            if (dynamicPrice !== null) {
+                return { name: 'Dynamisch', price: dynamicPrice, key: tariff.key };
+            }
+            this.adapter.log.debug(
+                `[${type}.${meterName}] No dynamic price available for ${date.toISOString()}, using ${tariff.name}`,
+            );
+        }
+
+        if (!tariff.key && config.priceHistory?.length > 0) {
+            return { ...tariff, price: priceHelper.getTariffValuesAt(config, date).preis };
+        }
+
+        return tariff;
+    }
+
+    /**
+     * Checks whether the costs of a meter are accumulated delta by delta
+     * instead of being calculated as consumption * price
+     *
+     * @param {object} config - Meter configuration
+     * @returns {boolean} True if costs are accumulated
+     */
+    isCostAccumulated(config) {
+        return !!config.priceDP || config.priceHistory?.length > 0;
+    }
+
+    /**
+     * Handles an update of a dynamic price datapoint
+     *
+     * @param {string} type - Utility type
+     * @param {string} meterName - Meter name
+     * @param {any} value - Raw datapoint value (number or JSON price list)
+     */
+    async handlePriceUpdate(type, meterName, value) {
+        const meter = this.getMetersForType(type).find(m => m.name === meterName);
+        if (!meter) {
+            return;
+        }
+
+        this.priceSources[`${type}.${meterName}`] = value;
+        await this.updateCurrentPrice(type, meterName, meter.config);
+    }
+
+    /**
+     * Adds the costs of a consumption delta to the period cost states (total and tariff zone)
+     *
+     * @param {string} type - Utility type
+     * @param {string} meterName - Meter name
+     * @param {number} delta - Consumption delta
+     * @param {object} config - Meter configuration
+     * @param {number} now - Timestamp of the delta
+     * @param {string[]} [periods] - Periods the delta belongs to (default: all)
+     */
+    async _accumulateCosts(type, meterName, delta, config, now, periods = ['daily', 'weekly', 'monthly', 'yearly']) {
+        const basePath = `${type}.${meterName}`;
+        const tariff = this.resolvePrice(type, meterName, config, new Date(now));
+        const cost = delta * tariff.price;
+
+        for (const period of periods) {
+            await this._addToCostState(`${basePath}.costs.${period}`, cost);
+            if (tariff.key) {
+                await this._addToCostState(`${basePath}.costs.${period}${tariff.key}`, cost);
+            }
+        }
+
+        this.adapter.log.debug(`[${basePath}] Accumulated cost: ${delta} * ${tariff.price} = ${cost}`);
+    }
+
+    /**
+     * Adds an amount to a cost state (kept with 4 decimals so small deltas are not rounded away)
+     *
+     * @param {string} id - State ID
+     * @param {number} amount - Amount to add
+     */
+    async _addToCostState(id, amount) {
+        const state = await this.adapter.getStateAsync(id);
+        await this.adapter.setStateAsync(id, calculator.roundToDecimals((state?.val || 0) + amount, 4), true);
+    }
+
     /**
      * Updates the current price display
      *
@@ -880,30 +1729,18 @@ class MultiMeterManager {
      */
     async updateCurrentPrice(type, meterName, config) {
         const basePath = `${type}.${meterName}`;
-        const configType = this.getConfigType(type);
-
-        let tariffName = 'Standard';
-        let activePrice = config.preis || 0;
+        const tariff = this.resolvePrice(type, meterName, config);
 
-        // Only meters with HT/NT enabled support it
-        if (config.htNtEnabled) {
-            const isHT = calculator.isHTTime(this.adapter.config, configType);
-            if (isHT) {
-                activePrice = this.adapter.config[`${configType}HtPrice`] || 0;
-                tariffName = 'Haupttarif (HT)';
-            } else {
-                activePrice = this.adapter.config[`${configType}NtPrice`] || 0;
-                tariffName = 'Nebentarif (NT)';
-            }
-            this.adapter.log.debug(`[${basePath}] Price update: tariff=${tariffName}, price=${activePrice}`);
+        if (config.tariffSchedule || config.priceDP) {
+            this.adapter.log.debug(`[${basePath}] Price update: tariff=${tariff.name}, price=${tariff.price}`);
         }
 
         await this.adapter.setStateAsync(
             `${basePath}.info.currentPrice`,
-            calculator.roundToDecimals(activePrice, 4),
+            calculator.roundToDecimals(tariff.price, 4),
             true,
         );
-        await this.adapter.setStateAsync(`${basePath}.info.currentTariff`, tariffName, true);
+        await this.adapter.setStateAsync(`${basePath}.info.currentTariff`, tariff.name, true);
         await this.adapter.setStateAsync(`${basePath}.info.lastSync`, Date.now(), true);
     }
 
@@ -937,25 +1774,60 @@ class MultiMeterManager {
         );
 
         // Calculate consumption costs
-        const dailyCost = daily * price;
-        const weeklyState = await this.adapter.getStateAsync(`${basePath}.consumption.weekly`);
-        const weeklyCost = (weeklyState?.val || 0) * price;
-        const monthlyCost = monthly * price;
-        const yearlyCost = yearly * price;
+        const weekly = (await this.adapter.getStateAsync(`${basePath}.consumption.weekly`))?.val || 0;
+        let dailyCost = daily * price;
+        let weeklyCost = weekly * price;
+        let monthlyCost = monthly * price;
+        let yearlyCost = yearly * price;
+
+        if (this.isCostAccumulated(config)) {
+            // Costs were charged delta by delta, use the accumulated values
+            dailyCost = (await this.adapter.getStateAsync(`${basePath}.costs.daily`))?.val || 0;
+            weeklyCost = (await this.adapter.getStateAsync(`${basePath}.costs.weekly`))?.val || 0;
+            monthlyCost = (await this.adapter.getStateAsync(`${basePath}.costs.monthly`))?.val || 0;
+            yearlyCost = (await this.adapter.getStateAsync(`${basePath}.costs.yearly`))?.val || 0;
+        } else if (config.tariffSchedule) {
+            // Time-of-use tariffs: zone consumption at zone price, remainder at base price
+            dailyCost = await this._calculateZoneCosts(basePath, config, 'daily', daily);
+            weeklyCost = await this._calculateZoneCosts(basePath, config, 'weekly', weekly);
+            monthlyCost = await this._calculateZoneCosts(basePath, config, 'monthly', monthly);
+            yearlyCost = await this._calculateZoneCosts(basePath, config, 'yearly', yearly);
+        }
 
-        await this.adapter.setStateAsync(`${basePath}.costs.daily`, calculator.roundToDecimals(dailyCost, 2), true);
-        await this.adapter.setStateAsync(`${basePath}.costs.weekly`, calculator.roundToDecimals(weeklyCost, 2), true);
-        await this.adapter.setStateAsync(`${basePath}.costs.monthly`, calculator.roundToDecimals(monthlyCost, 2), true);
-        await this.adapter.setStateAsync(`${basePath}.costs.yearly`, calculator.roundToDecimals(yearlyCost, 2), true);
+        if (!this.isCostAccumulated(config)) {
+            await this.adapter.setStateAsync(`${basePath}.costs.daily`, calculator.roundToDecimals(dailyCost, 2), true);
+            await this.adapter.setStateAsync(
+                `${basePath}.costs.weekly`,
+                calculator.roundToDecimals(weeklyCost, 2),
+                true,
+            );
+            await this.adapter.setStateAsync(
+                `${basePath}.costs.monthly`,
+                calculator.roundToDecimals(monthlyCost, 2),
+                true,
+            );
+            await this.adapter.setStateAsync(
+                `${basePath}.costs.yearly`,
+                calculator.roundToDecimals(yearlyCost, 2),
+                true,
+            );
+        }
 
         // Calculate accumulated costs based on contract start
         const monthsSinceYearStart = await this._calculateMonthsSinceYearStart(basePath);
 
-        const charges = billingHelper.calculateAccumulatedCharges(
-            config.grundgebuehr,
-            config.jahresgebuehr,
-            monthsSinceYearStart,
-        );
+        let charges;
+        if (config.priceHistory?.length > 0) {
+            const yearStartState = await this.adapter.getStateAsync(`${basePath}.statistics.timestamps.lastYearStart`);
+            const yearStart = yearStartState?.val ? new Date(yearStartState.val) : new Date();
+            charges = billingHelper.calculateAccumulatedChargesWithHistory(config, yearStart, monthsSinceYearStart);
+        } else {
+            charges = billingHelper.calculateAccumulatedCharges(
+                config.grundgebuehr,
+                config.jahresgebuehr,
+                monthsSinceYearStart,
+            );
+        }
         const basicChargeAccumulated = charges.basicCharge;
         const annualFeeAccumulated = charges.annualFee;
 
@@ -979,6 +1851,161 @@ class MultiMeterManager {
 
         await this.adapter.setStateAsync(`${basePath}.costs.paidTotal`, balanceRes.paid, true);
         await this.adapter.setStateAsync(`${basePath}.costs.balance`, balanceRes.balance, true);
+
+        await this.adapter.forecastManager?.updateForecast(type, meterName, config, {
+            consumption: yearly,
+            workingCosts: yearlyCost,
+        });
+
+        await this._updateNetStates(basePath, config);
+    }
+
+    /**
+     * Handles an update of the export or generation sensor of a bidirectional meter
+     *
+     * @param {string} type - Utility type
+     * @param {string} meterName - Meter name
+     * @param {string} role - 'export' (register 2.8.0) or 'generation'
+     * @param {number} value - New register value (kWh)
+     */
+    async updateAuxiliaryCounter(type, meterName, role, value) {
+        if (typeof value !== 'number' || value < 0) {
+            this.adapter.log.warn(`Invalid ${role} value for ${type}.${meterName}: ${value}`);
+            return;
+        }
+
+        const meter = this.getMetersForType(type).find(m => m.name === meterName);
+        if (!meter || !meter.config.exportSensorDP) {
+            return;
+        }
+
+        const config = meter.config;
+        const basePath = `${type}.${meterName}`;
+        const key = `${basePath}.${role}`;
+
+        await this.adapter.setStateAsync(`${basePath}.${role}.meterReading`, value, true);
+
+        const lastValue = this.lastAuxValues[key];
+        this.lastAuxValues[key] = value;
+
+        if (lastValue === undefined) {
+            this.adapter.log.debug(`[${basePath}] ${role} baseline set to ${value}`);
+            return;
+        }
+
+        if (value < lastValue) {
+            this.adapter.log.warn(
+                `${basePath}: Zählerstand ${role} gesunken (${lastValue} -> ${value}). Gehe von Zählerwechsel oder Reset aus.`,
+            );
+            return;
+        }
+
+        const delta = calculator.roundToDecimals(value - lastValue, 4);
+        if (delta <= 0) {
+            return;
+        }
+
+        const spikeThreshold = this.adapter.config.sensorSpikeThreshold || DEFAULT_SPIKE_THRESHOLD;
+        if (delta > spikeThreshold) {
+            this.adapter.log.warn(
+                `[${basePath}] Discarding suspicious ${role} delta of ${delta}. Treating as baseline reset.`,
+            );
+            return;
+        }
+
+        const periods = ['daily', 'weekly', 'monthly', 'yearly'];
+        for (const period of periods) {
+            const state = await this.adapter.getStateAsync(`${basePath}.${role}.${period}`);
+            await this.adapter.setStateAsync(
+                `${basePath}.${role}.${period}`,
+                calculator.roundToDecimals((state?.val || 0) + delta, 2),
+                true,
+            );
+        }
+
+        // Feed-in compensation is credited at the fixed feed-in price
+        if (role === 'export') {
+            const compensation = delta * (config.feedInPrice || 0);
+            for (const period of periods) {
+                await this._addToCostState(`${basePath}.export.compensation.${period}`, compensation);
+            }
+        }
+
+        this.adapter.log.debug(`${basePath} ${role} delta: ${delta}`);
+
+        await this._updateNetStates(basePath, config);
+        await this.adapter.setStateAsync(`${basePath}.info.lastSync`, Date.now(), true);
+    }
+
+    /**
+     * Updates net consumption, net costs and self-consumption of a bidirectional meter
+     *
+     * @param {string} basePath - State base path
+     * @param {object} config - Meter configuration
+     */
+    async _updateNetStates(basePath, config) {
+        if (!config.exportSensorDP) {
+            return;
+        }
+
+        const periods = ['daily', 'weekly', 'monthly', 'yearly'];
+        for (const period of periods) {
+            const imported = (await this.adapter.getStateAsync(`${basePath}.consumption.${period}`))?.val || 0;
+            const exported = (await this.adapter.getStateAsync(`${basePath}.export.${period}`))?.val || 0;
+            const cost = (await this.adapter.getStateAsync(`${basePath}.costs.${period}`))?.val || 0;
+            const compensation =
+                (await this.adapter.getStateAsync(`${basePath}.export.compensation.${period}`))?.val || 0;
+
+            await this.adapter.setStateAsync(
+                `${basePath}.net.consumption.${period}`,
+                calculator.roundToDecimals(imported - exported, 2),
+                true,
+            );
+            await this.adapter.setStateAsync(
+                `${basePath}.net.costs.${period}`,
+                calculator.roundToDecimals(cost - compensation, 2),
+                true,
+            );
+
+            if (config.generationSensorDP) {
+                const generated = (await this.adapter.getStateAsync(`${basePath}.generation.${period}`))?.val || 0;
+                await this.adapter.setStateAsync(
+                    `${basePath}.net.selfConsumption.${period}`,
+                    calculator.roundToDecimals(Math.max(0, generated - exported), 2),
+                    true,
+                );
+            }
+        }
+    }
+
+    /**
+     * Calculates the consumption costs of one period for a meter with tariff zones
+     * and updates the per-zone cost states
+     *
+     * @param {string} basePath - State base path
+     * @param {object} config - Meter configuration
+     * @param {string} period - daily, weekly, monthly or yearly
+     * @param {number} total - Total consumption of the period
+     * @returns {Promise<number>} Consumption costs of the period
+     */
+    async _calculateZoneCosts(basePath, config, period, total) {
+        let zoneConsumption = 0;
+        let cost = 0;
+
+        for (const zone of tariffHelper.getZones(config.tariffSchedule)) {
+            const value = (await this.adapter.getStateAsync(`${basePath}.consumption.${period}${zone.key}`))?.val || 0;
+            const zoneCost = value * zone.price;
+            zoneConsumption += value;
+            cost += zoneCost;
+            await this.adapter.setStateAsync(
+                `${basePath}.costs.${period}${zone.key}`,
+                calculator.roundToDecimals(zoneCost, 2),
+                true,
+            );
+        }
+
+        // Consumption outside all windows (or from before the schedule was set up) uses the base price
+        return cost + Math.max(0, total - zoneConsumption) * (config.preis || 0);
     }
 
     /**
@@ -1006,7 +2033,8 @@ class MultiMeterManager {
      * @param {string} type - Utility type
      */
     async updateTotalCosts(type) {
-        const meters = this.getMetersForType(type);
+        // Virtual meters are derived from the other meters and would be counted twice
+        const meters = this.getMetersForType(type).filter(m => !m.config.virtual);
 
         if (meters.length <= 1) {
             // No totals needed for single meter
@@ -1117,6 +2145,7 @@ class MultiMeterManager {
                 'adjustment',
                 'history',
                 'totals',
+                'selfConsumption',
             ];
             const currentMeterNames = new Set(currentMeters.map(m => m.name));
             const existingMeterFolders = new Set();
@@ -0,0 +1,219 @@
+'use strict';
+
+const calculator = require('./calculator');
+const stateManager = require('./stateManager');
+const { parseConfigNumber } = require('./configParser');
+
+// Default constants
+const DEFAULT_SPIKE_THRESHOLD = 500; // Default sensor spike detection limit
+const PERIODS = ['daily', 'weekly', 'monthly', 'yearly'];
+const BASE_PATH = 'pv.selfConsumption';
+
+/**
+ * SelfConsumptionManager relates PV generation, feed-in (pv.*) and grid import (electricity.*)
+ * and derives self-consumption, self-consumption quota, autarky rate and savings.
+ */
+class SelfConsumptionManager {
+    /**
+     * @param {object} adapter - ioBroker adapter instance
+     */
+    constructor(adapter) {
+        this.adapter = adapter;
+        this.lastGenerationValue = undefined;
+    }
+
+    /**
+     * Whether the statistics are configured (PV active with a generation sensor)
+     *
+     * @returns {boolean} True if active
+     */
+    isActive() {
+        return !!(this.adapter.config.pvAktiv && this.adapter.config.pvGenerationSensorDP);
+    }
+
+    /**
+     * Checks if a datapoint is the PV generation sensor
+     *
+     * @param {string} id - State ID
+     * @returns {boolean} True if the datapoint is the generation sensor
+     */
+    isGenerationSensor(id) {
+        return this.isActive() && id === this.adapter.config.pvGenerationSensorDP;
+    }
+
+    /**
+     * Creates the states, subscribes to the generation sensor and restores the last reading
+     */
+    async initialize() {
+        if (!this.isActive()) {
+            return;
+        }
+
+        const sensorDP = this.adapter.config.pvGenerationSensorDP;
+        this.adapter.log.info(`Initializing PV self-consumption statistics (generation sensor: ${sensorDP})`);
+
+        await stateManager.createSelfConsumptionStructure(this.adapter);
+        this.adapter.subscribeForeignStates(sensorDP);
+
+        const lastReading = await this.adapter.getStateAsync(`${BASE_PATH}.generation.meterReading`);
+        if (lastReading && typeof lastReading.val === 'number' && lastReading.val > 0) {
+            this.lastGenerationValue = lastReading.val;
+        }
+
+        try {
+            const sensorState = await this.adapter.getForeignStateAsync(sensorDP);
+            if (sensorState && sensorState.val != null) {
+                await this.handleGenerationUpdate(calculator.ensureNumber(sensorState.val));
+            }
+        } catch (error) {
+            this.adapter.log.warn(`Could not read initial value from ${sensorDP}: ${error.message}`);
+        }
+
+        await this.update();
+    }
+
+    /**
+     * Handles an update of the PV generation sensor (kWh counter)
+     *
+     * @param {number} value - New generation reading
+     */
+    async handleGenerationUpdate(value) {
+        if (typeof value !== 'number' || value < 0) {
+            this.adapter.log.warn(`Invalid PV generation value: ${value}`);
+            return;
+        }
+
+        await this.adapter.setStateAsync(`${BASE_PATH}.generation.meterReading`, value, true);
+
+        const lastValue = this.lastGenerationValue;
+        this.lastGenerationValue = value;
+
+        if (lastValue === undefined) {
+            return;
+        }
+
+        if (value < lastValue) {
+            this.adapter.log.warn(
+                `PV-Erzeugung: Zählerstand gesunken (${lastValue} -> ${value}). Gehe von Zählerwechsel oder Reset aus.`,
+            );
+            return;
+        }
+
+        const delta = calculator.roundToDecimals(value - lastValue, 4);
+        if (delta <= 0) {
+            return;
+        }
+
+        const spikeThreshold = this.adapter.config.sensorSpikeThreshold || DEFAULT_SPIKE_THRESHOLD;
+        if (delta > spikeThreshold) {
+            this.adapter.log.warn(`[${BASE_PATH}] Discarding suspicious generation delta of ${delta}.`);
+            return;
+        }
+
+        for (const period of PERIODS) {
+            const state = await this.adapter.getStateAsync(`${BASE_PATH}.generation.${period}`);
+            await this.adapter.setStateAsync(
+                `${BASE_PATH}.generation.${period}`,
+                calculator.roundToDecimals((state?.val || 0) + delta, 2),
+                true,
+            );
+        }
+
+        await this.update();
+    }
+
+    /**
+     * Recalculates self-consumption, quota, autarky and savings for all periods
+     */
+    async update() {
+        if (!this.isActive()) {
+            return;
+        }
+
+        const price = await this._getElectricityPrice();
+
+        for (const period of PERIODS) {
+            const generation = (await this.adapter.getStateAsync(`${BASE_PATH}.generation.${period}`))?.val || 0;
+            const feedIn = await this._sumConsumption('pv', period);
+            const gridImport = await this._sumConsumption('electricity', period);
+
+            const selfConsumed = Math.max(0, generation - feedIn);
+            const totalDemand = selfConsumed + gridImport;
+            const quota = generation > 0 ? (selfConsumed / generation) * 100 : 0;
+            const autarky = totalDemand > 0 ? (selfConsumed / totalDemand) * 100 : 0;
+
+            await this.adapter.setStateAsync(
+                `${BASE_PATH}.selfConsumed.${period}`,
+                calculator.roundToDecimals(selfConsumed, 2),
+                true,
+            );
+            await this.adapter.setStateAsync(
+                `${BASE_PATH}.quota.${period}`,
+                calculator.roundToDecimals(quota, 1),
+                true,
+            );
+            await this.adapter.setStateAsync(
+                `${BASE_PATH}.autarky.${period}`,
+                calculator.roundToDecimals(autarky, 1),
+                true,
+            );
+            await this.adapter.setStateAsync(
+                `${BASE_PATH}.savings.${period}`,
+                calculator.roundToDecimals(selfConsumed * price, 2),
+                true,
+            );
+        }
+
+        await this.adapter.setStateAsync(`${BASE_PATH}.lastUpdate`, Date.now(), true);
+    }
+
+    /**
+     * Resets the generation of a period (called by the BillingManager resets)
+     *
+     * @param {string} period - daily, weekly, monthly or yearly
+     */
+    async resetPeriod(period) {
+        if (!this.isActive()) {
+            return;
+        }
+
+        await this.adapter.setStateAsync(`${BASE_PATH}.generation.${period}`, 0, true);
+        await this.update();
+    }
+
+    /**
+     * Sums the period consumption of all meters of a type
+     *
+     * @param {string} type - Utility type
+     * @param {string} period - daily, weekly, monthly or yearly
+     * @returns {Promise<number>} Sum over all meters
+     */
+    async _sumConsumption(type, period) {
+        const meters = this.adapter.multiMeterManager?.getMetersForType(type) || [];
+        let sum = 0;
+        for (const meter of meters.filter(m => !m.config.virtual)) {
+            const state = await this.adapter.getStateAsync(`${type}.${meter.name}.consumption.${period}`);
+            sum += typeof state?.val === 'number' ? state.val : 0;
+        }
+        return sum;
+    }
+
+    /**
+     * Current electricity price of the main electricity meter (falls back to the configured price)
+     *
+     * @returns {Promise<number>} Price in €/kWh
+     */
+    async _getElectricityPrice() {
+        const meters = this.adapter.multiMeterManager?.getMetersForType('electricity') || [];
+        if (meters.length > 0) {
+            const state = await this.adapter.getStateAsync(`electricity.${meters[0].name}.info.currentPrice`);
+            if (typeof state?.val === 'number' && state.val > 0) {
+                return state.val;
+            }
+            return meters[0].config.preis || 0;
+        }
+        return parseConfigNumber(this.adapter.config.stromPreis, 0);
+    }
+}
+
+module.exports = SelfConsumptionManager;
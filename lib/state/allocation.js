@@ -0,0 +1,75 @@
+'use strict';
+
+const STATE_ROLES = require('./roles');
+
+/**
+ * Creates the allocation states of a party for one billing year and utility type
+ * (allocation.<party>.<year>.<type>)
+ *
+ * @param {object} adapter - The adapter instance
+ * @param {{id: string, name: string}} party - Party (tenant / cost center)
+ * @param {number|string} year - Billing year
+ * @param {string} type - Utility type: 'gas', 'water', 'electricity'
+ * @returns {Promise<void>}
+ */
+async function createAllocationStructure(adapter, party, year, type) {
+    const labels = {
+        gas: { name: 'Gas', unit: 'kWh' },
+        water: { name: 'Wasser', unit: 'm³' },
+        electricity: { name: 'Strom', unit: 'kWh' },
+    };
+    const label = labels[type] || { name: type, unit: 'kWh' };
+
+    await adapter.setObjectNotExistsAsync('allocation', {
+        type: 'channel',
+        common: { name: 'Kostenaufteilung' },
+        native: {},
+    });
+    await adapter.setObjectNotExistsAsync(`allocation.${party.id}`, {
+        type: 'channel',
+        common: { name: party.name },
+        native: {},
+    });
+    await adapter.setObjectNotExistsAsync(`allocation.${party.id}.${year}`, {
+        type: 'channel',
+        common: { name: `Abrechnung ${year}` },
+        native: {},
+    });
+
+    const basePath = `allocation.${party.id}.${year}.${type}`;
+    await adapter.setObjectNotExistsAsync(basePath, {
+        type: 'channel',
+        common: { name: label.name },
+        native: {},
+    });
+
+    const states = [
+        {
+            id: 'consumption',
+            name: `Anteiliger Verbrauch (${label.unit})`,
+            role: STATE_ROLES.consumption,
+            unit: label.unit,
+        },
+        { id: 'costs', name: 'Anteilige Kosten (€)', role: STATE_ROLES.cost, unit: '€' },
+        { id: 'advancePayments', name: 'Vorauszahlungen (€)', role: STATE_ROLES.cost, unit: '€' },
+        { id: 'balance', name: 'Saldo (Vorauszahlungen - Kosten) (€)', role: STATE_ROLES.cost, unit: '€' },
+    ];
+
+    for (const s of states) {
+        await adapter.setObjectNotExistsAsync(`${basePath}.${s.id}`, {
+            type: 'state',
+            common: {
+                name: s.name,
+                type: 'number',
+                role: s.role,
+                read: true,
+                write: false,
+                unit: s.unit,
+                def: 0,
+            },
+            native: {},
+        });
+    }
+}
+
+module.exports = createAllocationStructure;
@@ -0,0 +1,120 @@
+'use strict';
+
+const STATE_ROLES = require('./roles');
+
+/**
+ * Creates the export, generation and net states of a bidirectional electricity meter
+ * (import register 1.8.0 is the regular meter sensor, export register 2.8.0 the export sensor)
+ *
+ * @param {object} adapter - The adapter instance
+ * @param {string} type - Utility type (only 'electricity' uses this structure)
+ * @param {string} meterName - Name of the meter
+ * @param {object} config - Meter configuration (from MultiMeterManager.getMetersForType)
+ * @returns {Promise<void>}
+ */
+async function createBidirectionalStructure(adapter, type, meterName, config) {
+    if (!config?.exportSensorDP) {
+        return;
+    }
+
+    const basePath = `${type}.${meterName}`;
+    const hasGeneration = !!config.generationSensorDP;
+
+    const periods = [
+        { id: 'daily', name: 'Tages' },
+        { id: 'monthly', name: 'Monats' },
+        { id: 'yearly', name: 'Jahres' },
+        { id: 'weekly', name: 'Wochen' },
+    ];
+
+    const groups = [
+        { id: 'export', name: 'Einspeisung', suffix: 'einspeisung', unit: 'kWh', role: STATE_ROLES.consumption },
+        {
+            id: 'export.compensation',
+            name: 'Einspeisevergütung',
+            suffix: 'vergütung',
+            unit: '€',
+            role: STATE_ROLES.cost,
+        },
+        { id: 'net', name: 'Saldo (Bezug - Einspeisung)' },
+        {
+            id: 'net.consumption',
+            name: 'Netto-Verbrauch',
+            suffix: 'saldo Bezug - Einspeisung',
+            unit: 'kWh',
+            role: STATE_ROLES.consumption,
+        },
+        {
+            id: 'net.costs',
+            name: 'Netto-Kosten',
+            suffix: 'kosten abzüglich Einspeisevergütung',
+            unit: '€',
+            role: STATE_ROLES.cost,
+        },
+    ];
+
+    if (hasGeneration) {
+        groups.push(
+            { id: 'generation', name: 'Erzeugung', suffix: 'erzeugung', unit: 'kWh', role: STATE_ROLES.consumption },
+            {
+                id: 'net.selfConsumption',
+                name: 'Eigenverbrauch',
+                suffix: 'eigenverbrauch (Erzeugung - Einspeisung)',
+                unit: 'kWh',
+                role: STATE_ROLES.consumption,
+            },
+        );
+    }
+
+    for (const group of groups) {
+        await adapter.setObjectNotExistsAsync(`${basePath}.${group.id}`, {
+            type: 'channel',
+            common: { name: group.name },
+            native: {},
+        });
+
+        if (!group.unit) {
+            continue;
+        }
+
+        for (const p of periods) {
+            await adapter.setObjectNotExistsAsync(`${basePath}.${group.id}.${p.id}`, {
+                type: 'state',
+                common: {
+                    name: `${p.name}${group.suffix} (${group.unit})`,
+                    type: 'number',
+                    role: group.role,
+                    read: true,
+                    write: false,
+                    unit: group.unit,
+                    def: 0,
+                },
+                native: {},
+            });
+        }
+    }
+
+    // Register readings of the additional sensors (baseline after restart)
+    const readings = [{ id: 'export', name: 'Zählerstand Einspeisung (2.8.0)' }];
+    if (hasGeneration) {
+        readings.push({ id: 'generation', name: 'Zählerstand Erzeugung' });
+    }
+
+    for (const reading of readings) {
+        await adapter.setObjectNotExistsAsync(`${basePath}.${reading.id}.meterReading`, {
+            type: 'state',
+            common: {
+                name: reading.name,
+                type: 'number',
+                role: STATE_ROLES.meterReading,
+                read: true,
+                write: false,
+                unit: 'kWh',
+                def: 0,
+            },
+            native: {},
+        });
+    }
+}
+
+module.exports = createBidirectionalStructure;
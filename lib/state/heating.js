@@ -0,0 +1,156 @@
+'use strict';
+
+const STATE_ROLES = require('./roles');
+
+/**
+ * Creates the input states of the heating cost allocation (heating.*):
+ * the billing year, the calculate button and the allocator reading per unit
+ *
+ * @param {object} adapter - The adapter instance
+ * @param {Array<{id: string, name: string}>} units - Heating units
+ * @returns {Promise<void>}
+ */
+async function createHeatingStructure(adapter, units) {
+    await adapter.setObjectNotExistsAsync('heating', {
+        type: 'channel',
+        common: { name: 'Heizkostenabrechnung (HeizkostenV)' },
+        native: {},
+    });
+
+    await adapter.setObjectNotExistsAsync('heating.year', {
+        type: 'state',
+        common: {
+            name: 'Abrechnungsjahr (wird beim Abschluss des Gaszählers gesetzt)',
+            type: 'number',
+            role: 'value',
+            read: true,
+            write: true,
+            def: 0,
+        },
+        native: {},
+    });
+    await adapter.setObjectNotExistsAsync('heating.calculate', {
+        type: 'state',
+        common: {
+            name: 'Heizkosten jetzt berechnen (Button)',
+            type: 'boolean',
+            role: 'button',
+            read: true,
+            write: true,
+            def: false,
+        },
+        native: {},
+    });
+
+    await adapter.setObjectNotExistsAsync('heating.units', {
+        type: 'channel',
+        common: { name: 'Nutzeinheiten' },
+        native: {},
+    });
+
+    for (const unit of units) {
+        await adapter.setObjectNotExistsAsync(`heating.units.${unit.id}`, {
+            type: 'channel',
+            common: { name: unit.name },
+            native: {},
+        });
+        await adapter.setObjectNotExistsAsync(`heating.units.${unit.id}.allocatorReading`, {
+            type: 'state',
+            common: {
+                name: 'Ablesewert Heizkostenverteiler (Summe aller Verteiler, manuell eintragen)',
+                type: 'number',
+                role: STATE_ROLES.meterReading,
+                read: true,
+                write: true,
+                unit: 'Einheiten',
+                def: 0,
+            },
+            native: {},
+        });
+    }
+}
+
+/**
+ * Creates the result states of the heating cost allocation for one billing year (heating.<year>.*)
+ *
+ * @param {object} adapter - The adapter instance
+ * @param {number|string} year - Billing year
+ * @param {Array<{id: string, name: string}>} units - Heating units
+ * @returns {Promise<void>}
+ */
+async function createHeatingYearStructure(adapter, year, units) {
+    const basePath = `heating.${year}`;
+    await adapter.setObjectNotExistsAsync(basePath, {
+        type: 'channel',
+        common: { name: `Heizkosten ${year}` },
+        native: {},
+    });
+
+    const yearStates = [
+        { id: 'totalCosts', name: 'Heizkosten gesamt (€)', role: STATE_ROLES.cost, unit: '€' },
+        { id: 'baseCosts', name: 'Grundkosten nach Fläche (€)', role: STATE_ROLES.cost, unit: '€' },
+        { id: 'consumptionCosts', name: 'Verbrauchskosten nach Ablesung (€)', role: STATE_ROLES.cost, unit: '€' },
+        { id: 'baseShare', name: 'Grundkostenanteil (%)', role: STATE_ROLES.value, unit: '%' },
+    ];
+    for (const s of yearStates) {
+        await adapter.setObjectNotExistsAsync(`${basePath}.${s.id}`, {
+            type: 'state',
+            common: { name: s.name, type: 'number', role: s.role, read: true, write: false, unit: s.unit, def: 0 },
+            native: {},
+        });
+    }
+
+    await adapter.setObjectNotExistsAsync(`${basePath}.report`, {
+        type: 'state',
+        common: {
+            name: 'Heizkostenabrechnung (JSON)',
+            type: 'string',
+            role: 'json',
+            read: true,
+            write: false,
+            def: '',
+        },
+        native: {},
+    });
+    await adapter.setObjectNotExistsAsync(`${basePath}.reportFile`, {
+        type: 'state',
+        common: {
+            name: 'Heizkostenabrechnung (CSV-Datei)',
+            type: 'string',
+            role: 'text',
+            read: true,
+            write: false,
+            def: '',
+        },
+        native: {},
+    });
+
+    const unitStates = [
+        { id: 'area', name: 'Wohnfläche (m²)', role: STATE_ROLES.value, unit: 'm²' },
+        { id: 'reading', name: 'Ablesewert Heizkostenverteiler', role: STATE_ROLES.meterReading, unit: 'Einheiten' },
+        { id: 'baseCosts', name: 'Grundkosten (€)', role: STATE_ROLES.cost, unit: '€' },
+        { id: 'consumptionCosts', name: 'Verbrauchskosten (€)', role: STATE_ROLES.cost, unit: '€' },
+        { id: 'totalCosts', name: 'Heizkosten gesamt (€)', role: STATE_ROLES.cost, unit: '€' },
+        { id: 'share', name: 'Anteil an den Heizkosten (%)', role: STATE_ROLES.value, unit: '%' },
+    ];
+
+    for (const unit of units) {
+        await adapter.setObjectNotExistsAsync(`${basePath}.${unit.id}`, {
+            type: 'channel',
+            common: { name: unit.name },
+            native: {},
+        });
+        for (const s of unitStates) {
+            await adapter.setObjectNotExistsAsync(`${basePath}.${unit.id}.${s.id}`, {
+                type: 'state',
+                common: { name: s.name, type: 'number', role: s.role, read: true, write: false, unit: s.unit, def: 0 },
+                native: {},
+            });
+        }
+    }
+}
+
+module.exports = {
+    createHeatingStructure,
+    createHeatingYearStructure,
+};
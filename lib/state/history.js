@@ -92,4 +92,166 @@ async function createHistoryStructure(adapter, type, meterName, year) {
     });
 }
 
-module.exports = createHistoryStructure;
+/**
+ * Creates the per-month history of a year (history.<year>.months.<MM>)
+ *
+ * @param {object} adapter - The adapter instance
+ * @param {string} type - 'gas', 'water', 'electricity', 'pv'
+ * @param {string} meterName - Meter name
+ * @param {number|string} year - Year (YYYY)
+ * @param {number} month - Month (1-12)
+ * @returns {Promise<void>}
+ */
+async function createHistoryMonthStructure(adapter, type, meterName, year, month) {
+    const monthsPath = `${type}.${meterName}.history.${year}.months`;
+    const monthKey = String(month).padStart(2, '0');
+    const basePath = `${monthsPath}.${monthKey}`;
+    const consumptionUnit = type === 'water' ? 'm³' : 'kWh';
+
+    await adapter.setObjectNotExistsAsync(monthsPath, {
+        type: 'channel',
+        common: { name: 'Monate' },
+        native: {},
+    });
+    await adapter.setObjectNotExistsAsync(basePath, {
+        type: 'channel',
+        common: { name: `${monthKey}/${year}` },
+        native: { year, month },
+    });
+
+    const states = [
+        {
+            id: 'consumption',
+            name: `Verbrauch (${consumptionUnit})`,
+            role: STATE_ROLES.consumption,
+            unit: consumptionUnit,
+        },
+        { id: 'costs', name: 'Kosten (€)', role: STATE_ROLES.cost, unit: '€' },
+    ];
+    if (type === 'gas') {
+        states.splice(1, 0, { id: 'volume', name: 'Verbrauch (m³)', role: STATE_ROLES.consumption, unit: 'm³' });
+    }
+
+    for (const s of states) {
+        await adapter.setObjectNotExistsAsync(`${basePath}.${s.id}`, {
+            type: 'state',
+            common: {
+                name: s.name,
+                type: 'number',
+                role: s.role,
+                read: true,
+                write: false,
+                unit: s.unit,
+                def: 0,
+            },
+            native: {},
+        });
+    }
+}
+
+/**
+ * Creates the invoice of the supplier and the estimation error of a year
+ * (history.<year>.invoice, history.<year>.estimationError)
+ *
+ * @param {object} adapter - The adapter instance
+ * @param {string} type - 'gas', 'water', 'electricity', 'pv'
+ * @param {string} meterName - Meter name
+ * @param {number|string} year - Year (YYYY)
+ * @returns {Promise<void>}
+ */
+async function createHistoryInvoiceStructure(adapter, type, meterName, year) {
+    const basePath = `${type}.${meterName}.history.${year}`;
+    const consumptionUnit = type === 'water' ? 'm³' : 'kWh';
+
+    const channels = [
+        {
+            id: 'invoice',
+            name: 'Rechnung des Versorgers',
+            states: [
+                {
+                    id: 'consumption',
+                    name: 'Verbrauch laut Rechnung',
+                    role: STATE_ROLES.consumption,
+                    unit: consumptionUnit,
+                },
+                { id: 'amount', name: 'Rechnungsbetrag', role: STATE_ROLES.cost, unit: '€' },
+                { id: 'settlement', name: 'Erstattung (+) / Nachzahlung (-)', role: STATE_ROLES.cost, unit: '€' },
+            ],
+        },
+        {
+            id: 'estimationError',
+            name: 'Abweichung Adapter / Rechnung',
+            states: [
+                { id: 'consumption', name: 'Abweichung Verbrauch', role: 'value', unit: '%' },
+                { id: 'amount', name: 'Abweichung Kosten', role: 'value', unit: '%' },
+                { id: 'balance', name: 'Abweichung Saldo', role: STATE_ROLES.cost, unit: '€' },
+            ],
+        },
+    ];
+
+    for (const channel of channels) {
+        await adapter.setObjectNotExistsAsync(`${basePath}.${channel.id}`, {
+            type: 'channel',
+            common: { name: channel.name },
+            native: {},
+        });
+        for (const s of channel.states) {
+            await adapter.setObjectNotExistsAsync(`${basePath}.${channel.id}.${s.id}`, {
+                type: 'state',
+                common: {
+                    name: s.name,
+                    type: 'number',
+                    role: s.role,
+                    read: true,
+                    write: false,
+                    unit: s.unit,
+                    def: 0,
+                },
+                native: {},
+            });
+        }
+    }
+}
+
+/**
+ * Creates the meter exchange log of a year (history.<year>.meterExchanges)
+ *
+ * @param {object} adapter - The adapter instance
+ * @param {string} type - 'gas', 'water', 'electricity', 'pv'
+ * @param {string} meterName - Meter name
+ * @param {number|string} year - Year (YYYY)
+ * @returns {Promise<void>}
+ */
+async function createHistoryExchangeStructure(adapter, type, meterName, year) {
+    const basePath = `${type}.${meterName}.history.${year}`;
+
+    await adapter.setObjectNotExistsAsync(`${type}.${meterName}.history`, {
+        type: 'channel',
+        common: { name: 'Historie' },
+        native: {},
+    });
+    await adapter.setObjectNotExistsAsync(basePath, {
+        type: 'channel',
+        common: { name: `Jahr ${year}` },
+        native: { year },
+    });
+    await adapter.setObjectNotExistsAsync(`${basePath}.meterExchanges`, {
+        type: 'state',
+        common: {
+            name: `Zählerwechsel ${year}`,
+            type: 'string',
+            role: 'json',
+            read: true,
+            write: false,
+            def: '[]',
+        },
+        native: {},
+    });
+}
+
+module.exports = {
+    createHistoryStructure,
+    createHistoryMonthStructure,
+    createHistoryInvoiceStructure,
+    createHistoryExchangeStructure,
+};
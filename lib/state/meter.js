@@ -1,6 +1,7 @@
 'use strict';
 
 const STATE_ROLES = require('./roles');
+const tariffHelper = require('../utils/tariffHelper');
 
 /**
  * Creates the state structure for an individual meter
@@ -8,10 +9,10 @@ const STATE_ROLES = require('./roles');
  * @param {object} adapter - The adapter instance
  * @param {string} type - Utility type: 'gas', 'water', 'electricity', 'pv'
  * @param {string} meterName - Name of the meter
- * @param {object} _config - Configuration for this utility
+ * @param {object} config - Meter configuration (from MultiMeterManager.getMetersForType)
  * @returns {Promise<void>}
  */
-async function createMeterStructure(adapter, type, meterName, _config) {
+async function createMeterStructure(adapter, type, meterName, config) {
     const labels = {
         gas: { name: 'Gas', unit: 'kWh', volumeUnit: 'm³' },
         water: { name: 'Wasser', unit: 'm³' },
@@ -88,36 +89,15 @@ async function createMeterStructure(adapter, type, meterName, _config) {
         });
     }
 
-    const configTypeMap = { electricity: 'strom', water: 'wasser', gas: 'gas', pv: 'pv' };
-    const configType = configTypeMap[type] || type;
-    const htNtEnabled = _config[`${configType}HtNtEnabled`];
+    // Tariff zones (HT/NT or custom time windows)
+    const zones = tariffHelper.getZones(config?.tariffSchedule);
 
-    if (htNtEnabled) {
-        const htNtStates = [
-            'dailyHT',
-            'dailyNT',
-            'monthlyHT',
-            'monthlyNT',
-            'yearlyHT',
-            'yearlyNT',
-            'weeklyHT',
-            'weeklyNT',
-        ];
-        const htNtLabels = {
-            dailyHT: 'Tagesverbrauch Haupttarif (HT)',
-            dailyNT: 'Tagesverbrauch Nebentarif (NT)',
-            monthlyHT: 'Monatsverbrauch Haupttarif (HT)',
-            monthlyNT: 'Monatsverbrauch Nebentarif (NT)',
-            yearlyHT: 'Jahresverbrauch Haupttarif (HT)',
-            yearlyNT: 'Jahresverbrauch Nebentarif (NT)',
-            weeklyHT: 'Wochenverbrauch Haupttarif (HT)',
-            weeklyNT: 'Wochenverbrauch Nebentarif (NT)',
-        };
-        for (const id of htNtStates) {
-            await adapter.setObjectNotExistsAsync(`${basePath}.consumption.${id}`, {
+    for (const zone of zones) {
+        for (const p of periods) {
+            await adapter.setObjectNotExistsAsync(`${basePath}.consumption.${p.id}${zone.key}`, {
                 type: 'state',
                 common: {
-                    name: `${htNtLabels[id]} (${label.unit})`,
+                    name: `${p.name}verbrauch ${zone.name} (${label.unit})`,
                     type: 'number',
                     role: STATE_ROLES.consumption,
                     read: true,
@@ -165,32 +145,12 @@ async function createMeterStructure(adapter, type, meterName, _config) {
         });
     }
 
-    if (htNtEnabled) {
-        const htNtCostStates = [
-            'yearlyHT',
-            'yearlyNT',
-            'monthlyHT',
-            'monthlyNT',
-            'dailyHT',
-            'dailyNT',
-            'weeklyHT',
-            'weeklyNT',
-        ];
-        const htNtCostLabels = {
-            yearlyHT: 'Jahreskosten Haupttarif (HT)',
-            yearlyNT: 'Jahreskosten Nebentarif (NT)',
-            monthlyHT: 'Monatskosten Haupttarif (HT)',
-            monthlyNT: 'Monatskosten Nebentarif (NT)',
-            dailyHT: 'Tageskosten Haupttarif (HT)',
-            dailyNT: 'Tageskosten Nebentarif (NT)',
-            weeklyHT: 'Wochenkosten Haupttarif (HT)',
-            weeklyNT: 'Wochenkosten Nebentarif (NT)',
-        };
-        for (const id of htNtCostStates) {
-            await adapter.setObjectNotExistsAsync(`${basePath}.costs.${id}`, {
+    for (const zone of zones) {
+        for (const p of periods) {
+            await adapter.setObjectNotExistsAsync(`${basePath}.costs.${p.id}${zone.key}`, {
                 type: 'state',
                 common: {
-                    name: `${htNtCostLabels[id]} (€)`,
+                    name: `${p.name}kosten ${zone.name} (€)`,
                     type: 'number',
                     role: STATE_ROLES.cost,
                     read: true,
@@ -244,6 +204,21 @@ async function createMeterStructure(adapter, type, meterName, _config) {
             unit: label.volumeUnit || label.unit,
             write: true,
         },
+        {
+            id: 'startReading',
+            name: 'Startzählerstand (leer/0 = Zählerstand bei Vertragsbeginn)',
+            type: 'number',
+            role: STATE_ROLES.meterReading,
+            unit: label.volumeUnit || label.unit,
+            write: true,
+        },
+        {
+            id: 'deviation',
+            name: 'Abweichung erfasst / abgelesen beim letzten Abschluss',
+            type: 'number',
+            role: 'value',
+            unit: '%',
+        },
         {
             id: 'closePeriod',
             name: 'Zeitraum jetzt abschließen (Button)',
@@ -262,6 +237,27 @@ async function createMeterStructure(adapter, type, meterName, _config) {
             unit: label.volumeUnit || label.unit,
             def: 0,
         },
+        {
+            id: 'recommendedAbschlag',
+            name: 'Empfohlener Abschlag (Prognose) (€/Monat)',
+            type: 'number',
+            role: STATE_ROLES.cost,
+            unit: '€',
+        },
+        {
+            id: 'projectedBalance',
+            name: 'Prognose Saldo zum Abrechnungsende (+ Guthaben / − Nachzahlung) (€)',
+            type: 'number',
+            role: STATE_ROLES.cost,
+            unit: '€',
+        },
+        {
+            id: 'lastStatement',
+            name: 'Letzte Jahresabrechnung (Datei)',
+            type: 'string',
+            role: 'text',
+            def: '',
+        },
         {
             id: 'notificationSent',
             name: 'Benachrichtigung Zählerstand versendet',
@@ -293,6 +289,116 @@ async function createMeterStructure(adapter, type, meterName, _config) {
         });
     }
 
+    // Virtual meters have no readings of their own: no invoice input
+    if (!config?.virtual) {
+        // Invoice of the supplier for a closed period (manual input)
+        await adapter.setObjectNotExistsAsync(`${basePath}.billing.invoice`, {
+            type: 'channel',
+            common: { name: 'Rechnung des Versorgers' },
+            native: {},
+        });
+        const invoiceStates = [
+            { id: 'year', name: 'Abrechnungsjahr (wie in history.<Jahr>)', type: 'number', role: 'value' },
+            {
+                id: 'consumption',
+                name: 'Verbrauch laut Rechnung',
+                type: 'number',
+                role: 'value',
+                unit: label.unit,
+            },
+            { id: 'amount', name: 'Rechnungsbetrag (€)', type: 'number', role: STATE_ROLES.cost, unit: '€' },
+            {
+                id: 'settlement',
+                name: 'Erstattung (+) / Nachzahlung (-) laut Rechnung (€)',
+                type: 'number',
+                role: STATE_ROLES.cost,
+                unit: '€',
+            },
+            { id: 'save', name: 'Rechnung übernehmen (Button)', type: 'boolean', role: 'button', def: false },
+        ];
+        for (const s of invoiceStates) {
+            await adapter.setObjectNotExistsAsync(`${basePath}.billing.invoice.${s.id}`, {
+                type: 'state',
+                common: {
+                    name: s.name,
+                    type: s.type,
+                    role: s.role,
+                    read: true,
+                    write: true,
+                    unit: s.unit || '',
+                    def: s.def === undefined ? 0 : s.def,
+                },
+                native: {},
+            });
+        }
+    }
+
+    // Virtual meters have no physical meter to exchange
+    if (!config?.virtual) {
+        // --- METER EXCHANGE STATES ---
+        await adapter.setObjectNotExistsAsync(`${basePath}.exchange`, {
+            type: 'channel',
+            common: { name: 'Zählerwechsel' },
+            native: {},
+        });
+        const exchangeStates = [
+            {
+                id: 'oldReading',
+                name: 'Endstand alter Zähler',
+                type: 'number',
+                role: STATE_ROLES.meterReading,
+                unit: label.volumeUnit || label.unit,
+                write: true,
+            },
+            {
+                id: 'newReading',
+                name: 'Anfangsstand neuer Zähler',
+                type: 'number',
+                role: STATE_ROLES.meterReading,
+                unit: label.volumeUnit || label.unit,
+                write: true,
+            },
+            {
+                id: 'date',
+                name: 'Datum des Wechsels (TT.MM.JJJJ, leer = heute)',
+                type: 'string',
+                role: 'text',
+                write: true,
+                def: '',
+            },
+            {
+                id: 'execute',
+                name: 'Zählerwechsel übernehmen (Button)',
+                type: 'boolean',
+                role: 'button',
+                write: true,
+                def: false,
+            },
+            {
+                id: 'pending',
+                name: 'Gesunkener Zählerstand, noch nicht als Wechsel erfasst',
+                type: 'string',
+                role: 'json',
+                def: '',
+            },
+        ];
+        for (const s of exchangeStates) {
+            await adapter.setObjectNotExistsAsync(`${basePath}.exchange.${s.id}`, {
+                type: 'state',
+                common: {
+                    name: s.name,
+                    type: s.type,
+                    role: s.role,
+                    read: true,
+                    write: s.write || false,
+                    unit: s.unit || '',
+                    def: s.def === undefined ? 0 : s.def,
+                },
+                native: {},
+            });
+        }
+    }
+
     // --- ADJUSTMENT STATES ---
     await adapter.setObjectNotExistsAsync(`${basePath}.adjustment`, {
         type: 'channel',
@@ -364,6 +470,49 @@ async function createMeterStructure(adapter, type, meterName, _config) {
         },
         native: {},
     });
+    await adapter.setObjectNotExistsAsync(`${basePath}.info.counterOffset`, {
+        type: 'state',
+        common: {
+            name: 'Zählerstand-Offset nach Zählerwechsel (Endstand alt - Anfangsstand neu)',
+            type: 'number',
+            role: STATE_ROLES.value,
+            read: true,
+            write: false,
+            unit: label.volumeUnit || label.unit,
+            def: 0,
+        },
+        native: {},
+    });
+    await adapter.setObjectNotExistsAsync(`${basePath}.info.sourceUnit`, {
+        type: 'state',
+        common: {
+            name: 'Einheit des Sensors und Umrechnung',
+            type: 'string',
+            role: 'text',
+            read: true,
+            write: false,
+            def: '',
+        },
+        native: {},
+    });
+    if (config?.sensorMode === 'power' || config?.sensorMode === 'pulse') {
+        await adapter.setObjectNotExistsAsync(`${basePath}.info.sensorCounter`, {
+            type: 'state',
+            common: {
+                name:
+                    config.sensorMode === 'power'
+                        ? 'Aus der Leistung integrierter Zählerstand'
+                        : 'Aus den Impulsen gezählter Zählerstand',
+                type: 'number',
+                role: STATE_ROLES.meterReading,
+                read: true,
+                write: false,
+                unit: config.sensorMode === 'power' ? 'kWh' : label.volumeUnit || label.unit,
+                def: 0,
+            },
+            native: {},
+        });
+    }
     await adapter.setObjectNotExistsAsync(`${basePath}.info.currentPrice`, {
         type: 'state',
         common: {
@@ -442,22 +591,18 @@ async function createMeterStructure(adapter, type, meterName, _config) {
             native: {},
         });
     }
-    if (htNtEnabled) {
-        const consumptionHTNT = [
-            { id: 'lastDayHT', name: `Verbrauch gestern HT (${label.unit})` },
-            { id: 'lastDayNT', name: `Verbrauch gestern NT (${label.unit})` },
-            { id: 'lastWeekHT', name: `Verbrauch letzte Woche HT (${label.unit})` },
-            { id: 'lastWeekNT', name: `Verbrauch letzte Woche NT (${label.unit})` },
-            { id: 'lastMonthHT', name: `Verbrauch letzter Monat HT (${label.unit})` },
-            { id: 'lastMonthNT', name: `Verbrauch letzter Monat NT (${label.unit})` },
-            { id: 'lastYearHT', name: `Verbrauch letztes Jahr HT (${label.unit})` },
-            { id: 'lastYearNT', name: `Verbrauch letztes Jahr NT (${label.unit})` },
-        ];
-        for (const item of consumptionHTNT) {
-            await adapter.setObjectNotExistsAsync(`${basePath}.statistics.consumption.${item.id}`, {
+    const lastPeriods = [
+        { id: 'lastDay', consumption: 'Verbrauch gestern', cost: 'Kosten gestern' },
+        { id: 'lastWeek', consumption: 'Verbrauch letzte Woche', cost: 'Kosten letzte Woche' },
+        { id: 'lastMonth', consumption: 'Verbrauch letzter Monat', cost: 'Kosten letzter Monat' },
+        { id: 'lastYear', consumption: 'Verbrauch letztes Jahr', cost: 'Kosten letztes Jahr' },
+    ];
+    for (const zone of zones) {
+        for (const item of lastPeriods) {
+            await adapter.setObjectNotExistsAsync(`${basePath}.statistics.consumption.${item.id}${zone.key}`, {
                 type: 'state',
                 common: {
-                    name: item.name,
+                    name: `${item.consumption} ${zone.name} (${label.unit})`,
                     type: 'number',
                     role: STATE_ROLES.consumption,
                     read: true,
@@ -522,22 +667,12 @@ async function createMeterStructure(adapter, type, meterName, _config) {
             native: {},
         });
     }
-    if (htNtEnabled) {
-        const costHTNT = [
-            { id: 'lastDayHT', name: 'Kosten gestern HT (€)' },
-            { id: 'lastDayNT', name: 'Kosten gestern NT (€)' },
-            { id: 'lastWeekHT', name: 'Kosten letzte Woche HT (€)' },
-            { id: 'lastWeekNT', name: 'Kosten letzte Woche NT (€)' },
-            { id: 'lastMonthHT', name: 'Kosten letzter Monat HT (€)' },
-            { id: 'lastMonthNT', name: 'Kosten letzter Monat NT (€)' },
-            { id: 'lastYearHT', name: 'Kosten letztes Jahr HT (€)' },
-            { id: 'lastYearNT', name: 'Kosten letztes Jahr NT (€)' },
-        ];
-        for (const item of costHTNT) {
-            await adapter.setObjectNotExistsAsync(`${basePath}.statistics.cost.${item.id}`, {
+    for (const zone of zones) {
+        for (const item of lastPeriods) {
+            await adapter.setObjectNotExistsAsync(`${basePath}.statistics.cost.${item.id}${zone.key}`, {
                 type: 'state',
                 common: {
-                    name: item.name,
+                    name: `${item.cost} ${zone.name} (€)`,
                     type: 'number',
                     role: STATE_ROLES.cost,
                     read: true,
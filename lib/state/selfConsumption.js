@@ -0,0 +1,110 @@
+'use strict';
+
+const STATE_ROLES = require('./roles');
+
+/**
+ * Creates the PV self-consumption statistics (pv.selfConsumption)
+ *
+ * @param {object} adapter - The adapter instance
+ * @returns {Promise<void>}
+ */
+async function createSelfConsumptionStructure(adapter) {
+    const basePath = 'pv.selfConsumption';
+
+    await adapter.setObjectNotExistsAsync(basePath, {
+        type: 'channel',
+        common: { name: 'PV-Eigenverbrauch & Autarkie' },
+        native: {},
+    });
+
+    const periods = [
+        { id: 'daily', name: 'Tages' },
+        { id: 'monthly', name: 'Monats' },
+        { id: 'yearly', name: 'Jahres' },
+        { id: 'weekly', name: 'Wochen' },
+    ];
+
+    const groups = [
+        { id: 'generation', name: 'Erzeugung', suffix: 'erzeugung', unit: 'kWh', role: STATE_ROLES.consumption },
+        {
+            id: 'selfConsumed',
+            name: 'Eigenverbrauch',
+            suffix: 'eigenverbrauch (Erzeugung - Einspeisung)',
+            unit: 'kWh',
+            role: STATE_ROLES.consumption,
+        },
+        {
+            id: 'quota',
+            name: 'Eigenverbrauchsquote',
+            suffix: '-Eigenverbrauchsquote (Eigenverbrauch / Erzeugung)',
+            unit: '%',
+            role: STATE_ROLES.value,
+        },
+        {
+            id: 'autarky',
+            name: 'Autarkiegrad',
+            suffix: '-Autarkiegrad (Eigenverbrauch / Gesamtverbrauch)',
+            unit: '%',
+            role: STATE_ROLES.value,
+        },
+        {
+            id: 'savings',
+            name: 'Ersparnis',
+            suffix: 'ersparnis durch Eigenverbrauch',
+            unit: '€',
+            role: STATE_ROLES.cost,
+        },
+    ];
+
+    for (const group of groups) {
+        await adapter.setObjectNotExistsAsync(`${basePath}.${group.id}`, {
+            type: 'channel',
+            common: { name: group.name },
+            native: {},
+        });
+
+        for (const p of periods) {
+            await adapter.setObjectNotExistsAsync(`${basePath}.${group.id}.${p.id}`, {
+                type: 'state',
+                common: {
+                    name: `${p.name}${group.suffix} (${group.unit})`,
+                    type: 'number',
+                    role: group.role,
+                    read: true,
+                    write: false,
+                    unit: group.unit,
+                    def: 0,
+                },
+                native: {},
+            });
+        }
+    }
+
+    await adapter.setObjectNotExistsAsync(`${basePath}.generation.meterReading`, {
+        type: 'state',
+        common: {
+            name: 'Zählerstand Erzeugung',
+            type: 'number',
+            role: STATE_ROLES.meterReading,
+            read: true,
+            write: false,
+            unit: 'kWh',
+            def: 0,
+        },
+        native: {},
+    });
+
+    await adapter.setObjectNotExistsAsync(`${basePath}.lastUpdate`, {
+        type: 'state',
+        common: {
+            name: 'Letzte Aktualisierung',
+            type: 'number',
+            role: STATE_ROLES.timestamp,
+            read: true,
+            write: false,
+        },
+        native: {},
+    });
+}
+
+module.exports = createSelfConsumptionStructure;
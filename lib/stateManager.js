@@ -9,13 +9,30 @@ const STATE_ROLES = require('./state/roles');
 const { createUtilityStateStructure, deleteUtilityStateStructure } = require('./state/utility');
 const createMeterStructure = require('./state/meter');
 const createTotalsStructure = require('./state/totals');
-const createHistoryStructure = require('./state/history');
+const {
+    createHistoryStructure,
+    createHistoryMonthStructure,
+    createHistoryInvoiceStructure,
+    createHistoryExchangeStructure,
+} = require('./state/history');
+const createBidirectionalStructure = require('./state/bidirectional');
+const createSelfConsumptionStructure = require('./state/selfConsumption');
+const createAllocationStructure = require('./state/allocation');
+const { createHeatingStructure, createHeatingYearStructure } = require('./state/heating');
 
 module.exports = {
     createUtilityStateStructure,
     createMeterStructure,
     createTotalsStructure,
     createHistoryStructure,
+    createHistoryMonthStructure,
+    createHistoryInvoiceStructure,
+    createHistoryExchangeStructure,
+    createBidirectionalStructure,
+    createSelfConsumptionStructure,
+    createAllocationStructure,
+    createHeatingStructure,
+    createHeatingYearStructure,
     deleteUtilityStateStructure,
     STATE_ROLES,
 };
@@ -0,0 +1,130 @@
+'use strict';
+
+const calculator = require('./calculator');
+const fileHelper = require('./utils/fileHelper');
+const statementHelper = require('./utils/statementHelper');
+const tariffHelper = require('./utils/tariffHelper');
+
+/**
+ * StatementManager creates the annual statement of a closed billing period:
+ * one HTML file per meter and a summary of all meters of the type, stored in the
+ * file storage of the instance (statements/).
+ */
+class StatementManager {
+    /**
+     * @param {object} adapter - ioBroker adapter instance
+     */
+    constructor(adapter) {
+        this.adapter = adapter;
+    }
+
+    /**
+     * Collects the statement data of a meter. Must be called before the running
+     * values of the period are reset.
+     *
+     * @param {string} type - Utility type
+     * @param {{name: string, displayName?: string, config: object}} meter - Meter object from multiMeterManager
+     * @param {number} year - Billing year
+     * @param {Date} periodStart - Start of the billing period (contract start)
+     * @param {number} endReading - End reading entered by the user
+     * @returns {Promise<Record<string, any>>} Statement data
+     */
+    async collect(type, meter, year, periodStart, endReading) {
+        const basePath = `${type}.${meter.name}`;
+        const value = async id => {
+            const state = await this.adapter.getStateAsync(`${basePath}.${id}`);
+            return typeof state?.val === 'number' ? calculator.roundToDecimals(state.val, 2) : 0;
+        };
+
+        const zones = [];
+        for (const zone of tariffHelper.getZones(meter.config?.tariffSchedule)) {
+            zones.push({
+                name: zone.name,
+                consumption: await value(`consumption.yearly${zone.key}`),
+                costs: await value(`costs.yearly${zone.key}`),
+            });
+        }
+
+        return {
+            type,
+            meterName: meter.name,
+            label: meter.displayName || meter.name,
+            year,
+            periodStart: periodStart.getTime(),
+            periodEnd: Date.now(),
+            created: Date.now(),
+            unit: type === 'water' ? 'm³' : 'kWh',
+            volumeUnit: type === 'gas' ? 'm³' : '',
+            startReading: meter.config?.initialReading || 0,
+            endReading,
+            consumption: await value('consumption.yearly'),
+            volume: type === 'gas' ? await value('consumption.yearlyVolume') : 0,
+            zones,
+            price: meter.config?.preis || 0,
+            workingCosts: await value('costs.yearly'),
+            basicCharge: await value('costs.basicCharge'),
+            annualFee: await value('costs.annualFee'),
+            totalCosts: await value('costs.totalYearly'),
+            advance: meter.config?.abschlag || 0,
+            paidTotal: await value('costs.paidTotal'),
+            balance: await value('costs.balance'),
+        };
+    }
+
+    /**
+     * Writes the statement of a meter and updates the summary of its type
+     *
+     * @param {Record<string, any>} statement - Statement data from collect()
+     * @returns {Promise<string>} File path of the meter statement
+     */
+    async createStatement(statement) {
+        const { type, meterName, year } = statement;
+
+        const file = await fileHelper.writeReportFile(
+            this.adapter,
+            `statements/${type}_${meterName}_${year}.html`,
+            statementHelper.toHTML(statement),
+        );
+        await this.adapter.setStateAsync(`${type}.${meterName}.billing.lastStatement`, file, true);
+        this.adapter.log.info(`📄 Jahresabrechnung ${year} für ${type}.${meterName} gespeichert: ${file}`);
+
+        await this.createSummary(type, year);
+        return file;
+    }
+
+    /**
+     * Writes the summary of all meters of a type whose period of the year is closed
+     *
+     * @param {string} type - Utility type
+     * @param {number} year - Billing year
+     */
+    async createSummary(type, year) {
+        const meters = this.adapter.multiMeterManager?.getMetersForType(type) || [];
+        const rows = [];
+        for (const meter of meters) {
+            const historyPath = `${type}.${meter.name}.history.${year}`;
+            const consumption = (await this.adapter.getStateAsync(`${historyPath}.yearly`))?.val;
+            if (typeof consumption !== 'number') {
+                continue;
+            }
+            rows.push({
+                label: meter.displayName || meter.name,
+                consumption,
+                costs: (await this.adapter.getStateAsync(`${historyPath}.totalYearly`))?.val || 0,
+                balance: (await this.adapter.getStateAsync(`${historyPath}.balance`))?.val || 0,
+                unit: type === 'water' ? 'm³' : 'kWh',
+            });
+        }
+
+        if (rows.length === 0) {
+            return;
+        }
+        await fileHelper.writeReportFile(
+            this.adapter,
+            `statements/${type}_${year}.html`,
+            statementHelper.toSummaryHTML(type, year, rows),
+        );
+    }
+}
+
+module.exports = StatementManager;
@@ -0,0 +1,154 @@
+'use strict';
+
+/**
+ * Allocation helper for the cost allocation to tenants / cost centers (Nebenkostenabrechnung).
+ * Pure functions: parse the configured parties and split keys and distribute
+ * the consumption and costs of meters onto the parties.
+ */
+
+const { parseConfigNumber } = require('../configParser');
+const { normalizeMeterName } = require('./helpers');
+
+/**
+ * Supported split methods
+ * meter:   the meter belongs completely to one party
+ * area:    split by living area (m²)
+ * persons: split by number of persons
+ * share:   fixed percentage for one party
+ * equal:   equal parts for all parties
+ */
+const ALLOCATION_METHODS = ['meter', 'area', 'persons', 'share', 'equal'];
+
+/**
+ * Advance payment column of the party table per utility type
+ */
+const ADVANCE_KEYS = {
+    gas: 'advanceGas',
+    water: 'advanceWater',
+    electricity: 'advanceElectricity',
+};
+
+/**
+ * Parses the party table
+ *
+ * @param {Array<object>} rows - Rows of the allocationParties table
+ * @returns {Array<{id: string, name: string, area: number, persons: number, advance: Record<string, number>}>} Parties
+ */
+function parseParties(rows) {
+    if (!Array.isArray(rows)) {
+        return [];
+    }
+
+    const parties = [];
+    for (const row of rows) {
+        if (!row || !row.name) {
+            continue;
+        }
+        const id = normalizeMeterName(row.name);
+        if (parties.some(p => p.id === id)) {
+            continue;
+        }
+
+        const advance = Object.fromEntries(
+            Object.entries(ADVANCE_KEYS).map(([type, key]) => [type, parseConfigNumber(row[key], 0)]),
+        );
+
+        parties.push({
+            id,
+            name: row.name,
+            area: parseConfigNumber(row.area, 0),
+            persons: parseConfigNumber(row.persons, 0),
+            advance,
+        });
+    }
+    return parties;
+}
+
+/**
+ * Parses the split key table
+ *
+ * @param {Array<object>} rows - Rows of the allocationRules table
+ * @param {string} [type] - Only return rules for this utility type
+ * @returns {Array<{type: string, meter: string, method: string, party: string, share: number}>} Rules
+ */
+function parseRules(rows, type) {
+    if (!Array.isArray(rows)) {
+        return [];
+    }
+
+    return rows
+        .filter(row => row && row.type && ALLOCATION_METHODS.includes(row.method))
+        .filter(row => !type || row.type === type)
+        .map(row => ({
+            type: row.type,
+            meter: row.meter ? normalizeMeterName(row.meter) : '',
+            method: row.method,
+            party: row.party ? normalizeMeterName(row.party) : '',
+            share: parseConfigNumber(row.share, 0),
+        }));
+}
+
+/**
+ * Calculates the fraction each party gets from a rule
+ *
+ * @param {{method: string, party: string, share: number}} rule - Split rule
+ * @param {Array<{id: string, area: number, persons: number}>} parties - All parties
+ * @returns {Record<string, number>} Fraction (0..1) per party ID, empty if the rule cannot be applied
+ */
+function calculateShares(rule, parties) {
+    if (rule.method === 'meter' || rule.method === 'share') {
+        if (!parties.some(p => p.id === rule.party)) {
+            return {};
+        }
+        const fraction = rule.method === 'meter' ? 1 : rule.share / 100;
+        return { [rule.party]: fraction };
+    }
+
+    if (rule.method === 'equal') {
+        return Object.fromEntries(parties.map(p => [p.id, 1 / parties.length]));
+    }
+
+    // area / persons
+    const total = parties.reduce((sum, p) => sum + p[rule.method], 0);
+    if (total <= 0) {
+        return {};
+    }
+    return Object.fromEntries(parties.map(p => [p.id, p[rule.method] / total]));
+}
+
+/**
+ * Distributes meter values onto the parties
+ *
+ * @param {Array<{meter: string, method: string, party: string, share: number}>} rules - Split rules of one utility type
+ * @param {Array<{id: string, area: number, persons: number}>} parties - All parties
+ * @param {Record<string, {consumption: number, costs: number}>} meterValues - Values per meter name
+ * @param {string} defaultMeter - Meter used by rules without meter
+ * @returns {Record<string, {consumption: number, costs: number}>} Allocated values per party ID
+ */
+function allocate(rules, parties, meterValues, defaultMeter) {
+    const result = Object.fromEntries(parties.map(p => [p.id, { consumption: 0, costs: 0 }]));
+
+    for (const rule of rules) {
+        const values = meterValues[rule.meter || defaultMeter];
+        if (!values) {
+            continue;
+        }
+
+        const shares = calculateShares(rule, parties);
+        for (const [partyId, fraction] of Object.entries(shares)) {
+            result[partyId].consumption += values.consumption * fraction;
+            result[partyId].costs += values.costs * fraction;
+        }
+    }
+
+    return result;
+}
+
+module.exports = {
+    ALLOCATION_METHODS,
+    ADVANCE_KEYS,
+    parseParties,
+    parseRules,
+    calculateShares,
+    allocate,
+};
@@ -1,6 +1,7 @@
 'use strict';
 
 const calculator = require('../calculator');
+const priceHelper = require('./priceHelper');
 
 /**
  * Shared billing and cost calculation logic
@@ -24,6 +25,44 @@ function calculateAccumulatedCharges(monthlyFee, annualFee, months) {
     };
 }
 
+/**
+ * Calculates accumulated charges for a meter with a dated price list.
+ * Each started month is charged with the basic charge valid at its start,
+ * the annual fee is blended pro rata from the fees valid in each month of the billing year.
+ *
+ * @param {object} config - Meter configuration (grundgebuehr, jahresgebuehr, priceHistory)
+ * @param {Date} yearStart - Start of the billing year
+ * @param {number} months - Number of started months since the start of the billing year
+ * @returns {object} { basicCharge, annualFee, total }
+ */
+function calculateAccumulatedChargesWithHistory(config, yearStart, months) {
+    let basicCharge = 0;
+    let annual = 0;
+
+    for (let i = 0; i < Math.max(12, months); i++) {
+        // Clamp the day so a year start on the 31st does not overflow into the following month
+        const lastDay = new Date(yearStart.getFullYear(), yearStart.getMonth() + i + 1, 0).getDate();
+        const monthStart = new Date(
+            yearStart.getFullYear(),
+            yearStart.getMonth() + i,
+            Math.min(yearStart.getDate(), lastDay),
+        );
+        const values = priceHelper.getTariffValuesAt(config, monthStart);
+        if (i < months) {
+            basicCharge += values.grundgebuehr;
+        }
+        if (i < 12) {
+            annual += values.jahresgebuehr / 12;
+        }
+    }
+
+    return {
+        basicCharge: calculator.roundToDecimals(basicCharge, 2),
+        annualFee: calculator.roundToDecimals(annual, 2),
+        total: calculator.roundToDecimals(basicCharge + annual, 2),
+    };
+}
+
 /**
  * Calculates total paid and balance
  *
@@ -62,8 +101,74 @@ function calculateHTNTCosts(htQty, htPrice, ntQty, ntPrice) {
     };
 }
 
+/**
+ * Calculates the official consumption of a billing period from the meter readings
+ * and its deviation from the consumption tracked by the adapter
+ *
+ * @param {number} startReading - Meter reading at the start of the period (m³ for gas)
+ * @param {number} endReading - Meter reading at the end of the period (m³ for gas)
+ * @param {number} tracked - Consumption tracked by the adapter (kWh for gas)
+ * @param {number} [factor] - Conversion factor kWh per m³ (gas only, default 1)
+ * @returns {object} { volume, official, tracked, deviation } - deviation in percent of the official consumption
+ */
+function calculatePeriodConsumption(startReading, endReading, tracked, factor = 1) {
+    const volume = (endReading || 0) - (startReading || 0);
+    const official = volume * (factor || 1);
+    let deviation = 0;
+    if (official > 0) {
+        deviation = (((tracked || 0) - official) / official) * 100;
+    } else if (tracked > 0) {
+        deviation = 100;
+    }
+
+    return {
+        volume: calculator.roundToDecimals(volume, 3),
+        official: calculator.roundToDecimals(official, 2),
+        tracked: calculator.roundToDecimals(tracked || 0, 2),
+        deviation: calculator.roundToDecimals(deviation, 2),
+    };
+}
+
+/**
+ * Calculates the working costs of the consumption read from the meter.
+ * The tracked working costs are scaled to the read consumption, so HT/NT, dynamic and
+ * dated prices keep their weight; without tracked consumption the current price is used.
+ *
+ * @param {number} official - Consumption read from the meter
+ * @param {number} tracked - Consumption tracked by the adapter
+ * @param {number} workingCosts - Working costs of the tracked consumption (€)
+ * @param {number} price - Current working price per unit
+ * @returns {number} Working costs of the read consumption (€)
+ */
+function calculateOfficialWorkingCosts(official, tracked, workingCosts, price) {
+    const costs = tracked > 0 ? ((workingCosts || 0) * (official || 0)) / tracked : (official || 0) * (price || 0);
+    return calculator.roundToDecimals(costs, 2);
+}
+
+/**
+ * Calculates the estimation error of the adapter against the supplier's invoice.
+ * Positive values: the adapter estimated more than invoiced.
+ *
+ * @param {{consumption: number, costs: number, balance: number}} estimate - Archived values of the adapter
+ * @param {{consumption: number, amount: number, settlement: number}} invoice - Invoiced values (settlement: refund positive, back-payment negative)
+ * @returns {object} { consumption, amount, balance } - consumption/amount in percent of the invoice, balance in €
+ */
+function calculateEstimationError(estimate, invoice) {
+    const percent = (value, reference) => (reference > 0 ? ((value - reference) / reference) * 100 : 0);
+
+    return {
+        consumption: calculator.roundToDecimals(percent(estimate.consumption || 0, invoice.consumption), 2),
+        amount: calculator.roundToDecimals(percent(estimate.costs || 0, invoice.amount), 2),
+        balance: calculator.roundToDecimals((estimate.balance || 0) - (invoice.settlement || 0), 2),
+    };
+}
+
 module.exports = {
     calculateAccumulatedCharges,
+    calculateAccumulatedChargesWithHistory,
     calculateBalance,
     calculateHTNTCosts,
+    calculatePeriodConsumption,
+    calculateOfficialWorkingCosts,
+    calculateEstimationError,
 };
@@ -1,6 +1,7 @@
 'use strict';
 
 const calculator = require('../calculator');
+const helpers = require('./helpers');
 
 /**
  * Shared consumption logic for different managers
@@ -23,25 +24,193 @@ function calculateGas(value, brennwert, zZahl) {
 }
 
 /**
- * Returns the suffix (HT/NT) based on current time
+ * Builds the dated Brennwert/Z-Zahl list of one gas meter from the conversion history table.
+ * Rows without meter name belong to the main meter. Empty fields keep the previous value.
  *
- * @param {object} config - Adapter config
- * @param {string} type - Utility type (config name)
- * @returns {string} 'HT', 'NT' or empty if disabled
+ * @param {Array<object>} rows - Table rows {meter, validFrom, brennwert, zZahl}
+ * @param {string} meterName - Normalized meter name
+ * @param {boolean} isMainMeter - Whether the meter is the main meter
+ * @returns {Array<{validFrom: number, brennwert: number|null, zZahl: number|null}>} Entries sorted by date
  */
-function getHTNTSuffix(config, type) {
-    if (!config || !type) {
-        return '';
+function buildGasConversionHistory(rows, meterName, isMainMeter) {
+    if (!Array.isArray(rows)) {
+        return [];
     }
-    const enabled = config[`${type}HtNtEnabled`];
-    if (!enabled) {
-        return '';
+
+    const optionalNumber = value =>
+        value === undefined || value === null || String(value).trim() === '' ? null : helpers.ensureNumber(value);
+
+    const entries = [];
+    for (const row of rows) {
+        if (!row || !row.validFrom) {
+            continue;
+        }
+        const belongsToMeter = row.meter ? helpers.normalizeMeterName(row.meter) === meterName : isMainMeter;
+        const validFrom = belongsToMeter ? helpers.parseGermanDate(String(row.validFrom)) : null;
+        if (!validFrom || isNaN(validFrom.getTime())) {
+            continue;
+        }
+        validFrom.setHours(0, 0, 0, 0);
+        entries.push({
+            validFrom: validFrom.getTime(),
+            brennwert: optionalNumber(row.brennwert),
+            zZahl: optionalNumber(row.zZahl),
+        });
+    }
+
+    return entries.sort((a, b) => a.validFrom - b.validFrom);
+}
+
+/**
+ * Returns Brennwert and Z-Zahl of a gas meter valid at a point in time.
+ * The meter configuration applies until the first entry of the conversion history.
+ *
+ * @param {object} config - Meter configuration (brennwert, zZahl, gasConversionHistory)
+ * @param {Date|number} [date] - Point in time (default: now)
+ * @returns {{brennwert: number, zZahl: number, factor: number}} Conversion values (factor = kWh per m³)
+ */
+function getGasFactorsAt(config, date = new Date()) {
+    const ts = typeof date === 'number' ? date : date.getTime();
+    let brennwert = config?.brennwert || calculator.DEFAULTS.GAS_BRENNWERT;
+    let zZahl = config?.zZahl || calculator.DEFAULTS.GAS_Z_ZAHL;
+
+    for (const entry of config?.gasConversionHistory || []) {
+        if (entry.validFrom > ts) {
+            break;
+        }
+        brennwert = entry.brennwert || brennwert;
+        zZahl = entry.zZahl || zZahl;
+    }
+
+    return { brennwert, zZahl, factor: brennwert * zZahl };
+}
+
+/**
+ * Units a sensor may report, with the factor to the unit of the meter (kWh or m³)
+ */
+const SOURCE_UNITS = {
+    energy: { Wh: 0.001, kWh: 1, MWh: 1000 },
+    volume: { l: 0.001, m3: 1, ft3: 0.028316846592 },
+};
+
+/**
+ * Display names of the units (config values are plain ASCII)
+ */
+const UNIT_LABELS = { m3: 'm³', ft3: 'ft³' };
+
+/**
+ * Normalizes a unit to its key in SOURCE_UNITS (display names like "m³" are accepted as well)
+ *
+ * @param {string} unit - Unit
+ * @returns {string} Unit key, empty if the unit is unknown
+ */
+function normalizeSourceUnit(unit) {
+    const key = Object.keys(UNIT_LABELS).find(k => UNIT_LABELS[k] === unit) || unit;
+    return SOURCE_UNITS.energy[key] || SOURCE_UNITS.volume[key] ? key : '';
+}
+
+/**
+ * Returns the factor of a unit to kWh or m³ without knowing the utility type (import files)
+ *
+ * @param {string} unit - Unit, empty = unit of the meter
+ * @returns {number} Conversion factor
+ */
+function getSourceUnitFactor(unit) {
+    const key = normalizeSourceUnit(unit);
+    return SOURCE_UNITS.energy[key] || SOURCE_UNITS.volume[key] || 1;
+}
+
+/**
+ * Returns the units a sensor of a utility type may report
+ *
+ * @param {string} type - Utility type
+ * @returns {Record<string, number>} Unit -> factor to kWh (electricity/PV) or m³ (gas/water)
+ */
+function getSourceUnits(type) {
+    return type === 'gas' || type === 'water' ? SOURCE_UNITS.volume : SOURCE_UNITS.energy;
+}
+
+/**
+ * Returns the factor that converts a sensor value into the unit of the meter
+ * (kWh for electricity/PV, m³ for gas/water)
+ *
+ * @param {string} type - Utility type
+ * @param {string} sourceUnit - Unit of the sensor (see SOURCE_UNITS), empty = unit of the meter
+ * @param {number} [multiplier] - Additional multiplier (e.g. 0.1 for a register with one decimal), default 1
+ * @returns {number} Conversion factor
+ */
+function getUnitFactor(type, sourceUnit, multiplier = 1) {
+    const factor = getSourceUnits(type)[sourceUnit] || 1;
+    return calculator.roundToDecimals(factor * (multiplier > 0 ? multiplier : 1), 12);
+}
+
+/**
+ * Describes the conversion of the sensor value for info.sourceUnit (e.g. "Wh × 0.001 → kWh")
+ *
+ * @param {string} type - Utility type
+ * @param {{sourceUnit?: string, unitFactor?: number}} config - Meter configuration
+ * @returns {string} Description
+ */
+function describeSourceUnit(type, config) {
+    const meterUnit = type === 'gas' || type === 'water' ? 'm³' : 'kWh';
+    const sourceUnit = UNIT_LABELS[config.sourceUnit] || config.sourceUnit || meterUnit;
+    const factor = config.unitFactor || 1;
+    return factor === 1 ? sourceUnit : `${sourceUnit} × ${factor} → ${meterUnit}`;
+}
+
+/**
+ * Share of the counter range at both ends in which a falling value is taken as wrap-around
+ */
+const ROLLOVER_WINDOW = 0.1;
+
+/**
+ * Returns the value at which the counter of a meter wraps to zero
+ *
+ * @param {number} maxCounterValue - Highest value of the counter (e.g. 99999), 0 = not set
+ * @param {number} counterBits - Bit width of a bus counter (e.g. 16 or 32), 0 = not set
+ * @returns {number} Counter range (e.g. 100000 or 65536), 0 if the counter does not wrap
+ */
+function getCounterModulus(maxCounterValue, counterBits) {
+    if (maxCounterValue > 0) {
+        return Math.floor(maxCounterValue) + 1;
+    }
+    if (counterBits > 0) {
+        return 2 ** counterBits;
     }
+    return 0;
+}
 
-    return calculator.isHTTime(config, type) ? 'HT' : 'NT';
+/**
+ * Checks whether a falling counter value is a wrap-around (e.g. 99998 -> 00003):
+ * the last value was close to the end of the counter range and the new value is close to zero.
+ * Any other decrease is left to the reset/exchange handling.
+ *
+ * @param {number|undefined} lastRaw - Last raw sensor value
+ * @param {number} raw - New raw sensor value
+ * @param {number} modulus - Counter range (see getCounterModulus)
+ * @returns {number|null} Consumption across the wrap in the sensor unit, null if it is no wrap-around
+ */
+function getRolloverDelta(lastRaw, raw, modulus) {
+    if (!(modulus > 0) || typeof lastRaw !== 'number' || raw >= lastRaw || lastRaw >= modulus) {
+        return null;
+    }
+
+    const window = modulus * ROLLOVER_WINDOW;
+    if (lastRaw < modulus - window || raw > window) {
+        return null;
+    }
+    return calculator.roundToDecimals(modulus - lastRaw + raw, 4);
 }
 
 module.exports = {
     calculateGas,
-    getHTNTSuffix,
+    buildGasConversionHistory,
+    getGasFactorsAt,
+    getSourceUnits,
+    normalizeSourceUnit,
+    getSourceUnitFactor,
+    getUnitFactor,
+    describeSourceUnit,
+    getCounterModulus,
+    getRolloverDelta,
 };
@@ -0,0 +1,161 @@
+'use strict';
+
+/**
+ * Export helper for the data export of a meter.
+ * Collects running periods, closed billing periods and the history of a meter from
+ * its states and writes them as CSV (readable by the CSV importer) or JSON.
+ */
+
+const { roundToDecimals } = require('./helpers');
+
+/**
+ * Supported export formats
+ */
+const EXPORT_FORMATS = ['csv', 'json'];
+
+/**
+ * Categories of the CSV rows. Only 'Monat' and 'Jahr' are history values,
+ * the CSV importer skips all other rows when the file is read back in.
+ */
+const EXPORT_CATEGORIES = {
+    month: 'Monat',
+    year: 'Jahr',
+    billing: 'Abrechnung',
+    period: 'Zeitraum',
+};
+const HISTORY_CATEGORIES = [EXPORT_CATEGORIES.month, EXPORT_CATEGORIES.year];
+
+/**
+ * Running periods with the statistics timestamp that marks their start
+ */
+const PERIODS = [
+    { id: 'daily', name: 'Tag', timestamp: 'lastDayStart' },
+    { id: 'weekly', name: 'Woche', timestamp: 'lastWeekStart' },
+    { id: 'monthly', name: 'Monat', timestamp: 'lastMonthStart' },
+    { id: 'yearly', name: 'Jahr', timestamp: 'lastYearStart' },
+];
+
+/**
+ * Builds the export data of a meter from its states
+ *
+ * @param {Record<string, any>} values - State values relative to the meter (e.g. 'history.2024.consumption')
+ * @param {number} [fromYear] - First year of history and billing periods (default: all)
+ * @param {number} [toYear] - Last year of history and billing periods (default: all)
+ * @returns {{periods: Array<object>, billing: Array<object>, history: Array<object>}} Export data
+ */
+function collectData(values, fromYear, toYear) {
+    const inRange = year => (!fromYear || year >= fromYear) && (!toYear || year <= toYear);
+    const num = id => (typeof values[id] === 'number' ? roundToDecimals(values[id], 2) : undefined);
+
+    const periods = PERIODS.filter(p => typeof values[`consumption.${p.id}`] === 'number').map(p => ({
+        period: p.id,
+        name: p.name,
+        start:
+            typeof values[`statistics.timestamps.${p.timestamp}`] === 'number'
+                ? values[`statistics.timestamps.${p.timestamp}`]
+                : 0,
+        consumption: num(`consumption.${p.id}`),
+        costs: num(`costs.${p.id}`) || 0,
+    }));
+
+    const years = [
+        ...new Set(
+            Object.keys(values)
+                .filter(id => /^history\.\d{4}\./.test(id))
+                .map(id => Number(id.split('.')[1])),
+        ),
+    ]
+        .filter(inRange)
+        .sort((a, b) => a - b);
+
+    const billing = [];
+    const history = [];
+    for (const year of years) {
+        const path = `history.${year}`;
+
+        // Closed billing period (written by closePeriod)
+        if (num(`${path}.yearly`) !== undefined) {
+            billing.push({
+                year,
+                consumption: num(`${path}.yearly`),
+                volume: num(`${path}.yearlyVolume`),
+                costs: num(`${path}.totalYearly`) || 0,
+                balance: num(`${path}.balance`) || 0,
+            });
+        }
+
+        // Imported history (yearly totals and months)
+        const months = [];
+        for (let month = 1; month <= 12; month++) {
+            const monthPath = `${path}.months.${String(month).padStart(2, '0')}`;
+            if (num(`${monthPath}.consumption`) !== undefined) {
+                months.push({
+                    month,
+                    consumption: num(`${monthPath}.consumption`),
+                    volume: num(`${monthPath}.volume`),
+                    costs: num(`${monthPath}.costs`) || 0,
+                });
+            }
+        }
+        if (num(`${path}.consumption`) !== undefined || months.length > 0) {
+            history.push({
+                year,
+                consumption: num(`${path}.consumption`),
+                volume: num(`${path}.volume`),
+                costs: num(`${path}.costs`),
+                months,
+            });
+        }
+    }
+
+    return { periods, billing, history };
+}
+
+/**
+ * Writes the export data as CSV (Datum;Verbrauch;Kosten;Kategorie, decimal comma).
+ * Months are written per month, years without months as one row on January 1st.
+ *
+ * @param {{periods: Array<object>, billing: Array<object>, history: Array<object>}} data - Export data
+ * @returns {string} CSV content
+ */
+function toCSV(data) {
+    const num = value => String(value ?? 0).replace('.', ',');
+    const date = (year, month = 1, day = 1) =>
+        `${String(day).padStart(2, '0')}.${String(month).padStart(2, '0')}.${year}`;
+    const lines = ['Datum;Verbrauch;Kosten;Kategorie'];
+
+    for (const entry of data.history) {
+        if (entry.months.length > 0) {
+            for (const m of entry.months) {
+                lines.push(
+                    [date(entry.year, m.month), num(m.consumption), num(m.costs), EXPORT_CATEGORIES.month].join(';'),
+                );
+            }
+        } else {
+            lines.push([date(entry.year), num(entry.consumption), num(entry.costs), EXPORT_CATEGORIES.year].join(';'));
+        }
+    }
+    for (const entry of data.billing) {
+        lines.push([date(entry.year), num(entry.consumption), num(entry.costs), EXPORT_CATEGORIES.billing].join(';'));
+    }
+    for (const p of data.periods) {
+        const start = p.start ? new Date(p.start) : new Date();
+        lines.push(
+            [
+                date(start.getFullYear(), start.getMonth() + 1, start.getDate()),
+                num(p.consumption),
+                num(p.costs),
+                `${EXPORT_CATEGORIES.period} (${p.name})`,
+            ].join(';'),
+        );
+    }
+    return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    EXPORT_CATEGORIES,
+    HISTORY_CATEGORIES,
+    collectData,
+    toCSV,
+};
@@ -0,0 +1,38 @@
+'use strict';
+
+/**
+ * File helper for reports written to the file storage of the adapter instance.
+ * The files are visible in the admin "Files" tab under utility-monitor.<instance>.
+ */
+
+/**
+ * Ensures the meta object required for the file storage of the instance exists
+ *
+ * @param {object} adapter - ioBroker adapter instance
+ */
+async function ensureFileStorage(adapter) {
+    await adapter.setForeignObjectNotExistsAsync(adapter.namespace, {
+        type: 'meta',
+        common: { name: 'Berichte', type: 'meta.user' },
+        native: {},
+    });
+}
+
+/**
+ * Writes a report file to the file storage of the instance
+ *
+ * @param {object} adapter - ioBroker adapter instance
+ * @param {string} fileName - Relative file path, e.g. "heating/heizkosten_2025.csv"
+ * @param {string} content - File content
+ * @returns {Promise<string>} Full file path (namespace/fileName)
+ */
+async function writeReportFile(adapter, fileName, content) {
+    await ensureFileStorage(adapter);
+    await adapter.writeFileAsync(adapter.namespace, fileName, content);
+    return `${adapter.namespace}/${fileName}`;
+}
+
+module.exports = {
+    ensureFileStorage,
+    writeReportFile,
+};
@@ -0,0 +1,169 @@
+'use strict';
+
+const calculator = require('../calculator');
+
+/**
+ * Forecast helper for the expected result of the running billing period.
+ * Projects the consumption until the end of the period with a seasonal profile
+ * (share of the yearly consumption per calendar month) and derives the projected
+ * balance and the recommended monthly installment.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Default seasonal profiles (January..December) used until enough history is available
+ */
+const DEFAULT_PROFILES = {
+    gas: [0.17, 0.15, 0.13, 0.08, 0.04, 0.02, 0.02, 0.02, 0.04, 0.08, 0.11, 0.14],
+    electricity: [0.095, 0.087, 0.087, 0.08, 0.077, 0.073, 0.073, 0.073, 0.075, 0.082, 0.09, 0.098],
+    water: [0.08, 0.075, 0.08, 0.082, 0.088, 0.092, 0.095, 0.095, 0.085, 0.08, 0.075, 0.073],
+    pv: [0.03, 0.05, 0.08, 0.11, 0.13, 0.13, 0.13, 0.12, 0.09, 0.06, 0.035, 0.02],
+};
+
+/**
+ * Share of the period that has to be elapsed before consumption is extrapolated
+ * without a baseline from a previous year
+ */
+const MIN_ELAPSED_SHARE = 0.05;
+
+/**
+ * Normalizes monthly values to shares that sum up to 1
+ *
+ * @param {number[]} values - 12 monthly values
+ * @returns {number[]} 12 shares
+ */
+function normalize(values) {
+    const sum = values.reduce((total, v) => total + v, 0);
+    return sum > 0 ? values.map(v => v / sum) : values.map(() => 1 / 12);
+}
+
+/**
+ * Learns the seasonal profile from monthly consumption values. Months are averaged
+ * over all years, months without values are filled from the default profile
+ * scaled to the level of the known months.
+ *
+ * @param {string} type - Utility type
+ * @param {Array<{month: number, consumption: number}>} samples - Monthly consumption (month 1-12)
+ * @returns {number[]} 12 shares (January..December)
+ */
+function learnProfile(type, samples) {
+    const defaults = normalize(DEFAULT_PROFILES[type] || DEFAULT_PROFILES.electricity);
+    const sums = new Array(12).fill(0);
+    const counts = new Array(12).fill(0);
+
+    for (const sample of samples || []) {
+        const idx = sample.month - 1;
+        if (idx >= 0 && idx < 12 && typeof sample.consumption === 'number' && sample.consumption >= 0) {
+            sums[idx] += sample.consumption;
+            counts[idx]++;
+        }
+    }
+
+    const known = counts.map(c => c > 0);
+    const knownTotal = sums.reduce((total, s, i) => total + (known[i] ? s / counts[i] : 0), 0);
+    const knownShare = defaults.reduce((total, d, i) => total + (known[i] ? d : 0), 0);
+    if (knownTotal <= 0 || knownShare <= 0) {
+        return defaults;
+    }
+
+    const scale = knownTotal / knownShare;
+    return normalize(defaults.map((d, i) => (known[i] ? sums[i] / counts[i] : d * scale)));
+}
+
+/**
+ * Calculates the share of the yearly consumption that falls into the elapsed part
+ * of the billing period (day by day, weighted with the profile of the calendar month)
+ *
+ * @param {number[]} profile - 12 shares (January..December)
+ * @param {Date} periodStart - Start of the billing period
+ * @param {Date} [now] - Point in time (default: now)
+ * @returns {number} Elapsed share (0..1)
+ */
+function getElapsedShare(profile, periodStart, now = new Date()) {
+    const periodEnd = new Date(periodStart.getFullYear() + 1, periodStart.getMonth(), periodStart.getDate());
+    if (now.getTime() >= periodEnd.getTime()) {
+        return 1;
+    }
+
+    const until = now.getTime();
+    let share = 0;
+
+    for (let day = new Date(periodStart); day.getTime() < until; day.setDate(day.getDate() + 1)) {
+        const daysInMonth = new Date(day.getFullYear(), day.getMonth() + 1, 0).getDate();
+        const fraction = Math.min(1, (until - day.getTime()) / DAY_MS);
+        share += (profile[day.getMonth()] / daysInMonth) * fraction;
+    }
+    return Math.min(1, share);
+}
+
+/**
+ * Finds the yearly consumption of the most recent year with an invoice or a closed period.
+ * An imported yearly total only counts for complete years (12 months of monthly values),
+ * otherwise it covers just a part of the year.
+ *
+ * @param {Record<string, number>} values - History values by id relative to history (e.g. "2024.yearly")
+ * @param {Array<{key: string}>} samples - Monthly samples with key "<year>.months.<MM>"
+ * @returns {number} Baseline (0 = none)
+ */
+function findBaseline(values, samples) {
+    const years = [...new Set(Object.keys(values).map(id => Number(id.split('.')[0])))].sort((a, b) => b - a);
+    for (const year of years) {
+        const months = samples.filter(sample => sample.key.startsWith(`${year}.`)).length;
+        const ids = [`${year}.invoice.consumption`, `${year}.yearly`];
+        if (months >= 12) {
+            ids.push(`${year}.consumption`);
+        }
+        const candidate = ids.map(id => values[id]).find(v => v > 0);
+        if (candidate) {
+            return calculator.roundToDecimals(candidate, 2);
+        }
+    }
+    return 0;
+}
+
+/**
+ * Projects consumption, costs and balance at the end of the billing period.
+ * The remaining consumption is extrapolated from the consumption so far; a baseline
+ * (last invoiced or archived yearly consumption) is weighted in by the remaining share,
+ * so early in the period the forecast follows the previous year.
+ *
+ * @param {object} params - Forecast parameters
+ * @param {number} params.consumption - Consumption of the period so far
+ * @param {number} params.workingCosts - Working price costs of the period so far (€)
+ * @param {number} params.elapsedShare - Elapsed share of the yearly consumption (see getElapsedShare)
+ * @param {number} [params.baseline] - Yearly consumption of the previous period (0 = none)
+ * @param {number} params.price - Current working price per unit
+ * @param {number} params.fixedCharges - Basic charges and annual fee of the whole period (€)
+ * @param {number} params.abschlag - Monthly installment (€)
+ * @returns {object|null} { projectedConsumption, projectedCosts, projectedBalance, recommendedAbschlag } or null if not enough data
+ */
+function calculateForecast({ consumption, workingCosts, elapsedShare, baseline = 0, price, fixedCharges, abschlag }) {
+    const elapsed = Math.max(0, Math.min(1, elapsedShare || 0));
+    const remaining = 1 - elapsed;
+    if (!(baseline > 0) && elapsed < MIN_ELAPSED_SHARE) {
+        return null;
+    }
+
+    const extrapolated = elapsed > 0 ? (consumption || 0) / elapsed : 0;
+    const reference = baseline > 0 ? elapsed * extrapolated + remaining * baseline : extrapolated;
+    const remainingConsumption = remaining * reference;
+
+    const projectedCosts = (workingCosts || 0) + remainingConsumption * (price || 0) + (fixedCharges || 0);
+
+    return {
+        projectedConsumption: calculator.roundToDecimals((consumption || 0) + remainingConsumption, 2),
+        projectedCosts: calculator.roundToDecimals(projectedCosts, 2),
+        projectedBalance: calculator.roundToDecimals((abschlag || 0) * 12 - projectedCosts, 2),
+        recommendedAbschlag: Math.ceil(calculator.roundToDecimals(projectedCosts / 12, 2)),
+    };
+}
+
+module.exports = {
+    DEFAULT_PROFILES,
+    MIN_ELAPSED_SHARE,
+    learnProfile,
+    getElapsedShare,
+    findBaseline,
+    calculateForecast,
+};
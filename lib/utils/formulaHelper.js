@@ -0,0 +1,181 @@
+'use strict';
+
+/**
+ * Formula helper for virtual meters.
+ * A formula is a linear combination of other meters of the same type, e.g.
+ * "main - werkstatt - wallbox" or "0.5 * (main - keller)".
+ * Supported are + and -, scaling with * and / by constants, and parentheses.
+ */
+
+const { normalizeMeterName } = require('./helpers');
+
+const TOKEN_PATTERN = /\s*(?:(\d+(?:[.,]\d+)?)|([A-Za-zÄÖÜäöüß_][A-Za-z0-9ÄÖÜäöüß_]*)|([+\-*/()]))/y;
+
+/**
+ * Splits a formula into number, meter and operator tokens
+ *
+ * @param {string} formula - Formula string
+ * @returns {Array<{type: string, value: any}>} Tokens
+ */
+function tokenize(formula) {
+    const tokens = [];
+    TOKEN_PATTERN.lastIndex = 0;
+
+    while (TOKEN_PATTERN.lastIndex < formula.length) {
+        const start = TOKEN_PATTERN.lastIndex;
+        const match = TOKEN_PATTERN.exec(formula);
+        if (!match) {
+            if (formula.slice(start).trim() === '') {
+                break;
+            }
+            throw new Error(`Ungültiges Zeichen in Formel an Position ${start + 1}: "${formula.slice(start).trim()}"`);
+        }
+        if (match[1] !== undefined) {
+            tokens.push({ type: 'number', value: parseFloat(match[1].replace(',', '.')) });
+        } else if (match[2] !== undefined) {
+            tokens.push({ type: 'meter', value: normalizeMeterName(match[2]) });
+        } else {
+            tokens.push({ type: 'op', value: match[3] });
+        }
+    }
+
+    return tokens;
+}
+
+/**
+ * Combines two linear forms: result = a + sign * b
+ *
+ * @param {{terms: Record<string, number>, constant: number}} a - Left side
+ * @param {{terms: Record<string, number>, constant: number}} b - Right side
+ * @param {number} sign - 1 or -1
+ * @returns {{terms: Record<string, number>, constant: number}} Combined form
+ */
+function addForms(a, b, sign) {
+    const terms = { ...a.terms };
+    for (const [meter, factor] of Object.entries(b.terms)) {
+        terms[meter] = (terms[meter] || 0) + sign * factor;
+    }
+    return { terms, constant: a.constant + sign * b.constant };
+}
+
+/**
+ * Scales a linear form by a constant
+ *
+ * @param {{terms: Record<string, number>, constant: number}} form - Linear form
+ * @param {number} factor - Scaling factor
+ * @returns {{terms: Record<string, number>, constant: number}} Scaled form
+ */
+function scaleForm(form, factor) {
+    const terms = Object.fromEntries(Object.entries(form.terms).map(([meter, value]) => [meter, value * factor]));
+    return { terms, constant: form.constant * factor };
+}
+
+/**
+ * Parses a virtual meter formula
+ *
+ * @param {string} formula - Formula string, e.g. "main - werkstatt - wallbox"
+ * @returns {{terms: Array<{meter: string, factor: number}>}} Meters with their factors
+ * @throws {Error} If the formula is empty, malformed or not a pure combination of meters
+ */
+function parseFormula(formula) {
+    if (!formula || typeof formula !== 'string' || formula.trim() === '') {
+        throw new Error('Formel ist leer');
+    }
+
+    const tokens = tokenize(formula);
+    let pos = 0;
+
+    const peek = () => tokens[pos];
+    const isOp = value => peek()?.type === 'op' && peek().value === value;
+
+    const parsePrimary = () => {
+        const token = tokens[pos++];
+        if (!token) {
+            throw new Error('Formel endet unerwartet');
+        }
+        if (token.type === 'number') {
+            return { terms: {}, constant: token.value };
+        }
+        if (token.type === 'meter') {
+            return { terms: { [token.value]: 1 }, constant: 0 };
+        }
+        if (token.value === '(') {
+            const inner = parseExpression();
+            if (!isOp(')')) {
+                throw new Error('Schließende Klammer fehlt');
+            }
+            pos++;
+            return inner;
+        }
+        if (token.value === '-') {
+            return scaleForm(parsePrimary(), -1);
+        }
+        throw new Error(`Unerwartetes Zeichen "${token.value}"`);
+    };
+
+    const parseTerm = () => {
+        let form = parsePrimary();
+        while (isOp('*') || isOp('/')) {
+            const op = tokens[pos++].value;
+            const right = parsePrimary();
+            const rightIsConstant = Object.keys(right.terms).length === 0;
+            const leftIsConstant = Object.keys(form.terms).length === 0;
+
+            if (op === '/') {
+                if (!rightIsConstant || right.constant === 0) {
+                    throw new Error('Division ist nur durch eine Zahl ungleich 0 erlaubt');
+                }
+                form = scaleForm(form, 1 / right.constant);
+            } else if (rightIsConstant) {
+                form = scaleForm(form, right.constant);
+            } else if (leftIsConstant) {
+                form = scaleForm(right, form.constant);
+            } else {
+                throw new Error('Zähler können nur mit Zahlen multipliziert werden');
+            }
+        }
+        return form;
+    };
+
+    const parseExpression = () => {
+        let form = parseTerm();
+        while (isOp('+') || isOp('-')) {
+            const sign = tokens[pos++].value === '+' ? 1 : -1;
+            form = addForms(form, parseTerm(), sign);
+        }
+        return form;
+    };
+
+    const result = parseExpression();
+    if (pos < tokens.length) {
+        throw new Error(`Unerwartetes Zeichen "${tokens[pos].value}"`);
+    }
+    if (result.constant !== 0) {
+        throw new Error('Zahlen sind nur als Faktor erlaubt (z.B. 0.5 * main)');
+    }
+
+    const terms = Object.entries(result.terms)
+        .filter(([, factor]) => factor !== 0)
+        .map(([meter, factor]) => ({ meter, factor }));
+    if (terms.length === 0) {
+        throw new Error('Formel enthält keinen Zähler');
+    }
+
+    return { terms };
+}
+
+/**
+ * Evaluates a parsed formula
+ *
+ * @param {{terms: Array<{meter: string, factor: number}>}} parsed - Result of parseFormula()
+ * @param {Record<string, number>} values - Values per meter name (missing meters count as 0)
+ * @returns {number} Result of the formula
+ */
+function evaluateFormula(parsed, values) {
+    return parsed.terms.reduce((sum, term) => sum + term.factor * (values[term.meter] || 0), 0);
+}
+
+module.exports = {
+    parseFormula,
+    evaluateFormula,
+};
@@ -0,0 +1,146 @@
+'use strict';
+
+/**
+ * Heating cost helper for the heating cost allocation according to the German HeizkostenV.
+ * The heating costs are split into a base part (distributed by area) and a
+ * consumption part (distributed by the readings of the heat cost allocators).
+ */
+
+const { parseConfigNumber } = require('../configParser');
+const { normalizeMeterName, roundToDecimals } = require('./helpers');
+
+/**
+ * Allowed range of the base share in percent (§ 7 HeizkostenV)
+ */
+const BASE_SHARE_MIN = 30;
+const BASE_SHARE_MAX = 50;
+
+/**
+ * Clamps the configured base share to the range allowed by the HeizkostenV
+ *
+ * @param {any} value - Configured base share in percent
+ * @returns {number} Base share between 30 and 50 percent
+ */
+function normalizeBaseShare(value) {
+    const share = parseConfigNumber(value, BASE_SHARE_MIN);
+    return Math.min(BASE_SHARE_MAX, Math.max(BASE_SHARE_MIN, share));
+}
+
+/**
+ * Parses the heating unit table
+ *
+ * @param {Array<object>} rows - Rows of the heatingUnits table
+ * @returns {Array<{id: string, name: string, area: number}>} Heating units
+ */
+function parseHeatingUnits(rows) {
+    if (!Array.isArray(rows)) {
+        return [];
+    }
+
+    const units = [];
+    for (const row of rows) {
+        if (!row || !row.name) {
+            continue;
+        }
+        const id = normalizeMeterName(row.name);
+        if (units.some(u => u.id === id)) {
+            continue;
+        }
+        units.push({ id, name: row.name, area: parseConfigNumber(row.area, 0) });
+    }
+    return units;
+}
+
+/**
+ * Splits the heating costs onto the units
+ *
+ * @param {number} totalCosts - Heating costs of the period (€)
+ * @param {number} baseShare - Base share in percent (30-50)
+ * @param {Array<{id: string, name: string, area: number}>} units - Heating units
+ * @param {Record<string, number>} readings - Heat cost allocator readings per unit ID
+ * @returns {{totalCosts: number, baseShare: number, baseCosts: number, consumptionCosts: number, consumptionByArea: boolean, units: Array<object>}} Breakdown
+ */
+function calculateHeatingCosts(totalCosts, baseShare, units, readings) {
+    const baseCosts = totalCosts * (baseShare / 100);
+    const consumptionCosts = totalCosts - baseCosts;
+
+    const totalArea = units.reduce((sum, u) => sum + u.area, 0);
+    const totalReadings = units.reduce((sum, u) => sum + (readings[u.id] || 0), 0);
+
+    // Without allocator readings the consumption part can only be split by area
+    const consumptionByArea = totalReadings <= 0;
+
+    const result = units.map(unit => {
+        const reading = readings[unit.id] || 0;
+        const areaFraction = totalArea > 0 ? unit.area / totalArea : 0;
+        const readingFraction = consumptionByArea ? areaFraction : reading / totalReadings;
+        const unitBase = baseCosts * areaFraction;
+        const unitConsumption = consumptionCosts * readingFraction;
+        const unitTotal = unitBase + unitConsumption;
+
+        return {
+            id: unit.id,
+            name: unit.name,
+            area: unit.area,
+            reading,
+            baseCosts: roundToDecimals(unitBase, 2),
+            consumptionCosts: roundToDecimals(unitConsumption, 2),
+            totalCosts: roundToDecimals(unitTotal, 2),
+            share: totalCosts > 0 ? roundToDecimals((unitTotal / totalCosts) * 100, 2) : 0,
+        };
+    });
+
+    return {
+        totalCosts: roundToDecimals(totalCosts, 2),
+        baseShare,
+        baseCosts: roundToDecimals(baseCosts, 2),
+        consumptionCosts: roundToDecimals(consumptionCosts, 2),
+        consumptionByArea,
+        units: result,
+    };
+}
+
+/**
+ * Formats a heating cost breakdown as CSV (semicolon separated, German decimal comma)
+ *
+ * @param {{units: Array<object>, totalCosts: number, baseCosts: number, consumptionCosts: number}} breakdown - Result of calculateHeatingCosts()
+ * @returns {string} CSV content
+ */
+function toCSV(breakdown) {
+    const num = value => String(value).replace('.', ',');
+    const lines = ['Einheit;Fläche (m²);Ablesewert;Grundkosten (€);Verbrauchskosten (€);Gesamtkosten (€);Anteil (%)'];
+    for (const u of breakdown.units) {
+        lines.push(
+            [
+                u.name,
+                num(u.area),
+                num(u.reading),
+                num(u.baseCosts),
+                num(u.consumptionCosts),
+                num(u.totalCosts),
+                num(u.share),
+            ].join(';'),
+        );
+    }
+    lines.push(
+        [
+            'Summe',
+            '',
+            '',
+            num(breakdown.baseCosts),
+            num(breakdown.consumptionCosts),
+            num(breakdown.totalCosts),
+            '100',
+        ].join(';'),
+    );
+    return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+    BASE_SHARE_MIN,
+    BASE_SHARE_MAX,
+    normalizeBaseShare,
+    parseHeatingUnits,
+    calculateHeatingCosts,
+    toCSV,
+};
@@ -0,0 +1,354 @@
+'use strict';
+
+/**
+ * Import helper for CSV imports.
+ * Parses the raw file content into sorted data points and converts them into
+ * consumption per calendar day, either from consumption amounts or from
+ * cumulative meter readings.
+ */
+
+const calculator = require('../calculator');
+const importProfiles = require('./importProfiles');
+const consumptionHelper = require('./consumptionHelper');
+const { HISTORY_CATEGORIES } = require('./exportHelper');
+
+/**
+ * Import modes
+ * auto:        detect from the value column header
+ * consumption: every row is a consumption amount of its day
+ * cumulative:  every row is a meter reading, consumption is the delta between rows
+ */
+const IMPORT_MODES = ['auto', 'consumption', 'cumulative'];
+
+const DATE_HEADERS = ['date', 'datum', 'zeit', 'timestamp', 'zeitstempel', 'day', 'tag', 'ablesedatum'];
+const VALUE_HEADERS = [
+    'value',
+    'wert',
+    'reading',
+    'zählerstand',
+    'stand',
+    'verbrauch',
+    'amount',
+    'kwh',
+    'm³',
+    'm3',
+    'ablesewert',
+    'wasserstand',
+    'gasstand',
+    'stromstand',
+    'kaltwasser',
+    'warmwasser',
+    'energie',
+];
+
+/**
+ * Header terms that indicate cumulative meter readings
+ */
+const CUMULATIVE_HEADERS = ['zählerstand', 'stand', 'reading', 'ablesewert'];
+
+/**
+ * Decodes the file content (plain text or base64 data URL)
+ *
+ * @param {string} content - Raw content from the admin UI
+ * @returns {string} CSV text
+ */
+function decodeContent(content) {
+    if (content.startsWith('data:') && content.includes('base64,')) {
+        const base64Data = content.split('base64,')[1];
+        return Buffer.from(base64Data, 'base64').toString('utf-8');
+    }
+    return content;
+}
+
+/**
+ * Finds a column configured in a profile: 1-based column number or part of the header name
+ *
+ * @param {string[]} headers - Lower case headers
+ * @param {string} column - Column from the profile ('' = not configured)
+ * @returns {number} Column index or -1 if not configured / not found
+ */
+function findProfileColumn(headers, column) {
+    if (!column) {
+        return -1;
+    }
+    if (/^\d+$/.test(column)) {
+        return Number(column) - 1;
+    }
+    const term = column.toLowerCase();
+    return headers.findIndex(h => h.includes(term));
+}
+
+/**
+ * Parses the CSV content into data points
+ *
+ * @param {string} content - Raw CSV content (base64 or string)
+ * @param {string} type - Utility type (used to find the value column by media name)
+ * @param {object} [profile] - Import profile (see importProfiles), default: automatic detection
+ * @returns {{dataPoints: Array<{line: number, timestamp: Date, value: number}>, rejected: Array<{line: number, content: string, reason: string}>, headers: string[], separator: string, dateIdx: number, valueIdx: number, firstDataLine: string}} Parse result
+ * @throws {Error} If the file is empty
+ */
+function parseCSV(content, type, profile = importProfiles.BUILTIN_PROFILES[0]) {
+    // Keep the line numbers of the file for the validation report
+    const numbered = decodeContent(content)
+        .split(/\r?\n/)
+        .map((text, i) => ({ text, number: i + 1 }))
+        .filter(line => line.text.trim() !== '')
+        .slice(profile.skipRows || 0);
+    const lines = numbered.map(line => line.text);
+    if (lines.length < 2) {
+        throw new Error('Die Datei ist leer oder enthält zu wenige Daten.');
+    }
+
+    // Detect separator by looking at the first 5 lines and picking the most frequent separator
+    const possibleSeparators = [';', ',', '|', '\t'];
+    let separator = profile.separator && profile.separator !== 'auto' ? profile.separator : ';';
+    let maxTotalCols = 0;
+
+    for (const sep of profile.separator && profile.separator !== 'auto' ? [] : possibleSeparators) {
+        let totalCols = 0;
+        for (let i = 0; i < Math.min(lines.length, 5); i++) {
+            totalCols += lines[i].split(sep).length;
+        }
+        if (totalCols > maxTotalCols) {
+            maxTotalCols = totalCols;
+            separator = sep;
+        }
+    }
+
+    const headers = lines[0].split(separator).map(h => h.trim().toLowerCase().replace(/^"|"$/g, ''));
+
+    // Column detection: profile columns first, then header keywords
+    let dateIdx = findProfileColumn(headers, profile.dateColumn);
+    if (dateIdx === -1) {
+        dateIdx = headers.findIndex(h => DATE_HEADERS.some(dh => h.includes(dh)));
+    }
+    let valueIdx = findProfileColumn(headers, profile.valueColumn);
+    if (valueIdx === -1) {
+        valueIdx = headers.findIndex(h => VALUE_HEADERS.some(vh => h.includes(vh)));
+    }
+
+    // Special case: If header is just numbers or very common terms, try searching for the specific media name
+    if (valueIdx === -1) {
+        const mediaTerms = { gas: 'gas', water: 'wasser', electricity: 'strom', pv: 'pv' };
+        const term = mediaTerms[type];
+        valueIdx = headers.findIndex(h => h.includes(term));
+    }
+
+    // Fallback to defaults if not found by header
+    if (dateIdx === -1) {
+        dateIdx = 0;
+    }
+    if (valueIdx === -1) {
+        valueIdx = 1;
+    }
+
+    // Check if first line is actually data (contains numbers or date-like string)
+    let startIndex = 1;
+    const firstLineCols = lines[0].split(separator).map(c => c.trim().replace(/^"|"$/g, ''));
+    const dateStrFirst = firstLineCols[dateIdx] || '';
+    const isFirstLineData = !isNaN(parseFloat(firstLineCols[valueIdx])) || dateStrFirst.includes(':');
+
+    if (isFirstLineData) {
+        const hasHeaderText = headers.some(h =>
+            [...DATE_HEADERS, ...VALUE_HEADERS].some(term => h.includes(term) && h.length > 2),
+        );
+        if (!hasHeaderText) {
+            startIndex = 0;
+        }
+    }
+
+    // Files of the data export: only the history rows are imported
+    const categoryIdx = headers.indexOf('kategorie');
+    const categories = HISTORY_CATEGORIES.map(c => c.toLowerCase());
+
+    const unitFactor = consumptionHelper.getSourceUnitFactor(profile.unit);
+    const dataPoints = [];
+    const rejected = [];
+    for (let i = startIndex; i < lines.length; i++) {
+        const line = numbered[i].number;
+        const columns = lines[i].split(separator).map(c => c.trim().replace(/^"|"$/g, ''));
+        if (columns.length <= Math.max(dateIdx, valueIdx)) {
+            rejected.push({ line, content: lines[i], reason: 'Zu wenige Spalten' });
+            continue;
+        }
+        if (categoryIdx !== -1 && columns[categoryIdx] && !categories.includes(columns[categoryIdx].toLowerCase())) {
+            rejected.push({
+                line,
+                content: lines[i],
+                reason: `Kategorie "${columns[categoryIdx]}" wird nicht importiert`,
+            });
+            continue;
+        }
+
+        const dateStr = columns[dateIdx];
+        const value =
+            importProfiles.parseNumber(columns[valueIdx], profile.decimalSeparator, calculator.ensureNumber) *
+            unitFactor;
+
+        let timestamp;
+        if (profile.dateFormat && profile.dateFormat !== 'auto') {
+            timestamp = importProfiles.parseDate(dateStr, profile.dateFormat);
+        } else {
+            // Robust Date Parsing
+            timestamp = calculator.parseDateString(dateStr);
+
+            if (!timestamp && !isNaN(Number(dateStr)) && dateStr.length > 10) {
+                // Possibly Unix Timestamp (ms)
+                timestamp = new Date(Number(dateStr));
+            }
+        }
+
+        if (!timestamp || isNaN(timestamp.getTime())) {
+            rejected.push({ line, content: lines[i], reason: `Datum nicht lesbar: "${dateStr}"` });
+            continue;
+        }
+        if (isNaN(value)) {
+            rejected.push({ line, content: lines[i], reason: `Wert nicht lesbar: "${columns[valueIdx]}"` });
+            continue;
+        }
+        if (value <= 0) {
+            rejected.push({ line, content: lines[i], reason: `Wert nicht positiv: "${columns[valueIdx]}"` });
+            continue;
+        }
+
+        // Date without time: the reading belongs to the start of that day
+        if (!/\d:\d/.test(dateStr)) {
+            timestamp = new Date(timestamp.getFullYear(), timestamp.getMonth(), timestamp.getDate());
+        }
+        dataPoints.push({ line, timestamp, value });
+    }
+
+    // Sort by timestamp
+    dataPoints.sort((a, b) => a.timestamp.getTime() - b.timestamp.getTime());
+
+    return { dataPoints, rejected, headers, separator, dateIdx, valueIdx, firstDataLine: lines[1] };
+}
+
+/**
+ * Resolves the import mode ('auto' is detected from the value column header)
+ *
+ * @param {string} mode - Requested mode
+ * @param {string} [valueHeader] - Header of the value column
+ * @returns {'consumption'|'cumulative'} Effective mode
+ */
+function resolveMode(mode, valueHeader) {
+    if (mode === 'consumption' || mode === 'cumulative') {
+        return mode;
+    }
+    const header = (valueHeader || '').toLowerCase();
+    if (header.includes('verbrauch')) {
+        return 'consumption';
+    }
+    return CUMULATIVE_HEADERS.some(term => header.includes(term)) ? 'cumulative' : 'consumption';
+}
+
+/**
+ * Converts data points into consumption intervals
+ *
+ * @param {Array<{line?: number, timestamp: Date, value: number}>} dataPoints - Sorted data points
+ * @param {'consumption'|'cumulative'} mode - Import mode
+ * @returns {{intervals: Array<{start: Date, end: Date, value: number}>, resets: Array<{line: number|undefined, timestamp: Date, value: number, previous: number}>}} Intervals and skipped falling readings
+ */
+function toIntervals(dataPoints, mode) {
+    const intervals = [];
+    const resets = [];
+
+    if (mode === 'consumption') {
+        for (const dp of dataPoints) {
+            intervals.push({ start: dp.timestamp, end: dp.timestamp, value: dp.value });
+        }
+        return { intervals, resets };
+    }
+
+    for (let i = 1; i < dataPoints.length; i++) {
+        const prev = dataPoints[i - 1];
+        const curr = dataPoints[i];
+        const delta = curr.value - prev.value;
+
+        // Falling reading: meter exchange or reset, the new reading is the next baseline
+        if (delta < 0) {
+            resets.push({ line: curr.line, timestamp: curr.timestamp, value: curr.value, previous: prev.value });
+            continue;
+        }
+        if (delta > 0) {
+            intervals.push({ start: prev.timestamp, end: curr.timestamp, value: delta });
+        }
+    }
+    return { intervals, resets };
+}
+
+/**
+ * Local calendar day key (YYYY-MM-DD)
+ *
+ * @param {Date} date - Date
+ * @returns {string} Day key
+ */
+function getDayKey(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Distributes the interval values onto calendar days, proportional to the time each day covers
+ *
+ * @param {Array<{start: Date, end: Date, value: number}>} intervals - Consumption intervals
+ * @returns {Array<{day: string, date: Date, value: number}>} Consumption per day, sorted by date
+ */
+function distributeByDay(intervals) {
+    const days = new Map();
+    const add = (date, value) => {
+        const key = getDayKey(date);
+        const entry = days.get(key);
+        if (entry) {
+            entry.value += value;
+        } else {
+            days.set(key, { day: key, date: new Date(date.getFullYear(), date.getMonth(), date.getDate()), value });
+        }
+    };
+
+    for (const interval of intervals) {
+        const start = interval.start.getTime();
+        const end = interval.end.getTime();
+        if (end <= start) {
+            add(interval.end, interval.value);
+            continue;
+        }
+
+        let cursor = new Date(start);
+        while (cursor.getTime() < end) {
+            const nextDay = new Date(cursor.getFullYear(), cursor.getMonth(), cursor.getDate() + 1);
+            const segmentEnd = Math.min(nextDay.getTime(), end);
+            add(cursor, (interval.value * (segmentEnd - cursor.getTime())) / (end - start));
+            cursor = new Date(segmentEnd);
+        }
+    }
+
+    return [...days.values()].sort((a, b) => a.date.getTime() - b.date.getTime());
+}
+
+/**
+ * Sums the values of all days within [from, to)
+ *
+ * @param {Array<{date: Date}>} days - Values per day
+ * @param {number} from - Start timestamp (inclusive)
+ * @param {number} to - End timestamp (exclusive)
+ * @param {string} [key] - Property to sum (default 'value')
+ * @returns {number} Sum
+ */
+function sumRange(days, from, to, key = 'value') {
+    return days
+        .filter(d => d.date.getTime() >= from && d.date.getTime() < to)
+        .reduce((sum, d) => sum + (d[key] || 0), 0);
+}
+
+module.exports = {
+    IMPORT_MODES,
+    decodeContent,
+    parseCSV,
+    resolveMode,
+    toIntervals,
+    getDayKey,
+    distributeByDay,
+    sumRange,
+};
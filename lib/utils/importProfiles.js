@@ -0,0 +1,217 @@
+'use strict';
+
+/**
+ * Import profiles for the CSV importer.
+ * A profile describes how a CSV file is read: which columns contain date and value,
+ * how dates and numbers are formatted, the unit and whether the values are meter
+ * readings (cumulative) or consumption amounts.
+ */
+
+const { parseConfigNumber } = require('../configParser');
+const { normalizeMeterName } = require('./helpers');
+const { normalizeSourceUnit } = require('./consumptionHelper');
+
+/**
+ * Supported date formats (a time HH:mm[:ss] after the date is optional)
+ */
+const DATE_FORMATS = ['auto', 'DD.MM.YYYY', 'YYYY-MM-DD', 'MM/DD/YYYY', 'unix'];
+
+/**
+ * Default values of a profile ('' / 'auto' = detect automatically)
+ */
+const PROFILE_DEFAULTS = {
+    dateColumn: '',
+    valueColumn: '',
+    dateFormat: 'auto',
+    decimalSeparator: 'auto',
+    separator: 'auto',
+    unit: '',
+    mode: 'auto',
+    skipRows: 0,
+};
+
+/**
+ * Profiles shipped with the adapter
+ */
+const BUILTIN_PROFILES = [
+    {
+        id: 'generic',
+        name: 'Automatisch erkennen',
+    },
+    {
+        id: 'ehb',
+        name: 'EhB+ App (Zählerstände)',
+        dateColumn: 'datum',
+        valueColumn: 'zählerstand',
+        dateFormat: 'DD.MM.YYYY',
+        decimalSeparator: ',',
+        separator: ';',
+        mode: 'cumulative',
+    },
+    {
+        id: 'shelly',
+        name: 'Shelly EM / 3EM (Energie je Intervall, Wh)',
+        dateColumn: 'date',
+        valueColumn: 'active energy',
+        dateFormat: 'YYYY-MM-DD',
+        decimalSeparator: '.',
+        separator: ',',
+        unit: 'Wh',
+        mode: 'consumption',
+    },
+    {
+        id: 'portal',
+        name: 'Versorger-Portal (Verbrauch je Tag)',
+        dateColumn: 'datum',
+        valueColumn: 'verbrauch',
+        dateFormat: 'DD.MM.YYYY',
+        decimalSeparator: ',',
+        separator: ';',
+        mode: 'consumption',
+    },
+    {
+        id: 'portal_readings',
+        name: 'Versorger-Portal (Zählerstände)',
+        dateColumn: 'datum',
+        valueColumn: 'stand',
+        dateFormat: 'DD.MM.YYYY',
+        decimalSeparator: ',',
+        separator: ';',
+        mode: 'cumulative',
+    },
+].map(profile => ({ ...PROFILE_DEFAULTS, ...profile, builtin: true }));
+
+/**
+ * Parses the user defined profiles of the importProfiles table
+ *
+ * @param {Array<object>} rows - Rows of the importProfiles table
+ * @returns {Array<object>} Profiles
+ */
+function parseProfiles(rows) {
+    if (!Array.isArray(rows)) {
+        return [];
+    }
+
+    return rows
+        .filter(row => row && row.name)
+        .map(row => ({
+            ...PROFILE_DEFAULTS,
+            id: `user_${normalizeMeterName(row.name)}`,
+            name: row.name,
+            dateColumn: row.dateColumn ? String(row.dateColumn).trim() : '',
+            valueColumn: row.valueColumn ? String(row.valueColumn).trim() : '',
+            dateFormat: DATE_FORMATS.includes(row.dateFormat) ? row.dateFormat : 'auto',
+            decimalSeparator: [',', '.'].includes(row.decimalSeparator) ? row.decimalSeparator : 'auto',
+            separator: [';', ',', '|', '\t'].includes(row.separator) ? row.separator : 'auto',
+            unit: normalizeSourceUnit(row.unit),
+            mode: ['consumption', 'cumulative'].includes(row.mode) ? row.mode : 'auto',
+            skipRows: Math.max(0, Math.floor(parseConfigNumber(row.skipRows, 0))),
+            builtin: false,
+        }));
+}
+
+/**
+ * Returns all available profiles (built-in first, then the user profiles)
+ *
+ * @param {object} config - Adapter configuration
+ * @returns {Array<object>} Profiles
+ */
+function getProfiles(config) {
+    return [...BUILTIN_PROFILES, ...parseProfiles(config.importProfiles)];
+}
+
+/**
+ * Finds a profile by ID (unknown or empty IDs fall back to automatic detection)
+ *
+ * @param {string} id - Profile ID
+ * @param {object} config - Adapter configuration
+ * @returns {object} Profile
+ */
+function resolveProfile(id, config) {
+    return getProfiles(config).find(p => p.id === id) || BUILTIN_PROFILES[0];
+}
+
+/**
+ * Parses a number with the decimal separator of the profile
+ *
+ * @param {string} str - Raw value
+ * @param {string} decimalSeparator - ',', '.' or 'auto'
+ * @param {(value: string) => number} autoParser - Parser used for 'auto'
+ * @returns {number} Parsed number (NaN if invalid)
+ */
+function parseNumber(str, decimalSeparator, autoParser) {
+    if (decimalSeparator === ',') {
+        return parseFloat(str.replace(/[.\s]/g, '').replace(',', '.'));
+    }
+    if (decimalSeparator === '.') {
+        return parseFloat(str.replace(/[,\s]/g, ''));
+    }
+    return autoParser(str);
+}
+
+/**
+ * Builds a local date, rejecting impossible calendar dates (e.g. 31.02.) instead of rolling them over
+ *
+ * @param {number} year - Full year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of the month
+ * @param {number[]} time - Hours, minutes and seconds
+ * @returns {Date|null} Date or null if the date does not exist
+ */
+function buildDate(year, month, day, time) {
+    const date = new Date(year, month - 1, day, time[0], time[1], time[2]);
+    if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+        return null;
+    }
+    return date;
+}
+
+/**
+ * Parses a date with the date format of the profile
+ *
+ * @param {string} str - Raw date
+ * @param {string} format - Date format (see DATE_FORMATS)
+ * @returns {Date|null} Date or null if the format does not match or the date does not exist
+ */
+function parseDate(str, format) {
+    const value = (str || '').trim();
+    const time = value.match(/[ T](\d{1,2}):(\d{2})(?::(\d{2}))?/);
+    const hms = time ? [Number(time[1]), Number(time[2]), Number(time[3] || 0)] : [0, 0, 0];
+    let match;
+
+    switch (format) {
+        case 'DD.MM.YYYY':
+            match = value.match(/^(\d{1,2})\.(\d{1,2})\.(\d{2,4})/);
+            if (match) {
+                const year = Number(match[3]) < 100 ? 2000 + Number(match[3]) : Number(match[3]);
+                return buildDate(year, Number(match[2]), Number(match[1]), hms);
+            }
+            return null;
+        case 'YYYY-MM-DD':
+            match = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+            return match ? buildDate(Number(match[1]), Number(match[2]), Number(match[3]), hms) : null;
+        case 'MM/DD/YYYY':
+            match = value.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})/);
+            return match ? buildDate(Number(match[3]), Number(match[1]), Number(match[2]), hms) : null;
+        case 'unix': {
+            const num = Number(value);
+            if (!value || isNaN(num)) {
+                return null;
+            }
+            // Seconds or milliseconds
+            return new Date(num < 1e11 ? num * 1000 : num);
+        }
+        default:
+            return null;
+    }
+}
+
+module.exports = {
+    DATE_FORMATS,
+    BUILTIN_PROFILES,
+    parseProfiles,
+    getProfiles,
+    resolveProfile,
+    parseNumber,
+    parseDate,
+};
@@ -0,0 +1,219 @@
+'use strict';
+
+const calculator = require('../calculator');
+const helpers = require('./helpers');
+
+/**
+ * Dynamic (spot) price parsing and dated price lists.
+ *
+ * A price datapoint may contain a plain number (€/kWh) or a JSON list of
+ * time slots. Supported slot formats:
+ * - Tibber: `[{ startsAt: "2026-01-14T13:00:00+01:00", total: 0.31 }, ...]`
+ * - aWATTar: `{ data: [{ start_timestamp, end_timestamp, marketprice }] }` (€/MWh)
+ * - Generic: `[{ start, end?, price }, ...]` (also `from`/`to`, `value`)
+ */
+
+// Assumed slot length if a slot has no end and no successor (one hour)
+const DEFAULT_SLOT_MS = 60 * 60 * 1000;
+
+/**
+ * Converts a slot timestamp (ISO string or epoch ms/s) into epoch ms
+ *
+ * @param {any} value - Timestamp value
+ * @returns {number|null} Epoch milliseconds or null
+ */
+function toTimestamp(value) {
+    if (value === null || value === undefined || value === '') {
+        return null;
+    }
+    if (typeof value === 'number') {
+        // Seconds vs. milliseconds
+        return value < 1e11 ? value * 1000 : value;
+    }
+    const ts = new Date(value).getTime();
+    return isNaN(ts) ? null : ts;
+}
+
+/**
+ * Normalizes one slot entry into {start, end, price}
+ *
+ * @param {object} entry - Raw slot entry
+ * @returns {{start: number, end: number|null, price: number}|null} Normalized slot
+ */
+function normalizeSlot(entry) {
+    if (!entry || typeof entry !== 'object') {
+        return null;
+    }
+
+    const start = toTimestamp(entry.startsAt ?? entry.start_timestamp ?? entry.start ?? entry.from);
+    const end = toTimestamp(entry.end_timestamp ?? entry.end ?? entry.to);
+
+    const rawPrice = entry.marketprice ?? entry.total ?? entry.price ?? entry.value;
+    if (start === null || rawPrice === undefined || rawPrice === null) {
+        return null;
+    }
+
+    // aWATTar delivers €/MWh
+    const price =
+        entry.marketprice !== undefined ? calculator.ensureNumber(rawPrice) / 1000 : calculator.ensureNumber(rawPrice);
+    return { start, end, price };
+}
+
+/**
+ * Parses a price datapoint value into a list of slots or a fixed price
+ *
+ * @param {any} raw - Raw datapoint value (number, numeric string, JSON string, array or object)
+ * @returns {{price: number|null, slots: Array<{start: number, end: number|null, price: number}>}} Parsed price data
+ */
+function parsePriceData(raw) {
+    if (raw === null || raw === undefined || raw === '') {
+        return { price: null, slots: [] };
+    }
+
+    let data = raw;
+    if (typeof raw === 'string') {
+        const trimmed = raw.trim();
+        if (!trimmed.startsWith('[') && !trimmed.startsWith('{')) {
+            return { price: /\d/.test(trimmed) ? calculator.ensureNumber(trimmed) : null, slots: [] };
+        }
+        try {
+            data = JSON.parse(trimmed);
+        } catch {
+            return { price: null, slots: [] };
+        }
+    }
+
+    if (typeof data === 'number') {
+        return { price: data, slots: [] };
+    }
+
+    // Unwrap common containers ({data: [...]}, {today: [...], tomorrow: [...]})
+    let entries = [];
+    if (Array.isArray(data)) {
+        entries = data;
+    } else if (data && typeof data === 'object') {
+        if (Array.isArray(data.data)) {
+            entries = data.data;
+        } else if (Array.isArray(data.today) || Array.isArray(data.tomorrow)) {
+            entries = [...(data.today || []), ...(data.tomorrow || [])];
+        } else if (normalizeSlot(data)) {
+            entries = [data];
+        } else if (data.price !== undefined || data.total !== undefined) {
+            return { price: calculator.ensureNumber(data.price ?? data.total), slots: [] };
+        }
+    }
+
+    const slots = [];
+    for (const entry of entries) {
+        const slot = normalizeSlot(entry);
+        if (slot) {
+            slots.push(slot);
+        }
+    }
+    slots.sort((a, b) => a.start - b.start);
+
+    return { price: null, slots };
+}
+
+/**
+ * Returns the price valid at a point in time
+ *
+ * @param {any} raw - Raw datapoint value
+ * @param {Date|number} [date] - Point in time (default: now)
+ * @returns {number|null} Price in €/unit or null if no price is known for that time
+ */
+function getPriceAt(raw, date = new Date()) {
+    const parsed = parsePriceData(raw);
+    if (parsed.price !== null) {
+        return parsed.price;
+    }
+
+    const ts = typeof date === 'number' ? date : date.getTime();
+    const { slots } = parsed;
+    for (let i = 0; i < slots.length; i++) {
+        const slot = slots[i];
+        const end = slot.end ?? (slots[i + 1] ? slots[i + 1].start : slot.start + DEFAULT_SLOT_MS);
+        if (ts >= slot.start && ts < end) {
+            return slot.price;
+        }
+    }
+    return null;
+}
+
+/**
+ * Builds the dated price list of one meter from the price history table.
+ * Rows without meter name belong to the main meter. Empty fields keep the previous value.
+ *
+ * @param {Array<object>} rows - Table rows {meter, validFrom, preis, grundgebuehr, jahresgebuehr}
+ * @param {string} meterName - Normalized meter name
+ * @param {boolean} isMainMeter - Whether the meter is the main meter of its type
+ * @returns {Array<{validFrom: number, preis: number|null, grundgebuehr: number|null, jahresgebuehr: number|null}>} Entries sorted by date
+ */
+function buildPriceHistory(rows, meterName, isMainMeter) {
+    if (!Array.isArray(rows)) {
+        return [];
+    }
+
+    const optionalNumber = value =>
+        value === undefined || value === null || String(value).trim() === '' ? null : helpers.ensureNumber(value);
+
+    const entries = [];
+    for (const row of rows) {
+        if (!row || !row.validFrom) {
+            continue;
+        }
+        const belongsToMeter = row.meter ? helpers.normalizeMeterName(row.meter) === meterName : isMainMeter;
+        if (!belongsToMeter) {
+            continue;
+        }
+        const validFrom = helpers.parseGermanDate(String(row.validFrom));
+        if (!validFrom || isNaN(validFrom.getTime())) {
+            continue;
+        }
+        validFrom.setHours(0, 0, 0, 0);
+        entries.push({
+            validFrom: validFrom.getTime(),
+            preis: optionalNumber(row.preis),
+            grundgebuehr: optionalNumber(row.grundgebuehr),
+            jahresgebuehr: optionalNumber(row.jahresgebuehr),
+        });
+    }
+
+    return entries.sort((a, b) => a.validFrom - b.validFrom);
+}
+
+/**
+ * Returns working price, basic charge and annual fee valid at a point in time.
+ * The meter configuration applies until the first entry of the price history.
+ *
+ * @param {object} config - Meter configuration (preis, grundgebuehr, jahresgebuehr, priceHistory)
+ * @param {Date|number} [date] - Point in time (default: now)
+ * @returns {{preis: number, grundgebuehr: number, jahresgebuehr: number}} Valid prices
+ */
+function getTariffValuesAt(config, date = new Date()) {
+    const ts = typeof date === 'number' ? date : date.getTime();
+    const values = {
+        preis: config?.preis || 0,
+        grundgebuehr: config?.grundgebuehr || 0,
+        jahresgebuehr: config?.jahresgebuehr || 0,
+    };
+
+    for (const entry of config?.priceHistory || []) {
+        if (entry.validFrom > ts) {
+            break;
+        }
+        for (const key of ['preis', 'grundgebuehr', 'jahresgebuehr']) {
+            if (entry[key] !== null) {
+                values[key] = entry[key];
+            }
+        }
+    }
+    return values;
+}
+
+module.exports = {
+    parsePriceData,
+    getPriceAt,
+    buildPriceHistory,
+    getTariffValuesAt,
+};
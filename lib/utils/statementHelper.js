@@ -0,0 +1,215 @@
+'use strict';
+
+/**
+ * Statement helper for the annual statement of a closed billing period.
+ * Renders the statement of a meter and the summary of all meters of a type as a
+ * self-contained HTML page that can be printed or saved as PDF from the browser.
+ */
+
+const TYPE_NAMES = { gas: 'Gas', water: 'Wasser', electricity: 'Strom', pv: 'PV' };
+
+const STYLE = `
+body { font-family: Arial, Helvetica, sans-serif; color: #222; max-width: 800px; margin: 2em auto; }
+h1 { font-size: 1.5em; margin-bottom: 0.2em; }
+h2 { font-size: 1.1em; margin-top: 1.5em; border-bottom: 1px solid #999; }
+table { border-collapse: collapse; width: 100%; }
+td, th { padding: 4px 8px; border-bottom: 1px solid #ddd; text-align: left; }
+td.num, th.num { text-align: right; }
+tr.sum td { font-weight: bold; border-top: 2px solid #222; }
+.meta { color: #666; font-size: 0.9em; }
+@media print { body { margin: 0; } }
+`;
+
+/**
+ * Escapes text for HTML
+ *
+ * @param {any} value - Text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Formats a number with German separators
+ *
+ * @param {number} value - Number
+ * @param {number} [decimals] - Decimals (default 2)
+ * @returns {string} Formatted number
+ */
+function formatNumber(value, decimals = 2) {
+    return (Number(value) || 0).toLocaleString('de-DE', {
+        minimumFractionDigits: decimals,
+        maximumFractionDigits: decimals,
+    });
+}
+
+/**
+ * Formats a timestamp as German date
+ *
+ * @param {number} ts - Timestamp
+ * @returns {string} Date (DD.MM.YYYY)
+ */
+function formatDate(ts) {
+    const d = new Date(ts);
+    return `${String(d.getDate()).padStart(2, '0')}.${String(d.getMonth() + 1).padStart(2, '0')}.${d.getFullYear()}`;
+}
+
+/**
+ * Wraps the content into a complete HTML page
+ *
+ * @param {string} title - Page title
+ * @param {string} body - HTML body
+ * @returns {string} HTML page
+ */
+function page(title, body) {
+    return `<!DOCTYPE html>
+<html lang="de">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+/**
+ * Renders table rows (label, value) with right aligned values
+ *
+ * @param {string[][]} rows - Rows (label, value)
+ * @param {boolean} [lastIsSum] - Highlight the last row as sum
+ * @returns {string} HTML table
+ */
+function table(rows, lastIsSum = false) {
+    const html = rows.map(
+        ([label, value], i) =>
+            `<tr${lastIsSum && i === rows.length - 1 ? ' class="sum"' : ''}><td>${escapeHtml(label)}</td><td class="num">${escapeHtml(value)}</td></tr>`,
+    );
+    return `<table>\n${html.join('\n')}\n</table>`;
+}
+
+/**
+ * Renders the annual statement of a meter
+ *
+ * @param {Record<string, any>} s - Statement data (see StatementManager.collect)
+ * @returns {string} HTML page
+ */
+function toHTML(s) {
+    const typeName = TYPE_NAMES[s.type] || s.type;
+    const title = `Jahresabrechnung ${typeName} ${s.label} ${s.year}`;
+    const readingUnit = s.volumeUnit || s.unit;
+
+    const consumption = [
+        ['Zählerstand Beginn', `${formatNumber(s.startReading, 3)} ${readingUnit}`],
+        ['Zählerstand Ende', `${formatNumber(s.endReading, 3)} ${readingUnit}`],
+    ];
+    if (s.volumeUnit) {
+        consumption.push(['Verbrauch (Volumen)', `${formatNumber(s.volume)} ${s.volumeUnit}`]);
+    }
+    consumption.push(['Verbrauch', `${formatNumber(s.consumption)} ${s.unit}`]);
+    for (const zone of s.zones) {
+        consumption.push([`davon ${zone.name}`, `${formatNumber(zone.consumption)} ${s.unit}`]);
+    }
+    if (typeof s.trackedConsumption === 'number') {
+        consumption.push(['Vom Adapter erfasst', `${formatNumber(s.trackedConsumption)} ${s.unit}`]);
+        consumption.push(['Abweichung', `${formatNumber(s.deviation)} %`]);
+    }
+
+    const costs = [];
+    if (s.zones.length > 0) {
+        for (const zone of s.zones) {
+            costs.push([`Arbeitspreis ${zone.name}`, `${formatNumber(zone.costs)} €`]);
+        }
+    } else {
+        costs.push([`Arbeitspreis (${formatNumber(s.price, 4)} €/${s.unit})`, `${formatNumber(s.workingCosts)} €`]);
+    }
+    costs.push(['Grundgebühr', `${formatNumber(s.basicCharge)} €`]);
+    if (s.annualFee) {
+        costs.push(['Jahresgebühr', `${formatNumber(s.annualFee)} €`]);
+    }
+    costs.push(['Gesamtkosten', `${formatNumber(s.totalCosts)} €`]);
+
+    const balance = [
+        ['Gesamtkosten', `${formatNumber(s.totalCosts)} €`],
+        [`Abschläge (${formatNumber(s.advance)} €/Monat)`, `${formatNumber(s.paidTotal)} €`],
+        [s.balance >= 0 ? 'Guthaben' : 'Nachzahlung', `${formatNumber(Math.abs(s.balance))} €`],
+    ];
+
+    return page(
+        title,
+        `<h1>${escapeHtml(title)}</h1>
+<p class="meta">Zähler: ${escapeHtml(s.meterName)} · Abrechnungszeitraum ${formatDate(s.periodStart)} – ${formatDate(s.periodEnd)} · erstellt am ${formatDate(s.created)}</p>
+<h2>Verbrauch</h2>
+${table(consumption)}
+<h2>Kosten</h2>
+${table(costs, true)}
+<h2>Abrechnung</h2>
+${table(balance, true)}`,
+    );
+}
+
+/**
+ * Renders the summary of all meters of a type for one year
+ *
+ * @param {string} type - Utility type
+ * @param {number} year - Billing year
+ * @param {Array<{label: string, consumption: number, costs: number, balance: number, unit: string}>} rows - One row per meter
+ * @returns {string} HTML page
+ */
+function toSummaryHTML(type, year, rows) {
+    const typeName = TYPE_NAMES[type] || type;
+    const title = `Jahresabrechnung ${typeName} ${year} (alle Zähler)`;
+    const sum = key => rows.reduce((total, row) => total + (row[key] || 0), 0);
+    const line = (cells, cls = '') =>
+        `<tr${cls ? ` class="${cls}"` : ''}><td>${escapeHtml(cells[0])}</td>${cells
+            .slice(1)
+            .map(c => `<td class="num">${escapeHtml(c)}</td>`)
+            .join('')}</tr>`;
+
+    const body = rows.map(r =>
+        line([
+            r.label,
+            `${formatNumber(r.consumption)} ${r.unit}`,
+            `${formatNumber(r.costs)} €`,
+            `${formatNumber(r.balance)} €`,
+        ]),
+    );
+    const unit = rows[0]?.unit || '';
+    body.push(
+        line(
+            [
+                'Summe',
+                `${formatNumber(sum('consumption'))} ${unit}`,
+                `${formatNumber(sum('costs'))} €`,
+                `${formatNumber(sum('balance'))} €`,
+            ],
+            'sum',
+        ),
+    );
+
+    return page(
+        title,
+        `<h1>${escapeHtml(title)}</h1>
+<p class="meta">erstellt am ${formatDate(Date.now())} · Saldo: positiv = Guthaben, negativ = Nachzahlung</p>
+<table>
+<tr><th>Zähler</th><th class="num">Verbrauch</th><th class="num">Kosten</th><th class="num">Saldo</th></tr>
+${body.join('\n')}
+</table>`,
+    );
+}
+
+module.exports = {
+    TYPE_NAMES,
+    escapeHtml,
+    formatNumber,
+    toHTML,
+    toSummaryHTML,
+};
@@ -0,0 +1,376 @@
+'use strict';
+
+const { parseConfigNumber } = require('../configParser');
+const helpers = require('./helpers');
+
+/**
+ * Time-of-use tariff schedules.
+ *
+ * A schedule consists of named time windows with a day mask and a price.
+ * Windows sharing the same name form one tariff zone, whose consumption and
+ * costs are tracked in `consumption.<period><zoneKey>` / `costs.<period><zoneKey>`.
+ * The classic HT/NT configuration is mapped onto a two-window schedule.
+ */
+
+/**
+ * Supported day masks for tariff windows
+ */
+const DAY_MASKS = ['all', 'weekday', 'weekend', 'holiday', 'weekendHoliday'];
+
+/**
+ * Parses a time string (HH:MM) into minutes since midnight
+ *
+ * @param {string} timeStr - Time string, e.g. "06:30"
+ * @returns {number|null} Minutes since midnight or null if invalid
+ */
+function timeToMinutes(timeStr) {
+    if (!timeStr || typeof timeStr !== 'string') {
+        return null;
+    }
+    const match = timeStr.trim().match(/^(\d{1,2})(?::(\d{2}))?$/);
+    if (!match) {
+        return null;
+    }
+    const hours = parseInt(match[1], 10);
+    const minutes = parseInt(match[2] || '0', 10);
+    if (hours > 24 || minutes > 59) {
+        return null;
+    }
+    return (hours % 24) * 60 + minutes;
+}
+
+/**
+ * Parses a holiday list (e.g. "01.01., 25.12., 03.04.2026")
+ * Entries without year repeat every year.
+ *
+ * @param {string} [holidayStr] - Comma or semicolon separated dates
+ * @returns {Array<{day: number, month: number, year: number|null}>} Parsed holidays
+ */
+function parseHolidays(holidayStr) {
+    if (!holidayStr || typeof holidayStr !== 'string') {
+        return [];
+    }
+    const holidays = [];
+    for (const entry of holidayStr.split(/[,;\n]/)) {
+        const match = entry.trim().match(/^(\d{1,2})\.(\d{1,2})\.(\d{2,4})?$/);
+        if (!match) {
+            continue;
+        }
+        let year = match[3] ? parseInt(match[3], 10) : null;
+        if (year !== null && year < 100) {
+            year += 2000;
+        }
+        holidays.push({ day: parseInt(match[1], 10), month: parseInt(match[2], 10), year });
+    }
+    return holidays;
+}
+
+/**
+ * Checks whether a date is a configured holiday
+ *
+ * @param {Date} date - Date to check
+ * @param {Array<{day: number, month: number, year: number|null}>} holidays - Parsed holidays
+ * @returns {boolean} True if holiday
+ */
+function isHoliday(date, holidays) {
+    if (!Array.isArray(holidays) || holidays.length === 0) {
+        return false;
+    }
+    return holidays.some(
+        h =>
+            h.day === date.getDate() &&
+            h.month === date.getMonth() + 1 &&
+            (h.year === null || h.year === date.getFullYear()),
+    );
+}
+
+/**
+ * Checks whether a day matches a day mask. Holidays count as non-working days.
+ *
+ * @param {string} days - Day mask (all, weekday, weekend, holiday, weekendHoliday)
+ * @param {Date} date - Day to check
+ * @param {Array} holidays - Parsed holidays
+ * @returns {boolean} True if the mask applies to this day
+ */
+function matchesDayMask(days, date, holidays) {
+    const holiday = isHoliday(date, holidays);
+    const weekend = date.getDay() === 0 || date.getDay() === 6;
+
+    switch (days) {
+        case 'weekday':
+            return !weekend && !holiday;
+        case 'weekend':
+            return weekend && !holiday;
+        case 'holiday':
+            return holiday;
+        case 'weekendHoliday':
+            return weekend || holiday;
+        default:
+            return true;
+    }
+}
+
+/**
+ * Checks whether a window is active at the given time.
+ * Windows crossing midnight belong to the day they start on, so a weekday
+ * night window 22:00-06:00 still applies on Saturday 02:00.
+ *
+ * @param {object} window - Tariff window
+ * @param {Date} date - Point in time
+ * @param {Array} holidays - Parsed holidays
+ * @returns {boolean} True if active
+ */
+function isWindowActive(window, date, holidays) {
+    const current = date.getHours() * 60 + date.getMinutes();
+    const { startMinutes: start, endMinutes: end } = window;
+
+    if (start === end) {
+        // Whole day
+        return matchesDayMask(window.days, date, holidays);
+    }
+
+    if (start < end) {
+        return current >= start && current < end && matchesDayMask(window.days, date, holidays);
+    }
+
+    // Window crosses midnight
+    if (current >= start) {
+        return matchesDayMask(window.days, date, holidays);
+    }
+    if (current < end) {
+        const previousDay = new Date(date);
+        previousDay.setDate(previousDay.getDate() - 1);
+        return matchesDayMask(window.days, previousDay, holidays);
+    }
+    return false;
+}
+
+/**
+ * Builds the state suffix for a zone name ("Spitzenlast" -> "Spitzenlast", "ht" -> "HT")
+ *
+ * @param {string} name - Zone name
+ * @returns {string} Zone key used as state suffix
+ */
+function getZoneKey(name) {
+    const normalized = helpers.normalizeMeterName(name);
+    if (normalized.length <= 2) {
+        return normalized.toUpperCase();
+    }
+    return normalized
+        .split('_')
+        .filter(Boolean)
+        .map(part => part.charAt(0).toUpperCase() + part.slice(1))
+        .join('');
+}
+
+/**
+ * Normalizes a list of window rows into a schedule.
+ * All windows of a zone must have the same price, because the zone costs are calculated
+ * from the zone consumption; windows contradicting the first window of their zone are
+ * rejected and listed in `rejected`.
+ *
+ * @param {Array<object>} rows - Rows with name, start, end, days, price (optional fixed key)
+ * @param {string} [holidayStr] - Holiday list
+ * @returns {{windows: Array<object>, holidays: Array<object>, rejected: string[]}|null} Schedule or null if no valid window
+ */
+function createSchedule(rows, holidayStr) {
+    if (!Array.isArray(rows)) {
+        return null;
+    }
+
+    const windows = [];
+    const rejected = [];
+    for (const row of rows) {
+        if (!row || !row.name) {
+            continue;
+        }
+        const startMinutes = timeToMinutes(row.start || '00:00');
+        const endMinutes = timeToMinutes(row.end || '00:00');
+        if (startMinutes === null || endMinutes === null) {
+            continue;
+        }
+        const window = {
+            name: String(row.name).trim(),
+            key: row.key || getZoneKey(String(row.name)),
+            startMinutes,
+            endMinutes,
+            days: DAY_MASKS.includes(row.days) ? row.days : 'all',
+            price: parseConfigNumber(row.price, 0),
+        };
+
+        const zoneWindow = windows.find(w => w.key === window.key);
+        if (zoneWindow && zoneWindow.price !== window.price) {
+            rejected.push(
+                `Zeitfenster "${window.name}" ${row.start || '00:00'}-${row.end || '00:00'} ignoriert: Preis ${window.price} weicht vom Preis ${zoneWindow.price} der Zone ab`,
+            );
+            continue;
+        }
+        windows.push(window);
+    }
+
+    if (windows.length === 0) {
+        return null;
+    }
+
+    return { windows, holidays: parseHolidays(holidayStr), rejected };
+}
+
+/**
+ * Builds the tariff schedule of a utility's main meter from the adapter config.
+ * Uses the tariff window table if filled, otherwise maps HT/NT onto two windows.
+ *
+ * @param {object} config - Adapter configuration
+ * @param {string} configType - Config prefix (gas, strom, ...)
+ * @returns {{windows: Array<object>, holidays: Array<object>}|null} Schedule or null if disabled
+ */
+function buildTariffSchedule(config, configType) {
+    if (!config || !config[`${configType}HtNtEnabled`]) {
+        return null;
+    }
+
+    const rows = config[`${configType}TariffWindows`];
+    if (Array.isArray(rows) && rows.length > 0) {
+        const schedule = createSchedule(rows, config[`${configType}TariffHolidays`]);
+        if (schedule) {
+            return schedule;
+        }
+    }
+
+    return createHtNtSchedule({
+        htStart: config[`${configType}HtStart`],
+        htEnd: config[`${configType}HtEnd`],
+        htPrice: config[`${configType}HtPrice`],
+        ntPrice: config[`${configType}NtPrice`],
+    });
+}
+
+/**
+ * Builds the classic two-zone schedule: HT inside the window, NT for the rest of the day
+ *
+ * @param {{htStart: string, htEnd: string, htPrice: any, ntPrice: any}} settings - HT/NT settings
+ * @returns {{windows: Array<object>, holidays: Array<object>}|null} Schedule
+ */
+function createHtNtSchedule(settings) {
+    return createSchedule([
+        {
+            name: 'Haupttarif (HT)',
+            key: 'HT',
+            start: settings.htStart,
+            end: settings.htEnd,
+            price: settings.htPrice,
+        },
+        {
+            name: 'Nebentarif (NT)',
+            key: 'NT',
+            start: '00:00',
+            end: '00:00',
+            price: settings.ntPrice,
+        },
+    ]);
+}
+
+/**
+ * Builds the tariff schedule of an additional meter.
+ * Empty HT/NT fields fall back to the main meter settings; a meter without any
+ * own HT/NT values uses the complete schedule of the main meter.
+ * Prices missing in both fall back to the base price of the meter. Without an HT time
+ * window the HT/NT config cannot be used and null is returned.
+ *
+ * @param {object} meterConfig - Row of the additional meters table
+ * @param {object} config - Adapter configuration
+ * @param {string} configType - Config prefix (gas, strom, ...)
+ * @returns {{windows: Array<object>, holidays: Array<object>}|null} Schedule or null if disabled or incomplete
+ */
+function buildMeterTariffSchedule(meterConfig, config, configType) {
+    if (!meterConfig || !meterConfig.htNtEnabled) {
+        return null;
+    }
+
+    const isSet = value => value !== undefined && value !== null && String(value).trim() !== '';
+    const ownFields = ['htPrice', 'ntPrice', 'htStart', 'htEnd'];
+    if (!ownFields.some(field => isSet(meterConfig[field])) && config[`${configType}HtNtEnabled`]) {
+        return buildTariffSchedule(config, configType);
+    }
+
+    const pick = (field, configKey, fallback) => {
+        if (isSet(meterConfig[field])) {
+            return meterConfig[field];
+        }
+        const mainValue = config[`${configType}${configKey}`];
+        return isSet(mainValue) ? mainValue : fallback;
+    };
+    const htStart = pick('htStart', 'HtStart');
+    const htEnd = pick('htEnd', 'HtEnd');
+    if (htStart === undefined && htEnd === undefined) {
+        return null;
+    }
+    return createHtNtSchedule({
+        htStart,
+        htEnd,
+        htPrice: pick('htPrice', 'HtPrice', meterConfig.preis),
+        ntPrice: pick('ntPrice', 'NtPrice', meterConfig.preis),
+    });
+}
+
+/**
+ * Returns the window active at a point in time (first matching window wins)
+ *
+ * @param {{windows: Array<object>, holidays: Array<object>}|null} schedule - Tariff schedule
+ * @param {Date} [date] - Point in time (default: now)
+ * @returns {object|null} Active window or null if none matches
+ */
+function getActiveWindow(schedule, date = new Date()) {
+    if (!schedule || !Array.isArray(schedule.windows)) {
+        return null;
+    }
+    return schedule.windows.find(w => isWindowActive(w, date, schedule.holidays)) || null;
+}
+
+/**
+ * Returns the distinct zones of a schedule (all windows of a zone share the price, see createSchedule)
+ *
+ * @param {{windows: Array<object>}|null} schedule - Tariff schedule
+ * @returns {Array<{key: string, name: string, price: number}>} Zones
+ */
+function getZones(schedule) {
+    if (!schedule || !Array.isArray(schedule.windows)) {
+        return [];
+    }
+    const zones = [];
+    for (const w of schedule.windows) {
+        if (!zones.some(z => z.key === w.key)) {
+            zones.push({ key: w.key, name: w.name, price: w.price });
+        }
+    }
+    return zones;
+}
+
+/**
+ * Resolves the tariff name and price for a meter at a point in time
+ *
+ * @param {object} meterConfig - Meter configuration (preis, tariffSchedule)
+ * @param {Date} [date] - Point in time (default: now)
+ * @returns {{name: string, price: number, key: string|null}} Active tariff
+ */
+function resolveTariff(meterConfig, date = new Date()) {
+    const window = getActiveWindow(meterConfig?.tariffSchedule, date);
+    if (window) {
+        return { name: window.name, price: window.price, key: window.key };
+    }
+    return { name: 'Standard', price: meterConfig?.preis || 0, key: null };
+}
+
+module.exports = {
+    DAY_MASKS,
+    timeToMinutes,
+    parseHolidays,
+    isHoliday,
+    matchesDayMask,
+    getZoneKey,
+    createSchedule,
+    buildTariffSchedule,
+    buildMeterTariffSchedule,
+    getActiveWindow,
+    getZones,
+    resolveTariff,
+};
@@ -11,6 +11,14 @@ const BillingManager = require('./lib/billingManager');
 const MessagingHandler = require('./lib/messagingHandler');
 const MultiMeterManager = require('./lib/multiMeterManager');
 const ImportManager = require('./lib/importManager');
+const ExportManager = require('./lib/exportManager');
+const SelfConsumptionManager = require('./lib/selfConsumptionManager');
+const CostAllocationManager = require('./lib/costAllocationManager');
+const HeatingCostManager = require('./lib/heatingCostManager');
+const StatementManager = require('./lib/statementManager');
+const InvoiceManager = require('./lib/invoiceManager');
+const ForecastManager = require('./lib/forecastManager');
+const MeterExchangeManager = require('./lib/meterExchangeManager');
 const calculator = require('./lib/calculator');
 
 class UtilityMonitor extends utils.Adapter {
@@ -32,6 +40,14 @@ class UtilityMonitor extends utils.Adapter {
         this.billingManager = new BillingManager(this);
         this.messagingHandler = new MessagingHandler(this);
         this.importManager = new ImportManager(this);
+        this.exportManager = new ExportManager(this);
+        this.selfConsumptionManager = new SelfConsumptionManager(this);
+        this.costAllocationManager = new CostAllocationManager(this);
+        this.heatingCostManager = new HeatingCostManager(this);
+        this.statementManager = new StatementManager(this);
+        this.invoiceManager = new InvoiceManager(this);
+        this.forecastManager = new ForecastManager(this);
+        this.meterExchangeManager = new MeterExchangeManager(this);
         this.multiMeterManager = null; // Initialized in onReady after other managers
 
         this.periodicTimers = {};
@@ -56,6 +72,12 @@ class UtilityMonitor extends utils.Adapter {
         await this.initializeUtility('electricity', this.config.stromAktiv);
         await this.initializeUtility('pv', this.config.pvAktiv);
 
+        // PV self-consumption and autarky statistics (needs pv and electricity states)
+        await this.selfConsumptionManager.initialize();
+
+        // Heating cost allocation (HeizkostenV)
+        await this.heatingCostManager.initialize();
+
         // Initialize General Info States
         await this.setObjectNotExistsAsync('info', {
             type: 'channel',
@@ -78,6 +100,12 @@ class UtilityMonitor extends utils.Adapter {
         // Subscribe to billing period closure triggers
         this.subscribeStates('*.billing.closePeriod');
 
+        // Subscribe to supplier invoice inputs
+        this.subscribeStates('*.billing.invoice.*');
+
+        // Subscribe to meter exchange inputs
+        this.subscribeStates('*.exchange.*');
+
         // Subscribe to manual adjustment changes
         this.subscribeStates('*.adjustment.value');
         this.subscribeStates('*.adjustment.note');
@@ -241,6 +269,21 @@ class UtilityMonitor extends utils.Adapter {
             return;
         }
 
+        // Heating cost allocation inputs (readings, year, calculate button)
+        if (await this.heatingCostManager.handleStateChange(id, state)) {
+            return;
+        }
+
+        // Supplier invoice inputs (billing.invoice.*)
+        if (await this.invoiceManager.handleStateChange(id, state)) {
+            return;
+        }
+
+        // Meter exchange inputs (exchange.*)
+        if (await this.meterExchangeManager.handleStateChange(id, state)) {
+            return;
+        }
+
         // Check if this is a closePeriod button press
         if (id.includes('.billing.closePeriod') && state.val === true && !state.ack) {
             const parts = id.split('.');
@@ -300,6 +343,11 @@ class UtilityMonitor extends utils.Adapter {
             }
         }
 
+        // PV generation sensor for the self-consumption statistics
+        if (this.selfConsumptionManager.isGenerationSensor(id)) {
+            await this.selfConsumptionManager.handleGenerationUpdate(calculator.ensureNumber(state.val));
+        }
+
         // Determine which utility this sensor belongs to
         // All meters (including main) are now handled by multiMeterManager
         if (this.multiMeterManager) {
@@ -309,7 +357,31 @@ class UtilityMonitor extends utils.Adapter {
                 const numValue = calculator.ensureNumber(state.val);
                 // Call handleSensorUpdate for each meter using this sensor
                 for (const meterInfo of meters) {
-                    await this.multiMeterManager.handleSensorUpdate(meterInfo.type, meterInfo.meterName, id, numValue);
+                    if (meterInfo.role === 'price') {
+                        // Dynamic price datapoints may contain JSON price lists, pass the raw value
+                        await this.multiMeterManager.handlePriceUpdate(meterInfo.type, meterInfo.meterName, state.val);
+                        continue;
+                    }
+                    if (meterInfo.role === 'export' || meterInfo.role === 'generation') {
+                        await this.multiMeterManager.updateAuxiliaryCounter(
+                            meterInfo.type,
+                            meterInfo.meterName,
+                            meterInfo.role,
+                            numValue,
+                        );
+                        continue;
+                    }
+                    await this.multiMeterManager.handleSensorUpdate(
+                        meterInfo.type,
+                        meterInfo.meterName,
+                        id,
+                        numValue,
+                        state.ts,
+                    );
+                }
+                // Feed-in or grid import changed: refresh self-consumption and autarky
+                if (meters.some(m => m.type === 'pv' || m.type === 'electricity')) {
+                    await this.selfConsumptionManager.update();
                 }
                 return;
             }
@@ -324,6 +396,18 @@ class UtilityMonitor extends utils.Adapter {
     async onMessage(obj) {
         if (obj.command === 'importCSV') {
             await this.importManager.handleImportCSV(obj);
+        } else if (obj.command === 'previewImportCSV') {
+            await this.importManager.handlePreviewImportCSV(obj);
+        } else if (obj.command === 'importHistory') {
+            await this.importManager.handleImportHistory(obj);
+        } else if (obj.command === 'listImports') {
+            await this.importManager.handleListImports(obj);
+        } else if (obj.command === 'revertImport') {
+            await this.importManager.handleRevertImport(obj);
+        } else if (obj.command === 'exportData') {
+            await this.exportManager.handleExportData(obj);
+        } else if (obj.command === 'getImportProfiles') {
+            this.importManager.handleGetImportProfiles(obj);
         } else {
             await this.messagingHandler.handleMessage(obj);
         }
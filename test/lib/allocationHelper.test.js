@@ -0,0 +1,71 @@
+/**
+ * Unit tests for allocationHelper module
+ */
+
+const { expect } = require('chai');
+const allocationHelper = require('../../lib/utils/allocationHelper');
+
+describe('AllocationHelper Module', () => {
+    const parties = allocationHelper.parseParties([
+        { name: 'Wohnung EG', area: '60', persons: '1', advanceGas: '50' },
+        { name: 'Wohnung OG', area: '90', persons: '3', advanceGas: '' },
+        { name: 'Wohnung EG', area: '10' },
+        { name: '' },
+    ]);
+
+    describe('parseParties()', () => {
+        it('should normalize IDs, parse numbers and skip invalid or duplicate rows', () => {
+            expect(parties.map(p => p.id)).to.deep.equal(['wohnung_eg', 'wohnung_og']);
+            expect(parties[0].area).to.equal(60);
+            expect(parties[0].advance).to.deep.equal({ gas: 50, water: 0, electricity: 0 });
+        });
+    });
+
+    describe('calculateShares()', () => {
+        const rule = (method, party = '', share = 0) => ({ method, party, share });
+
+        it('should split by area, persons, share and equal parts', () => {
+            expect(allocationHelper.calculateShares(rule('area'), parties)).to.deep.equal({
+                wohnung_eg: 0.4,
+                wohnung_og: 0.6,
+            });
+            expect(allocationHelper.calculateShares(rule('persons'), parties)).to.deep.equal({
+                wohnung_eg: 0.25,
+                wohnung_og: 0.75,
+            });
+            expect(allocationHelper.calculateShares(rule('share', 'wohnung_og', 30), parties)).to.deep.equal({
+                wohnung_og: 0.3,
+            });
+            expect(allocationHelper.calculateShares(rule('equal'), parties)).to.deep.equal({
+                wohnung_eg: 0.5,
+                wohnung_og: 0.5,
+            });
+            expect(allocationHelper.calculateShares(rule('meter', 'unknown'), parties)).to.deep.equal({});
+        });
+    });
+
+    describe('allocate()', () => {
+        it('should distribute meter values and use the default meter for rules without meter', () => {
+            const rules = allocationHelper.parseRules(
+                [
+                    { type: 'gas', meter: '', method: 'area' },
+                    { type: 'gas', meter: 'Keller', method: 'meter', party: 'Wohnung OG' },
+                    { type: 'water', meter: '', method: 'equal' },
+                    { type: 'gas', meter: '', method: 'invalid' },
+                ],
+                'gas',
+            );
+            expect(rules).to.have.length(2);
+
+            const result = allocationHelper.allocate(
+                rules,
+                parties,
+                { main: { consumption: 1000, costs: 200 }, keller: { consumption: 100, costs: 25 } },
+                'main',
+            );
+
+            expect(result.wohnung_eg).to.deep.equal({ consumption: 400, costs: 80 });
+            expect(result.wohnung_og).to.deep.equal({ consumption: 700, costs: 145 });
+        });
+    });
+});
@@ -0,0 +1,72 @@
+/**
+ * Unit tests for billingHelper module
+ */
+
+const { expect } = require('chai');
+const billingHelper = require('../../lib/utils/billingHelper');
+
+describe('BillingHelper Module', () => {
+    describe('calculatePeriodConsumption()', () => {
+        it('should calculate the read consumption and the deviation of the tracked consumption', () => {
+            const result = billingHelper.calculatePeriodConsumption(1000, 2000, 950);
+
+            expect(result).to.deep.equal({ volume: 1000, official: 1000, tracked: 950, deviation: -5 });
+        });
+
+        it('should convert gas readings with the conversion factor', () => {
+            const result = billingHelper.calculatePeriodConsumption(100, 200, 1100, 10);
+
+            expect(result.volume).to.equal(100);
+            expect(result.official).to.equal(1000);
+            expect(result.deviation).to.equal(10);
+        });
+
+        it('should report 100 % deviation if the readings show no consumption', () => {
+            expect(billingHelper.calculatePeriodConsumption(500, 500, 20).deviation).to.equal(100);
+            expect(billingHelper.calculatePeriodConsumption(500, 500, 0).deviation).to.equal(0);
+        });
+    });
+
+    describe('calculateOfficialWorkingCosts()', () => {
+        it('should price the read consumption with the average price of the tracked consumption', () => {
+            expect(billingHelper.calculateOfficialWorkingCosts(1000, 950, 285, 0.5)).to.equal(300);
+        });
+
+        it('should use the current price without tracked consumption', () => {
+            expect(billingHelper.calculateOfficialWorkingCosts(1000, 0, 0, 0.3)).to.equal(300);
+        });
+    });
+
+    describe('calculateEstimationError()', () => {
+        it('should compare the estimate of the adapter with the invoice', () => {
+            const error = billingHelper.calculateEstimationError(
+                { consumption: 1050, costs: 380, balance: 20 },
+                { consumption: 1000, amount: 400, settlement: -15 },
+            );
+
+            expect(error).to.deep.equal({ consumption: 5, amount: -5, balance: 35 });
+        });
+    });
+
+    describe('calculateAccumulatedChargesWithHistory()', () => {
+        it('should not skip into the next month when the billing year starts on the 31st', () => {
+            const config = {
+                grundgebuehr: 10,
+                jahresgebuehr: 0,
+                priceHistory: [
+                    {
+                        validFrom: new Date(2025, 2, 1).getTime(),
+                        preis: null,
+                        grundgebuehr: 20,
+                        jahresgebuehr: null,
+                    },
+                ],
+            };
+
+            const result = billingHelper.calculateAccumulatedChargesWithHistory(config, new Date(2025, 0, 31), 2);
+
+            // January and February at 10 €, the March price must not apply to February
+            expect(result.basicCharge).to.equal(20);
+        });
+    });
+});
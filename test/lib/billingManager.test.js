@@ -0,0 +1,61 @@
+/**
+ * Unit tests for BillingManager module
+ */
+
+const { expect } = require('chai');
+const BillingManager = require('../../lib/billingManager');
+
+// Mock adapter for testing
+function createMockAdapter(config = {}) {
+    const states = {};
+
+    return {
+        config: {
+            billingTolerance: 5,
+            billingToleranceAction: 'refuse',
+            ...config,
+        },
+        log: {
+            debug: () => {},
+            info: () => {},
+            warn: () => {},
+            error: () => {},
+        },
+        namespace: 'utility-monitor.0',
+        states,
+        async getStateAsync(id) {
+            return states[id] || null;
+        },
+        async setStateAsync(id, value, ack) {
+            states[id] = { val: value, ack };
+        },
+    };
+}
+
+describe('BillingManager Module', () => {
+    describe('_validatePeriodReadings()', () => {
+        it('should convert the read gas volume with the Brennwert valid during the period', async () => {
+            const adapter = createMockAdapter();
+            const manager = new BillingManager(adapter);
+            const meter = {
+                name: 'main',
+                config: {
+                    brennwert: 10,
+                    zZahl: 1,
+                    gasConversionHistory: [{ validFrom: Date.now() - 86400000, brennwert: 12, zZahl: null }],
+                },
+            };
+
+            // 100 m³ at Brennwert 10, then 100 m³ at Brennwert 12 after the change
+            adapter.states['gas.main.billing.startReading'] = { val: 1000, ack: true };
+            adapter.states['gas.main.consumption.yearly'] = { val: 2200, ack: true };
+            adapter.states['gas.main.consumption.yearlyVolume'] = { val: 200, ack: true };
+
+            const readings = await manager._validatePeriodReadings('gas', meter, 1200);
+
+            expect(readings).to.not.be.null;
+            expect(readings?.official).to.equal(2200);
+            expect(readings?.deviation).to.equal(0);
+        });
+    });
+});
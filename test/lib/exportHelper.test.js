@@ -0,0 +1,58 @@
+/**
+ * Unit tests for exportHelper module
+ */
+
+const { expect } = require('chai');
+const exportHelper = require('../../lib/utils/exportHelper');
+const importHelper = require('../../lib/utils/importHelper');
+
+describe('ExportHelper Module', () => {
+    const values = {
+        'consumption.monthly': 12.5,
+        'costs.monthly': 25,
+        'statistics.timestamps.lastMonthStart': new Date(2025, 9, 1).getTime(),
+        'history.2023.consumption': 120,
+        'history.2023.costs': 240,
+        'history.2024.months.01.consumption': 10.25,
+        'history.2024.months.01.costs': 20.5,
+        'history.2024.months.02.consumption': 8,
+        'history.2024.months.02.costs': 16,
+        'history.2024.yearly': 110,
+        'history.2024.totalYearly': 230,
+        'history.2024.balance': -12,
+    };
+
+    describe('collectData()', () => {
+        it('should collect running periods, billing periods and history within the year range', () => {
+            const data = exportHelper.collectData(values);
+
+            expect(data.periods).to.have.length(1);
+            expect(data.periods[0]).to.include({ period: 'monthly', consumption: 12.5, costs: 25 });
+            expect(data.billing).to.deep.equal([
+                { year: 2024, consumption: 110, volume: undefined, costs: 230, balance: -12 },
+            ]);
+            expect(data.history.map(h => h.year)).to.deep.equal([2023, 2024]);
+            expect(data.history[1].months).to.have.length(2);
+
+            expect(exportHelper.collectData(values, 2024).history.map(h => h.year)).to.deep.equal([2024]);
+        });
+    });
+
+    describe('toCSV()', () => {
+        it('should write rows the CSV importer reads back as history only', () => {
+            const csv = exportHelper.toCSV(exportHelper.collectData(values));
+            const lines = csv.trim().split('\n');
+
+            expect(lines[0]).to.equal('Datum;Verbrauch;Kosten;Kategorie');
+            expect(lines).to.include('01.01.2023;120;240;Jahr');
+            expect(lines).to.include('01.01.2024;10,25;20,5;Monat');
+            expect(lines).to.include('01.01.2024;110;230;Abrechnung');
+            expect(lines).to.include('01.10.2025;12,5;25;Zeitraum (Monat)');
+
+            const parsed = importHelper.parseCSV(csv, 'water');
+            expect(importHelper.resolveMode('auto', parsed.headers[parsed.valueIdx])).to.equal('consumption');
+            expect(parsed.dataPoints.map(dp => dp.value)).to.deep.equal([120, 10.25, 8]);
+            expect(parsed.rejected).to.have.length(2);
+        });
+    });
+});
@@ -0,0 +1,98 @@
+/**
+ * Unit tests for forecastHelper module
+ */
+
+const { expect } = require('chai');
+const forecastHelper = require('../../lib/utils/forecastHelper');
+
+describe('ForecastHelper Module', () => {
+    const flat = new Array(12).fill(1 / 12);
+
+    describe('learnProfile()', () => {
+        it('should use the default profile without history', () => {
+            const profile = forecastHelper.learnProfile('gas', []);
+
+            expect(profile).to.have.length(12);
+            expect(profile.reduce((sum, share) => sum + share, 0)).to.be.closeTo(1, 1e-9);
+            expect(profile[0]).to.be.greaterThan(profile[6]);
+        });
+
+        it('should average known months and fill the others from the scaled default profile', () => {
+            const profile = forecastHelper.learnProfile('gas', [
+                { month: 1, consumption: 280 },
+                { month: 1, consumption: 320 },
+                { month: 7, consumption: 30 },
+            ]);
+
+            expect(profile.reduce((sum, share) => sum + share, 0)).to.be.closeTo(1, 1e-9);
+            expect(profile[0] / profile[6]).to.be.closeTo(10, 1e-9);
+        });
+    });
+
+    describe('getElapsedShare()', () => {
+        it('should sum the shares of the elapsed days of the billing period', () => {
+            const start = new Date(2025, 0, 1);
+
+            expect(forecastHelper.getElapsedShare(flat, start, new Date(2025, 6, 1))).to.be.closeTo(0.5, 1e-9);
+            expect(forecastHelper.getElapsedShare(flat, start, new Date(2026, 3, 1))).to.equal(1);
+        });
+    });
+
+    describe('findBaseline()', () => {
+        const months = year =>
+            Array.from({ length: 12 }, (_, i) => ({ key: `${year}.months.${String(i + 1).padStart(2, '0')}` }));
+
+        it('should prefer the invoice and the closed period of the most recent year', () => {
+            const values = { '2023.yearly': 900, '2024.yearly': 1000, '2024.invoice.consumption': 1010 };
+
+            expect(forecastHelper.findBaseline(values, [])).to.equal(1010);
+        });
+
+        it('should use imported yearly totals of complete years only', () => {
+            const values = { '2023.consumption': 1200, '2024.consumption': 300 };
+
+            expect(forecastHelper.findBaseline(values, months(2023).slice(0, 11))).to.equal(0);
+            expect(forecastHelper.findBaseline(values, [...months(2023), ...months(2024).slice(0, 3)])).to.equal(1200);
+        });
+    });
+
+    describe('calculateForecast()', () => {
+        const params = {
+            consumption: 500,
+            workingCosts: 150,
+            elapsedShare: 0.5,
+            price: 0.3,
+            fixedCharges: 120,
+            abschlag: 40,
+        };
+
+        it('should extrapolate the consumption so far without a baseline', () => {
+            expect(forecastHelper.calculateForecast(params)).to.deep.equal({
+                projectedConsumption: 1000,
+                projectedCosts: 420,
+                projectedBalance: 60,
+                recommendedAbschlag: 35,
+            });
+        });
+
+        it('should weight in the baseline by the remaining share of the period', () => {
+            expect(forecastHelper.calculateForecast({ ...params, baseline: 1200 })).to.deep.equal({
+                projectedConsumption: 1050,
+                projectedCosts: 435,
+                projectedBalance: 45,
+                recommendedAbschlag: 37,
+            });
+        });
+
+        it('should follow the baseline at the start of the period and wait for data without one', () => {
+            const start = { ...params, consumption: 0, workingCosts: 0, elapsedShare: 0 };
+
+            expect(forecastHelper.calculateForecast({ ...start, baseline: 1200 })).to.include({
+                projectedConsumption: 1200,
+                recommendedAbschlag: 40,
+                projectedBalance: 0,
+            });
+            expect(forecastHelper.calculateForecast(start)).to.be.null;
+        });
+    });
+});
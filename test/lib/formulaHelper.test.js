@@ -0,0 +1,43 @@
+/**
+ * Unit tests for formulaHelper module
+ */
+
+const { expect } = require('chai');
+const formulaHelper = require('../../lib/utils/formulaHelper');
+
+describe('FormulaHelper Module', () => {
+    describe('parseFormula()', () => {
+        it('should parse sums and differences of meters', () => {
+            expect(formulaHelper.parseFormula('main - Werkstatt - wallbox').terms).to.deep.equal([
+                { meter: 'main', factor: 1 },
+                { meter: 'werkstatt', factor: -1 },
+                { meter: 'wallbox', factor: -1 },
+            ]);
+        });
+
+        it('should support scaling and parentheses', () => {
+            const parsed = formulaHelper.parseFormula('0,5 * (main - keller) + garage / 4');
+            expect(parsed.terms).to.deep.equal([
+                { meter: 'main', factor: 0.5 },
+                { meter: 'keller', factor: -0.5 },
+                { meter: 'garage', factor: 0.25 },
+            ]);
+        });
+
+        it('should reject invalid formulas', () => {
+            expect(() => formulaHelper.parseFormula('')).to.throw('leer');
+            expect(() => formulaHelper.parseFormula('main * keller')).to.throw('Zahlen multipliziert');
+            expect(() => formulaHelper.parseFormula('main - 50')).to.throw('Faktor');
+            expect(() => formulaHelper.parseFormula('main / 0')).to.throw('Division');
+            expect(() => formulaHelper.parseFormula('(main - keller')).to.throw('Klammer');
+            expect(() => formulaHelper.parseFormula('main % keller')).to.throw('Ungültiges Zeichen');
+        });
+    });
+
+    describe('evaluateFormula()', () => {
+        it('should evaluate against meter values and treat missing meters as 0', () => {
+            const parsed = formulaHelper.parseFormula('main - werkstatt - wallbox');
+            expect(formulaHelper.evaluateFormula(parsed, { main: 20, werkstatt: 3.5 })).to.equal(16.5);
+        });
+    });
+});
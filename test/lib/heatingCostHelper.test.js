@@ -0,0 +1,58 @@
+/**
+ * Unit tests for heatingCostHelper module
+ */
+
+const { expect } = require('chai');
+const heatingCostHelper = require('../../lib/utils/heatingCostHelper');
+
+describe('HeatingCostHelper Module', () => {
+    const units = heatingCostHelper.parseHeatingUnits([
+        { name: 'Wohnung EG', area: '60' },
+        { name: 'Wohnung OG', area: '40' },
+        { name: '' },
+    ]);
+
+    describe('normalizeBaseShare()', () => {
+        it('should clamp the base share to 30-50 %', () => {
+            expect(heatingCostHelper.normalizeBaseShare('')).to.equal(30);
+            expect(heatingCostHelper.normalizeBaseShare(20)).to.equal(30);
+            expect(heatingCostHelper.normalizeBaseShare('40')).to.equal(40);
+            expect(heatingCostHelper.normalizeBaseShare(70)).to.equal(50);
+        });
+    });
+
+    describe('calculateHeatingCosts()', () => {
+        it('should split base costs by area and consumption costs by allocator readings', () => {
+            const result = heatingCostHelper.calculateHeatingCosts(1000, 30, units, {
+                wohnung_eg: 100,
+                wohnung_og: 300,
+            });
+
+            expect(result.baseCosts).to.equal(300);
+            expect(result.consumptionCosts).to.equal(700);
+            expect(result.consumptionByArea).to.be.false;
+            expect(result.units[0]).to.include({ baseCosts: 180, consumptionCosts: 175, totalCosts: 355, share: 35.5 });
+            expect(result.units[1]).to.include({ baseCosts: 120, consumptionCosts: 525, totalCosts: 645, share: 64.5 });
+        });
+
+        it('should split everything by area without allocator readings', () => {
+            const result = heatingCostHelper.calculateHeatingCosts(500, 50, units, {});
+
+            expect(result.consumptionByArea).to.be.true;
+            expect(result.units.map(u => u.totalCosts)).to.deep.equal([300, 200]);
+        });
+    });
+
+    describe('toCSV()', () => {
+        it('should write one line per unit plus a sum line with decimal commas', () => {
+            const csv = heatingCostHelper.toCSV(
+                heatingCostHelper.calculateHeatingCosts(100.5, 30, units, { wohnung_eg: 1, wohnung_og: 1 }),
+            );
+            const lines = csv.trim().split('\n');
+
+            expect(lines).to.have.length(4);
+            expect(lines[1].startsWith('Wohnung EG;60;1;')).to.be.true;
+            expect(lines[3]).to.equal('Summe;;;30,15;70,35;100,5;100');
+        });
+    });
+});
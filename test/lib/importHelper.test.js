@@ -0,0 +1,77 @@
+/**
+ * Unit tests for importHelper module
+ */
+
+const { expect } = require('chai');
+const importHelper = require('../../lib/utils/importHelper');
+const importProfiles = require('../../lib/utils/importProfiles');
+
+describe('ImportHelper Module', () => {
+    describe('parseCSV()', () => {
+        it('should detect separator and columns and sort the data points', () => {
+            const result = importHelper.parseCSV('Datum;Zählerstand\n15.02.2025;120,5\n01.01.2025;100\n', 'water');
+
+            expect(result.separator).to.equal(';');
+            expect(result.headers[result.valueIdx]).to.equal('zählerstand');
+            expect(result.dataPoints.map(dp => dp.value)).to.deep.equal([100, 120.5]);
+        });
+    });
+
+    describe('parseCSV() with profile', () => {
+        it('should apply skip rows, columns, date format and unit of the profile', () => {
+            const result = importHelper.parseCSV(
+                'Export Shelly\nDate/time UTC,Active energy Wh (A),Returned energy Wh (A)\n2025-01-02 10:00,1500,0\n',
+                'electricity',
+                {
+                    ...importProfiles.resolveProfile('shelly', {}),
+                    skipRows: 1,
+                },
+            );
+
+            expect(result.separator).to.equal(',');
+            expect(result.dataPoints).to.have.length(1);
+            expect(result.dataPoints[0].value).to.equal(1.5);
+            expect(result.dataPoints[0].timestamp.getTime()).to.equal(new Date(2025, 0, 2, 10, 0).getTime());
+        });
+    });
+
+    describe('resolveMode()', () => {
+        it('should detect cumulative readings from the value header', () => {
+            expect(importHelper.resolveMode('auto', 'zählerstand')).to.equal('cumulative');
+            expect(importHelper.resolveMode('auto', 'verbrauch kwh')).to.equal('consumption');
+            expect(importHelper.resolveMode('auto', 'wert')).to.equal('consumption');
+            expect(importHelper.resolveMode('cumulative', 'verbrauch')).to.equal('cumulative');
+        });
+    });
+
+    describe('toIntervals() / distributeByDay()', () => {
+        it('should compute deltas between readings and distribute them over the days in between', () => {
+            const dataPoints = [
+                { timestamp: new Date(2025, 0, 30), value: 100 },
+                { timestamp: new Date(2025, 1, 3), value: 104 },
+                { timestamp: new Date(2025, 1, 4), value: 10 },
+                { timestamp: new Date(2025, 1, 5), value: 12 },
+            ];
+
+            const { intervals, resets } = importHelper.toIntervals(dataPoints, 'cumulative');
+            expect(resets).to.have.length(1);
+            expect(resets[0]).to.include({ value: 10, previous: 104 });
+            expect(intervals.map(i => i.value)).to.deep.equal([4, 2]);
+
+            const days = importHelper.distributeByDay(intervals);
+            expect(days.map(d => d.day)).to.deep.equal([
+                '2025-01-30',
+                '2025-01-31',
+                '2025-02-01',
+                '2025-02-02',
+                '2025-02-04',
+            ]);
+            expect(
+                importHelper.sumRange(days, new Date(2025, 0, 1).getTime(), new Date(2025, 1, 1).getTime()),
+            ).to.equal(2);
+            expect(
+                importHelper.sumRange(days, new Date(2025, 1, 1).getTime(), new Date(2025, 2, 1).getTime()),
+            ).to.equal(4);
+        });
+    });
+});
@@ -0,0 +1,279 @@
+/**
+ * Unit tests for ImportManager module
+ */
+
+const { expect } = require('chai');
+const ImportManager = require('../../lib/importManager');
+
+// Mock adapter for testing
+function createMockAdapter(config = {}) {
+    const states = {};
+    const objects = {};
+
+    return {
+        config: {
+            wasserPreis: 2,
+            ...config,
+        },
+        log: {
+            debug: () => {},
+            info: () => {},
+            warn: () => {},
+            error: () => {},
+        },
+        namespace: 'utility-monitor.0',
+        states,
+        objects,
+        async getStateAsync(id) {
+            return states[id] || null;
+        },
+        async setStateAsync(id, value, ack) {
+            states[id] = { val: value, ack };
+        },
+        async setObjectNotExistsAsync(id, obj) {
+            if (!objects[id]) {
+                objects[id] = obj;
+            }
+        },
+    };
+}
+
+describe('ImportManager Module', () => {
+    describe('processImport()', () => {
+        it('should turn cumulative readings into monthly and yearly history', async () => {
+            const adapter = createMockAdapter();
+            const manager = new ImportManager(adapter);
+            const csv = [
+                'Datum;Zählerstand',
+                '01.01.2020;100',
+                '01.02.2020;110',
+                '01.03.2020;115',
+                '01.01.2021;160',
+            ].join('\n');
+
+            const result = await manager.processImport('water', 'historisch', csv, 'generic');
+
+            expect(result.mode).to.equal('cumulative');
+            expect(result.count).to.equal(4);
+            expect(adapter.states['water.historisch.history.2020.months.01.consumption'].val).to.equal(10);
+            expect(adapter.states['water.historisch.history.2020.months.02.consumption'].val).to.equal(5);
+            expect(adapter.states['water.historisch.history.2020.months.02.costs'].val).to.equal(10);
+            expect(adapter.states['water.historisch.history.2020.consumption'].val).to.equal(60);
+            expect(adapter.objects['water.historisch.history.2020.months.12.consumption']).to.exist;
+        });
+    });
+
+    describe('_updateCurrentPeriods()', () => {
+        it('should leave the yearly consumption of meters with an initial reading to the meter reading', async () => {
+            const adapter = createMockAdapter();
+            const day = 24 * 3600 * 1000;
+            const today = new Date(new Date().setHours(0, 0, 0, 0)).getTime();
+            adapter.states['water.main.statistics.timestamps.lastMonthStart'] = { val: today - 10 * day, ack: true };
+            adapter.states['water.main.statistics.timestamps.lastYearStart'] = { val: today - 30 * day, ack: true };
+            adapter.states['water.main.consumption.yearly'] = { val: 40, ack: true };
+            const meter = { name: 'main', config: { sensorDP: 'alias.0.wasser', initialReading: 500 } };
+            adapter.multiMeterManager = {
+                isCostAccumulated: () => false,
+                updateCosts: async () => {},
+                updateVirtualMeters: async () => {},
+                updateTotalCosts: async () => {},
+            };
+            const manager = new ImportManager(adapter);
+
+            await manager._updateCurrentPeriods('water', meter, [
+                { date: new Date(today - 3 * day), consumption: 30, volume: 0, costs: 60 },
+                { date: new Date(today - 2 * day), consumption: 30, volume: 0, costs: 60 },
+            ]);
+
+            expect(adapter.states['water.main.consumption.monthly'].val).to.equal(60);
+            expect(adapter.states['water.main.consumption.yearly'].val).to.equal(40);
+        });
+    });
+
+    describe('importFromHistory()', () => {
+        it('should read the sensor history in chunks and aggregate the readings', async () => {
+            const adapter = createMockAdapter();
+            const requests = [];
+            const readings = [
+                { ts: new Date(2020, 0, 1).getTime(), val: 100 },
+                { ts: new Date(2020, 1, 1).getTime(), val: 110 },
+                { ts: new Date(2020, 2, 1).getTime(), val: 125 },
+            ];
+            adapter.sendToAsync = async (instance, command, message) => {
+                requests.push({ instance, command, message });
+                const { start, end } = message.options;
+                return { result: readings.filter(r => r.ts >= start && r.ts < end) };
+            };
+            const meter = { name: 'main', config: { sensorDP: 'alias.0.wasser' } };
+            adapter.multiMeterManager = {
+                getMetersForType: () => [meter],
+                resolvePrice: () => ({ price: 2 }),
+                isCostAccumulated: () => false,
+                updateCosts: async () => {},
+                updateVirtualMeters: async () => {},
+                updateTotalCosts: async () => {},
+            };
+            const manager = new ImportManager(adapter);
+
+            const result = await manager.importFromHistory(
+                'water',
+                'main',
+                'history.0',
+                new Date(2020, 0, 1).getTime(),
+                new Date(2020, 2, 2).getTime(),
+            );
+
+            expect(requests.length).to.be.greaterThan(1);
+            expect(requests[0]).to.deep.include({ instance: 'history.0', command: 'getHistory' });
+            expect(requests[0].message.id).to.equal('alias.0.wasser');
+            expect(result.count).to.equal(3);
+            expect(adapter.states['water.main.history.2020.months.01.consumption'].val).to.equal(10);
+            expect(adapter.states['water.main.history.2020.months.02.costs'].val).to.equal(30);
+            expect((await manager.getJournal())[0].fileName).to.equal('history.0: alias.0.wasser');
+        });
+
+        it('should convert the sensor values into the unit of the meter', async () => {
+            const adapter = createMockAdapter({ stromPreis: 0.3 });
+            const readings = [
+                { ts: new Date(2020, 0, 1).getTime(), val: 100000 },
+                { ts: new Date(2020, 1, 1).getTime(), val: 250000 },
+            ];
+            adapter.sendToAsync = async (instance, command, message) => {
+                const { start, end } = message.options;
+                return { result: readings.filter(r => r.ts >= start && r.ts < end) };
+            };
+            const meter = {
+                name: 'main',
+                config: { sensorDP: 'alias.0.strom', sensorMode: 'counter', sourceUnit: 'Wh', unitFactor: 0.001 },
+            };
+            adapter.multiMeterManager = {
+                getMetersForType: () => [meter],
+                resolvePrice: () => ({ price: 0.3 }),
+                isCostAccumulated: () => false,
+                updateCosts: async () => {},
+                updateVirtualMeters: async () => {},
+                updateTotalCosts: async () => {},
+            };
+            const manager = new ImportManager(adapter);
+
+            await manager.importFromHistory(
+                'electricity',
+                'main',
+                'history.0',
+                new Date(2020, 0, 1).getTime(),
+                new Date(2020, 1, 2).getTime(),
+            );
+
+            expect(adapter.states['electricity.main.history.2020.months.01.consumption'].val).to.equal(150);
+        });
+
+        it('should read the counter kept by the adapter for power and pulse sensors', async () => {
+            const adapter = createMockAdapter();
+            const requests = [];
+            adapter.sendToAsync = async (instance, command, message) => {
+                requests.push(message.id);
+                return { result: [] };
+            };
+            adapter.multiMeterManager = {
+                getMetersForType: () => [{ name: 'main', config: { sensorDP: 'alias.0.wasser', sensorMode: 'pulse' } }],
+            };
+            const manager = new ImportManager(adapter);
+
+            let error;
+            try {
+                await manager.importFromHistory('water', 'main', 'history.0', '2020-01-01', '2020-01-15');
+            } catch (e) {
+                error = e;
+            }
+            expect(requests).to.deep.equal(['utility-monitor.0.water.main.info.sensorCounter']);
+            expect(error?.message).to.contain('info.sensorCounter');
+        });
+
+        it('should refuse instances that are not history adapters', async () => {
+            const adapter = createMockAdapter();
+            adapter.multiMeterManager = {
+                getMetersForType: () => [{ name: 'main', config: { sensorDP: 'alias.0.wasser' } }],
+            };
+            const manager = new ImportManager(adapter);
+
+            let error;
+            try {
+                await manager.importFromHistory('water', 'main', 'telegram.0', '2020-01-01');
+            } catch (e) {
+                error = e;
+            }
+            expect(error).to.be.an('error');
+        });
+    });
+
+    describe('revertImport()', () => {
+        it('should journal the overwritten states and restore them', async () => {
+            const adapter = createMockAdapter();
+            const manager = new ImportManager(adapter);
+            adapter.states['water.historisch.history.2020.consumption'] = { val: 42, ack: true };
+            const csv = ['Datum;Zählerstand', '01.01.2020;100', '01.02.2020;110', '01.01.2021;160'].join('\n');
+
+            const result = await manager.processImport('water', 'historisch', csv, 'generic', 'auto', 'alt.csv');
+            expect(adapter.states['water.historisch.history.2020.consumption'].val).to.equal(60);
+
+            const journal = await manager.getJournal();
+            expect(journal).to.have.length(1);
+            expect(journal[0]).to.include({ id: result.id, fileName: 'alt.csv', reverted: 0 });
+
+            const revert = await manager.revertImport(result.id);
+            expect(revert.restored).to.equal(journal[0].states.length);
+            expect(adapter.states['water.historisch.history.2020.consumption'].val).to.equal(42);
+            expect(adapter.states['water.historisch.history.2020.months.01.consumption'].val).to.equal(0);
+
+            let error;
+            try {
+                await manager.revertImport(result.id);
+            } catch (e) {
+                error = e;
+            }
+            expect(error).to.be.an('error');
+        });
+    });
+
+    describe('previewImport()', () => {
+        it('should report columns, rejected rows and yearly aggregates without writing states', () => {
+            const adapter = createMockAdapter();
+            const manager = new ImportManager(adapter);
+            const csv = [
+                'Datum;Zählerstand',
+                '01.01.2020;100',
+                'kein Datum;105',
+                '01.02.2020;110',
+                '15.02.2020;0',
+                '01.03.2020;20',
+                '01.04.2020;30',
+            ].join('\n');
+
+            const result = manager.previewImport('water', 'historisch', csv, 'generic', 'auto', 2);
+
+            expect(result.columns.value.header).to.equal('zählerstand');
+            expect(result.mode).to.equal('cumulative');
+            expect(result.rows).to.have.length(2);
+            expect(result.rejected.map(r => r.line)).to.deep.equal([3, 5, 6]);
+            expect(result.rejected[0].reason).to.contain('Datum');
+            expect(result.rejected[1].reason).to.contain('nicht positiv');
+            expect(result.rejected[2].reason).to.contain('fällt');
+            expect(result.years).to.deep.equal([
+                { year: 2020, consumption: 20, costs: 40, months: 2, yearlyHistory: true },
+            ]);
+            expect(adapter.states).to.be.empty;
+            expect(adapter.objects).to.be.empty;
+        });
+
+        it('should parse the global gas conversion values for meters without config', () => {
+            const adapter = createMockAdapter({ gasBrennwert: '10,5', gasZahl: '0,9' });
+            const manager = new ImportManager(adapter);
+            const csv = ['Datum;Zählerstand', '01.01.2020;100', '01.02.2020;110'].join('\n');
+
+            const result = manager.previewImport('gas', 'historisch', csv, 'generic');
+
+            expect(result.years[0].volume).to.equal(10);
+            expect(result.years[0].consumption).to.equal(94.5);
+        });
+    });
+});
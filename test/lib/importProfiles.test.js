@@ -0,0 +1,60 @@
+/**
+ * Unit tests for importProfiles module
+ */
+
+const { expect } = require('chai');
+const importProfiles = require('../../lib/utils/importProfiles');
+
+describe('ImportProfiles Module', () => {
+    describe('getProfiles() / resolveProfile()', () => {
+        it('should list built-in and user profiles and fall back to automatic detection', () => {
+            const config = {
+                importProfiles: [
+                    { name: 'Stadtwerke', dateColumn: '1', valueColumn: '3', dateFormat: 'DD.MM.YYYY', skipRows: '2' },
+                    { name: '' },
+                ],
+            };
+
+            const ids = importProfiles.getProfiles(config).map(p => p.id);
+            expect(ids).to.include.members(['generic', 'ehb', 'shelly', 'user_stadtwerke']);
+
+            const profile = importProfiles.resolveProfile('user_stadtwerke', config);
+            expect(profile).to.include({ valueColumn: '3', skipRows: 2, mode: 'auto', builtin: false });
+            expect(importProfiles.resolveProfile('unknown', config).id).to.equal('generic');
+        });
+
+        it('should use the units of the sensor conversion', () => {
+            const profiles = importProfiles.parseProfiles([
+                { name: 'Alt', unit: 'm³' },
+                { name: 'Zoll', unit: 'ft3' },
+                { name: 'Falsch', unit: 'gal' },
+            ]);
+
+            expect(profiles.map(p => p.unit)).to.deep.equal(['m3', 'ft3', '']);
+        });
+    });
+
+    describe('parseDate() / parseNumber()', () => {
+        it('should parse the configured date formats and decimal separators', () => {
+            expect(importProfiles.parseDate('05.03.24 14:30', 'DD.MM.YYYY')?.getTime()).to.equal(
+                new Date(2024, 2, 5, 14, 30).getTime(),
+            );
+            expect(importProfiles.parseDate('2024-03-05', 'YYYY-MM-DD')?.getTime()).to.equal(
+                new Date(2024, 2, 5).getTime(),
+            );
+            expect(importProfiles.parseDate('03/05/2024', 'MM/DD/YYYY')?.getDate()).to.equal(5);
+            expect(importProfiles.parseDate('1709596800', 'unix')?.getTime()).to.equal(1709596800000);
+            expect(importProfiles.parseDate('2024-03-05', 'DD.MM.YYYY')).to.be.null;
+
+            expect(importProfiles.parseNumber('1.234,5', ',', Number)).to.equal(1234.5);
+            expect(importProfiles.parseNumber('1,234.5', '.', Number)).to.equal(1234.5);
+        });
+
+        it('should reject dates that do not exist', () => {
+            expect(importProfiles.parseDate('31.02.2024', 'DD.MM.YYYY')).to.be.null;
+            expect(importProfiles.parseDate('2024-13-01', 'YYYY-MM-DD')).to.be.null;
+            expect(importProfiles.parseDate('04/31/2024', 'MM/DD/YYYY')).to.be.null;
+            expect(importProfiles.parseDate('29.02.2024', 'DD.MM.YYYY')?.getDate()).to.equal(29);
+        });
+    });
+});
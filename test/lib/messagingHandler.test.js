@@ -91,6 +91,19 @@ describe('MessagingHandler', () => {
             expect(adapterMock.setStateAsync.calledWith('info.lastMonthlyReport', todayStr, true)).to.be.true;
         });
 
+        it('should include the forecast of the billing period', async () => {
+            adapterMock.getStateAsync.withArgs('info.lastMonthlyReport').resolves({ val: '2020-01-01' });
+            adapterMock.getStateAsync.withArgs('gas.main.billing.projectedBalance').resolves({ val: -84.5 });
+            adapterMock.getStateAsync.withArgs('gas.main.billing.recommendedAbschlag').resolves({ val: 118 });
+            adapterMock.getStateAsync.resolves({ val: 0 });
+
+            await messagingHandler.checkMonthlyReport();
+
+            const message = adapterMock.sendToAsync.firstCall.args[2].text;
+            expect(message).to.contain('Prognose Abrechnung: *-84.50 €* (❌ Nachzahlung)');
+            expect(message).to.contain('Empfohlener Abschlag: 118 €/Monat');
+        });
+
         it('should NOT send a report if disabled', async () => {
             adapterMock.config.notificationMonthlyEnabled = false;
             await messagingHandler.checkMonthlyReport();
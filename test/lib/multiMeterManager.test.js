@@ -64,6 +64,7 @@ function createMockAdapter(config = {}) {
 
 // Import the module after mocking
 const MultiMeterManager = require('../../lib/multiMeterManager');
+const consumptionHelper = require('../../lib/utils/consumptionHelper');
 
 describe('MultiMeterManager Module', () => {
     describe('getMetersForType()', () => {
@@ -233,6 +234,39 @@ describe('MultiMeterManager Module', () => {
             expect(result.consumption).to.equal(983.25);
             expect(result.consumptionM3).to.equal(90);
         });
+
+        it('should use the Brennwert valid today from the conversion history', async () => {
+            const adapter = createMockAdapter({
+                gasConversionHistory: [
+                    { meter: '', validFrom: '01.01.2020', brennwert: '10,0', zZahl: '' },
+                    { meter: '', validFrom: '01.01.2099', brennwert: 12 },
+                ],
+            });
+            const manager = new MultiMeterManager(adapter, null, null);
+
+            const config = manager.getMetersForType('gas')[0].config;
+            const result = await manager._preprocessValue('gas', 100, config);
+
+            // 100 m³ * 10.0 * 0.95 (Z-Zahl inherited from config)
+            expect(result.consumption).to.equal(950);
+            expect(result.gasFactor).to.equal(9.5);
+        });
+
+        it('should not count a Brennwert change as consumption', async () => {
+            const adapter = createMockAdapter({ gasInitialReading: 0 });
+            const manager = new MultiMeterManager(adapter, null, null);
+
+            manager.lastSensorValues['test.0.gas.sensor'] = 1092.5; // 100 m³ at 11.5 * 0.95
+            manager.lastGasFactors['test.0.gas.sensor'] = 10.925;
+            adapter.states['gas.main.statistics.timestamps.lastYearStart'] = { val: Date.now(), ack: true };
+
+            adapter.config.gasBrennwert = 12;
+            await manager.handleSensorUpdate('gas', 'main', 'test.0.gas.sensor', 101);
+
+            // Only 1 m³ was consumed: 1 * 12 * 0.95 = 11.4 kWh
+            expect(adapter.states['gas.main.consumption.daily'].val).to.equal(11.4);
+            expect(adapter.states['gas.main.consumption.dailyVolume'].val).to.equal(1);
+        });
     });
 
     describe('Spike Detection', () => {
@@ -312,6 +346,59 @@ describe('MultiMeterManager Module', () => {
             expect(adapter.states['gas.main.costs.yearly'].val).to.equal(120);
             expect(adapter.states['gas.main.costs.basicCharge'].val).to.be.at.least(105);
         });
+
+        it('should price each tariff zone separately', async () => {
+            const adapter = createMockAdapter();
+            const manager = new MultiMeterManager(adapter, null, null);
+            const tariffHelper = require('../../lib/utils/tariffHelper');
+
+            adapter.states['gas.main.consumption.daily'] = { val: 10, ack: true };
+            adapter.states['gas.main.consumption.dailyHT'] = { val: 6, ack: true };
+            adapter.states['gas.main.consumption.dailyNT'] = { val: 4, ack: true };
+            adapter.states['gas.main.statistics.timestamps.lastYearStart'] = { val: Date.now(), ack: true };
+
+            const tariffSchedule = tariffHelper.createSchedule([
+                { name: 'Haupttarif (HT)', key: 'HT', start: '06:00', end: '22:00', price: 0.3 },
+                { name: 'Nebentarif (NT)', key: 'NT', start: '00:00', end: '00:00', price: 0.2 },
+            ]);
+            const config = { preis: 0.12, grundgebuehr: 0, jahresgebuehr: 0, abschlag: 0, tariffSchedule };
+            await manager.updateCosts('gas', 'main', config);
+
+            // 6 * 0.30 + 4 * 0.20 = 2.6
+            expect(adapter.states['gas.main.costs.dailyHT'].val).to.equal(1.8);
+            expect(adapter.states['gas.main.costs.dailyNT'].val).to.equal(0.8);
+            expect(adapter.states['gas.main.costs.daily'].val).to.equal(2.6);
+        });
+
+        it('should blend basic charges and annual fee across price changes', async () => {
+            const adapter = createMockAdapter();
+            const manager = new MultiMeterManager(adapter, null, null);
+
+            // Billing year started three months ago, basic charge rises from 10 to 16 after the first month
+            const yearStart = new Date();
+            yearStart.setMonth(yearStart.getMonth() - 2, 1);
+            yearStart.setHours(0, 0, 0, 0);
+            const change = new Date(yearStart);
+            change.setMonth(change.getMonth() + 1);
+            adapter.states['gas.main.statistics.timestamps.lastYearStart'] = { val: yearStart.getTime(), ack: true };
+            adapter.states['gas.main.costs.yearly'] = { val: 50, ack: true };
+
+            const config = {
+                preis: 0.12,
+                grundgebuehr: 10,
+                jahresgebuehr: 120,
+                abschlag: 0,
+                priceHistory: [{ validFrom: change.getTime(), preis: 0.2, grundgebuehr: 16, jahresgebuehr: 240 }],
+            };
+            await manager.updateCosts('gas', 'main', config);
+
+            // Basic charge: 10 + 16 + 16, annual fee: (120 + 11 * 240) / 12
+            expect(adapter.states['gas.main.costs.basicCharge'].val).to.equal(42);
+            expect(adapter.states['gas.main.costs.annualFee'].val).to.equal(230);
+            // Accumulated consumption costs are kept, not recalculated with the current price
+            expect(adapter.states['gas.main.costs.yearly'].val).to.equal(50);
+            expect(adapter.states['gas.main.costs.totalYearly'].val).to.equal(322);
+        });
     });
 
     describe('Multi-Meter Totals', () => {
@@ -377,6 +464,78 @@ describe('MultiMeterManager Module', () => {
         });
     });
 
+    describe('Virtual Meters', () => {
+        const virtualConfig = {
+            stromAktiv: true,
+            stromSensorDP: 'test.0.strom.main',
+            stromPreis: 0.3,
+            stromAdditionalMeters: [{ name: 'Werkstatt', sensorDP: 'test.0.strom.werkstatt', preis: 0.3 }],
+            stromVirtualMeters: [{ name: 'Resthaus', formula: 'main - werkstatt' }],
+        };
+
+        it('should derive consumption and costs from the referenced meters', async () => {
+            const adapter = createMockAdapter(virtualConfig);
+            const manager = new MultiMeterManager(adapter, null, null);
+
+            const resthaus = manager.getMetersForType('electricity').find(m => m.name === 'resthaus');
+            expect(resthaus.config.virtual).to.be.true;
+            expect(resthaus.config.preis).to.equal(0.3);
+
+            adapter.states['electricity.main.consumption.daily'] = { val: 10, ack: true };
+            adapter.states['electricity.main.consumption.yearly'] = { val: 1000, ack: true };
+            adapter.states['electricity.werkstatt.consumption.daily'] = { val: 12, ack: true };
+            adapter.states['electricity.werkstatt.consumption.yearly'] = { val: 300, ack: true };
+
+            await manager.updateVirtualMeters('electricity', 'werkstatt');
+
+            // Sub-meter ahead of the main meter: clamped to 0
+            expect(adapter.states['electricity.resthaus.consumption.daily'].val).to.equal(0);
+            expect(adapter.states['electricity.resthaus.consumption.yearly'].val).to.equal(700);
+            expect(adapter.states['electricity.resthaus.costs.yearly'].val).to.equal(210);
+        });
+
+        it('should not create exchange and invoice inputs for virtual meters', async () => {
+            const adapter = createMockAdapter(virtualConfig);
+            const manager = new MultiMeterManager(adapter, null, null);
+            const resthaus = manager.getMetersForType('electricity').find(m => m.name === 'resthaus');
+
+            await manager.initializeVirtualMeter('electricity', 'resthaus', resthaus.config, 'Resthaus');
+
+            expect(adapter.objects['electricity.resthaus.consumption.yearly']).to.exist;
+            expect(adapter.objects['electricity.resthaus.exchange.execute']).to.be.undefined;
+            expect(adapter.objects['electricity.resthaus.billing.invoice.save']).to.be.undefined;
+        });
+
+        it('should exclude virtual meters from the totals', async () => {
+            const adapter = createMockAdapter(virtualConfig);
+            adapter.objects['electricity.totals'] = { type: 'channel' };
+            const manager = new MultiMeterManager(adapter, null, null);
+
+            adapter.states['electricity.main.consumption.daily'] = { val: 10, ack: true };
+            adapter.states['electricity.werkstatt.consumption.daily'] = { val: 4, ack: true };
+            adapter.states['electricity.resthaus.consumption.daily'] = { val: 6, ack: true };
+
+            await manager.updateTotalCosts('electricity');
+
+            expect(adapter.states['electricity.totals.consumption.daily'].val).to.equal(14);
+        });
+
+        it('should derive all volume periods of a gas meter', async () => {
+            const adapter = createMockAdapter({
+                gasAdditionalMeters: [{ name: 'Therme', sensorDP: 'test.0.gas.therme' }],
+                gasVirtualMeters: [{ name: 'Rest', formula: 'main - therme' }],
+            });
+            const manager = new MultiMeterManager(adapter, null, null);
+
+            adapter.states['gas.main.consumption.weeklyVolume'] = { val: 30, ack: true };
+            adapter.states['gas.therme.consumption.weeklyVolume'] = { val: 12, ack: true };
+
+            await manager.updateVirtualMeters('gas', 'therme');
+
+            expect(adapter.states['gas.rest.consumption.weeklyVolume'].val).to.equal(18);
+        });
+    });
+
     describe('handleSensorUpdate()', () => {
         it('should reject negative sensor values', async () => {
             const adapter = createMockAdapter();
@@ -433,6 +592,335 @@ describe('MultiMeterManager Module', () => {
             // Daily consumption should remain unchanged (delta was 0)
             expect(adapter.states['gas.main.consumption.daily'].val).to.equal(5);
         });
+
+        it('should charge each delta at the dynamic price valid at that moment', async () => {
+            const adapter = createMockAdapter({
+                stromAktiv: true,
+                stromSensorDP: 'test.0.strom.sensor',
+                stromPreis: 0.3,
+                stromPriceDP: 'test.0.strom.price',
+            });
+            const manager = new MultiMeterManager(adapter, null, null);
+
+            manager.lastSensorValues['test.0.strom.sensor'] = 100;
+            adapter.states['electricity.main.statistics.timestamps.lastYearStart'] = { val: Date.now(), ack: true };
+
+            await manager.handlePriceUpdate('electricity', 'main', 0.5);
+            await manager.handleSensorUpdate('electricity', 'main', 'test.0.strom.sensor', 102);
+            await manager.handlePriceUpdate('electricity', 'main', '0.2');
+            await manager.handleSensorUpdate('electricity', 'main', 'test.0.strom.sensor', 103);
+
+            // 2 kWh * 0.50 + 1 kWh * 0.20 = 1.2 (not 3 kWh * 0.30)
+            expect(adapter.states['electricity.main.costs.daily'].val).to.equal(1.2);
+            expect(adapter.states['electricity.main.costs.yearly'].val).to.equal(1.2);
+            expect(adapter.states['electricity.main.info.currentPrice'].val).to.equal(0.2);
+            expect(adapter.states['electricity.main.info.currentTariff'].val).to.equal('Dynamisch');
+        });
+
+        it('should not charge a discarded spike with accumulated costs', async () => {
+            const adapter = createMockAdapter({
+                stromAktiv: true,
+                stromSensorDP: 'test.0.strom.sensor',
+                stromPreis: 0.3,
+                stromPriceDP: 'test.0.strom.price',
+                stromInitialReading: 1000,
+                sensorSpikeThreshold: 100,
+            });
+            const manager = new MultiMeterManager(adapter, null, null);
+
+            manager.lastSensorValues['test.0.strom.sensor'] = 1100;
+            adapter.states['electricity.main.consumption.yearly'] = { val: 100, ack: true };
+            adapter.states['electricity.main.costs.yearly'] = { val: 30, ack: true };
+            adapter.states['electricity.main.statistics.timestamps.lastYearStart'] = { val: Date.now(), ack: true };
+
+            await manager.handleSensorUpdate('electricity', 'main', 'test.0.strom.sensor', 1600);
+
+            expect(adapter.states['electricity.main.consumption.yearly'].val).to.equal(600);
+            expect(adapter.states['electricity.main.costs.yearly'].val).to.equal(30);
+        });
+    });
+
+    describe('applyMeterExchange()', () => {
+        it('should count the consumption around the exchange and continue the old reading', async () => {
+            const adapter = createMockAdapter({
+                stromAktiv: true,
+                stromSensorDP: 'test.0.strom.sensor',
+                stromPreis: 0.3,
+                stromInitialReading: 1000,
+            });
+            const manager = new MultiMeterManager(adapter, null, null);
+            const sensor = 'test.0.strom.sensor';
+            const config = manager.getMetersForType('electricity')[0].config;
+
+            manager.lastSensorValues[sensor] = 5000;
+            adapter.states['electricity.main.statistics.timestamps.lastYearStart'] = { val: Date.now(), ack: true };
+
+            await manager.handleSensorUpdate('electricity', 'main', sensor, 5003);
+            // Meter replaced: the new meter reports 2, then 4
+            await manager.handleSensorUpdate('electricity', 'main', sensor, 2);
+            await manager.handleSensorUpdate('electricity', 'main', sensor, 4);
+            expect(JSON.parse(adapter.states['electricity.main.exchange.pending'].val).lastValue).to.equal(5003);
+
+            const result = await manager.applyMeterExchange('electricity', 'main', config, 5005, 0);
+
+            // 2 kWh on the old meter after its last reading + 2 kWh on the new meter before the drop was seen
+            expect(result).to.deep.equal({ consumption: 4, counterOffset: 5005 });
+            expect(adapter.states['electricity.main.consumption.daily'].val).to.equal(9);
+            expect(adapter.states['electricity.main.info.meterReading'].val).to.equal(5009);
+            expect(adapter.states['electricity.main.consumption.yearly'].val).to.equal(4009);
+            expect(adapter.states['electricity.main.exchange.pending'].val).to.equal('');
+
+            await manager.handleSensorUpdate('electricity', 'main', sensor, 5);
+            expect(adapter.states['electricity.main.consumption.yearly'].val).to.equal(4010);
+
+            // Closing the billing period continues with the reading of the new meter
+            await manager.resetCounterOffset('electricity', 'main', config);
+            expect(manager.lastSensorValues[sensor]).to.equal(5);
+            expect(adapter.states['electricity.main.info.counterOffset'].val).to.equal(0);
+        });
+
+        it('should refuse a final reading below the last tracked reading', async () => {
+            const adapter = createMockAdapter({ stromAktiv: true, stromSensorDP: 'test.0.strom.sensor' });
+            const manager = new MultiMeterManager(adapter, null, null);
+            const config = manager.getMetersForType('electricity')[0].config;
+            manager.lastSensorValues['test.0.strom.sensor'] = 5000;
+
+            let error = null;
+            try {
+                await manager.applyMeterExchange('electricity', 'main', config, 4000, 0);
+            } catch (e) {
+                error = e;
+            }
+            expect(error).to.be.an('error');
+            expect(manager.counterOffsets['test.0.strom.sensor']).to.be.undefined;
+        });
+    });
+
+    describe('counter wrap-around', () => {
+        const sensor = 'test.0.wasser.sensor';
+        let adapter;
+        let manager;
+
+        beforeEach(() => {
+            adapter = createMockAdapter({
+                wasserAktiv: true,
+                wasserSensorDP: sensor,
+                wasserPreis: 2,
+                wasserMaxCounterValue: '99999',
+            });
+            manager = new MultiMeterManager(adapter, null, null);
+            adapter.states['water.main.statistics.timestamps.lastYearStart'] = { val: Date.now(), ack: true };
+        });
+
+        it('should count the consumption across the wrap and continue the reading', async () => {
+            manager.lastSensorValues[sensor] = 99990;
+            manager.lastRawValues[sensor] = 99990;
+
+            await manager.handleSensorUpdate('water', 'main', sensor, 5);
+
+            expect(adapter.states['water.main.consumption.daily'].val).to.equal(15);
+            expect(adapter.states['water.main.info.meterReading'].val).to.equal(100005);
+            expect(adapter.states['water.main.info.counterOffset'].val).to.equal(100000);
+            expect(adapter.states['water.main.exchange.pending']).to.be.undefined;
+        });
+
+        it('should recognize a wrap while the adapter was stopped', async () => {
+            adapter.states['water.main.info.meterReading'] = { val: 99990, ack: true };
+
+            await manager.handleSensorUpdate('water', 'main', sensor, 5);
+
+            expect(manager.counterOffsets[sensor]).to.equal(100000);
+            expect(manager.lastSensorValues[sensor]).to.equal(99990);
+        });
+
+        it('should treat a drop outside the counter end as reset', async () => {
+            manager.lastSensorValues[sensor] = 50000;
+            manager.lastRawValues[sensor] = 50000;
+
+            await manager.handleSensorUpdate('water', 'main', sensor, 3);
+
+            expect(manager.counterOffsets[sensor]).to.be.undefined;
+            expect(JSON.parse(adapter.states['water.main.exchange.pending'].val).lastValue).to.equal(50000);
+        });
+
+        it('should derive the counter range from the bit width', () => {
+            const config = new MultiMeterManager(
+                createMockAdapter({ stromAktiv: true, stromSensorDP: 'x', stromCounterBits: 16 }),
+                null,
+                null,
+            ).getMetersForType('electricity')[0].config;
+
+            expect(config.counterModulus).to.equal(65536);
+        });
+    });
+
+    describe('power sensors', () => {
+        it('should integrate the power into kWh and skip gaps longer than powerMaxGap', async () => {
+            const sensor = 'test.0.plug.power';
+            const adapter = createMockAdapter({
+                stromAktiv: true,
+                stromSensorDP: sensor,
+                stromSensorMode: 'power',
+                stromPowerMaxGap: '600',
+                stromPreis: 0.3,
+            });
+            const manager = new MultiMeterManager(adapter, null, null);
+            adapter.states['electricity.main.statistics.timestamps.lastYearStart'] = { val: Date.now(), ack: true };
+            const t0 = Date.now() - 3 * 3600 * 1000;
+
+            await manager.handleSensorUpdate('electricity', 'main', sensor, 1000, t0);
+            // 1000 W -> 2000 W within 5 minutes: 0.125 kWh
+            await manager.handleSensorUpdate('electricity', 'main', sensor, 2000, t0 + 300 * 1000);
+            // Sensor offline for an hour: not counted
+            await manager.handleSensorUpdate('electricity', 'main', sensor, 600, t0 + 3900 * 1000);
+            // 600 W for 6 minutes: 0.06 kWh
+            await manager.handleSensorUpdate('electricity', 'main', sensor, 600, t0 + 4260 * 1000);
+            // Repeated value with the same timestamp
+            await manager.handleSensorUpdate('electricity', 'main', sensor, 600, t0 + 4260 * 1000);
+
+            // The consumption follows in steps of 0.01 kWh
+            expect(adapter.states['electricity.main.info.sensorCounter'].val).to.equal(0.185);
+            expect(adapter.states['electricity.main.info.meterReading'].val).to.equal(0.18);
+            expect(adapter.states['electricity.main.consumption.daily'].val).to.equal(0.18);
+        });
+
+        it('should treat power mode as meter reading for gas and water', () => {
+            const adapter = createMockAdapter({ gasSensorMode: 'power' });
+            const manager = new MultiMeterManager(adapter, null, null);
+
+            expect(manager.getMetersForType('gas')[0].config.sensorMode).to.equal('counter');
+        });
+    });
+
+    describe('pulse sensors', () => {
+        const sensor = 'test.0.reed.water';
+        let adapter;
+        let manager;
+
+        beforeEach(() => {
+            adapter = createMockAdapter({
+                wasserAktiv: true,
+                wasserSensorDP: sensor,
+                wasserSensorMode: 'pulse',
+                wasserPulseFactor: '0.01',
+                wasserPreis: 2,
+            });
+            manager = new MultiMeterManager(adapter, null, null);
+            adapter.states['water.main.statistics.timestamps.lastYearStart'] = { val: Date.now(), ack: true };
+        });
+
+        it('should count the rising edges of a boolean input', async () => {
+            for (const input of [0, 1, 0, 1, 1, 0, 1]) {
+                await manager.handleSensorUpdate('water', 'main', sensor, input);
+            }
+
+            expect(adapter.states['water.main.info.sensorCounter'].val).to.equal(0.03);
+            expect(adapter.states['water.main.consumption.daily'].val).to.equal(0.03);
+        });
+
+        it('should continue counting after the pulse counter of the device restarts', async () => {
+            manager.sensorCounters[sensor] = 12.5;
+            for (const input of [100, 105, 2, 4]) {
+                await manager.handleSensorUpdate('water', 'main', sensor, input);
+            }
+
+            // 5 pulses before and 4 pulses after the restart of the device
+            expect(adapter.states['water.main.info.sensorCounter'].val).to.equal(12.59);
+            expect(adapter.states['water.main.info.meterReading'].val).to.equal(12.59);
+            expect(adapter.states['water.main.consumption.daily'].val).to.equal(0.09);
+        });
+    });
+
+    describe('sensor units', () => {
+        it('should convert Wh into kWh before the offset is applied', async () => {
+            const adapter = createMockAdapter({
+                stromAktiv: true,
+                stromSensorDP: 'test.0.strom.wh',
+                stromSourceUnit: 'Wh',
+                stromOffset: '4.567',
+            });
+            const manager = new MultiMeterManager(adapter, null, null);
+            const config = manager.getMetersForType('electricity')[0].config;
+
+            const result = await manager._preprocessValue('electricity', 1234567, config);
+
+            expect(config.unitFactor).to.equal(0.001);
+            expect(result.consumption).to.equal(1230);
+        });
+
+        it('should convert litres and apply the multiplier before the gas conversion', async () => {
+            const adapter = createMockAdapter({ gasSourceUnit: 'l', gasUnitMultiplier: '10' });
+            const manager = new MultiMeterManager(adapter, null, null);
+            const config = manager.getMetersForType('gas')[0].config;
+
+            const result = await manager._preprocessValue('gas', 500, config);
+
+            // 500 × 10 l = 5 m³
+            expect(result.consumptionM3).to.equal(5);
+            expect(result.consumption).to.be.closeTo(5 * 11.5 * 0.95, 0.01);
+            expect(consumptionHelper.describeSourceUnit('gas', config)).to.equal('l × 0.01 → m³');
+        });
+
+        it('should ignore the sensor unit of pulse sensors', () => {
+            const adapter = createMockAdapter({
+                wasserAktiv: true,
+                wasserSensorDP: 'x',
+                wasserSensorMode: 'pulse',
+                wasserSourceUnit: 'l',
+            });
+            const config = new MultiMeterManager(adapter, null, null).getMetersForType('water')[0].config;
+
+            expect(config.unitFactor).to.equal(1);
+            expect(config.sourceUnit).to.equal('m3');
+        });
+    });
+
+    describe('updateAuxiliaryCounter()', () => {
+        it('should track export and compute net consumption, net costs and self-consumption', async () => {
+            const adapter = createMockAdapter({
+                stromAktiv: true,
+                stromSensorDP: 'test.0.strom.import',
+                stromPreis: 0.3,
+                stromExportSensorDP: 'test.0.strom.export',
+                stromFeedInPrice: '0,08',
+                stromGenerationSensorDP: 'test.0.pv.generation',
+            });
+            const manager = new MultiMeterManager(adapter, null, null);
+
+            manager.lastSensorValues['test.0.strom.import'] = 100;
+            adapter.states['electricity.main.statistics.timestamps.lastYearStart'] = { val: Date.now(), ack: true };
+
+            // First values only set the baseline
+            await manager.updateAuxiliaryCounter('electricity', 'main', 'export', 500);
+            await manager.updateAuxiliaryCounter('electricity', 'main', 'generation', 800);
+            expect(adapter.states['electricity.main.export.meterReading'].val).to.equal(500);
+
+            await manager.updateAuxiliaryCounter('electricity', 'main', 'generation', 810);
+            await manager.updateAuxiliaryCounter('electricity', 'main', 'export', 506);
+            await manager.handleSensorUpdate('electricity', 'main', 'test.0.strom.import', 104);
+
+            expect(adapter.states['electricity.main.export.daily'].val).to.equal(6);
+            expect(adapter.states['electricity.main.export.compensation.yearly'].val).to.equal(0.48);
+            expect(adapter.states['electricity.main.net.consumption.daily'].val).to.equal(-2);
+            // 4 kWh * 0.30 - 6 kWh * 0.08
+            expect(adapter.states['electricity.main.net.costs.daily'].val).to.equal(0.72);
+            expect(adapter.states['electricity.main.net.selfConsumption.monthly'].val).to.equal(4);
+        });
+
+        it('should treat a decreasing export register as a new baseline', async () => {
+            const adapter = createMockAdapter({
+                stromAktiv: true,
+                stromSensorDP: 'test.0.strom.import',
+                stromExportSensorDP: 'test.0.strom.export',
+            });
+            const manager = new MultiMeterManager(adapter, null, null);
+
+            manager.lastAuxValues['electricity.main.export'] = 500;
+            await manager.updateAuxiliaryCounter('electricity', 'main', 'export', 3);
+            await manager.updateAuxiliaryCounter('electricity', 'main', 'export', 5);
+
+            expect(adapter.states['electricity.main.export.yearly'].val).to.equal(2);
+        });
     });
 
     describe('_validatePeriodConsumption()', () => {
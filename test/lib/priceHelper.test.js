@@ -0,0 +1,76 @@
+/**
+ * Unit tests for priceHelper module
+ */
+
+const { expect } = require('chai');
+const priceHelper = require('../../lib/utils/priceHelper');
+
+describe('PriceHelper Module', () => {
+    describe('getPriceAt()', () => {
+        it('should return plain numeric prices', () => {
+            expect(priceHelper.getPriceAt(0.31)).to.equal(0.31);
+            expect(priceHelper.getPriceAt('0,28')).to.equal(0.28);
+        });
+
+        it('should return null for empty or invalid values', () => {
+            expect(priceHelper.getPriceAt(null)).to.be.null;
+            expect(priceHelper.getPriceAt('n/a')).to.be.null;
+            expect(priceHelper.getPriceAt('[invalid json')).to.be.null;
+        });
+
+        it('should pick the Tibber slot valid at the given time', () => {
+            const tibber = JSON.stringify([
+                { startsAt: '2026-01-14T12:00:00.000Z', total: 0.3 },
+                { startsAt: '2026-01-14T13:00:00.000Z', total: 0.25 },
+            ]);
+            expect(priceHelper.getPriceAt(tibber, new Date('2026-01-14T12:30:00Z'))).to.equal(0.3);
+            expect(priceHelper.getPriceAt(tibber, new Date('2026-01-14T13:59:00Z'))).to.equal(0.25);
+            // Last slot without end is assumed to last one hour
+            expect(priceHelper.getPriceAt(tibber, new Date('2026-01-14T14:00:00Z'))).to.be.null;
+        });
+
+        it('should convert aWATTar market prices from €/MWh', () => {
+            const start = Date.UTC(2026, 0, 14, 12);
+            const awattar = { data: [{ start_timestamp: start, end_timestamp: start + 3600000, marketprice: 95.5 }] };
+            expect(priceHelper.getPriceAt(awattar, start + 60000)).to.equal(0.0955);
+        });
+    });
+
+    describe('buildPriceHistory() / getTariffValuesAt()', () => {
+        const rows = [
+            { meter: '', validFrom: '01.07.2025', preis: '0,40' },
+            { meter: 'Wärmepumpe', validFrom: '01.03.2025', preis: 0.25 },
+            { meter: '', validFrom: '01.01.2026', grundgebuehr: 15, jahresgebuehr: '' },
+        ];
+
+        it('should assign rows to the main meter or the named meter', () => {
+            expect(priceHelper.buildPriceHistory(rows, 'main', true)).to.have.length(2);
+            expect(priceHelper.buildPriceHistory(rows, 'waermepumpe', false)).to.have.length(1);
+        });
+
+        it('should apply the configured prices until the first entry and inherit empty fields', () => {
+            const config = {
+                preis: 0.3,
+                grundgebuehr: 10,
+                jahresgebuehr: 60,
+                priceHistory: priceHelper.buildPriceHistory(rows, 'main', true),
+            };
+
+            expect(priceHelper.getTariffValuesAt(config, new Date(2025, 5, 30))).to.deep.equal({
+                preis: 0.3,
+                grundgebuehr: 10,
+                jahresgebuehr: 60,
+            });
+            expect(priceHelper.getTariffValuesAt(config, new Date(2025, 6, 1))).to.deep.equal({
+                preis: 0.4,
+                grundgebuehr: 10,
+                jahresgebuehr: 60,
+            });
+            expect(priceHelper.getTariffValuesAt(config, new Date(2026, 1, 1))).to.deep.equal({
+                preis: 0.4,
+                grundgebuehr: 15,
+                jahresgebuehr: 60,
+            });
+        });
+    });
+});
@@ -0,0 +1,84 @@
+/**
+ * Unit tests for SelfConsumptionManager module
+ */
+
+const { expect } = require('chai');
+const SelfConsumptionManager = require('../../lib/selfConsumptionManager');
+
+function createMockAdapter(config = {}) {
+    const states = {};
+
+    return {
+        config: {
+            pvAktiv: true,
+            pvGenerationSensorDP: 'test.0.pv.generation',
+            stromPreis: 0.3,
+            sensorSpikeThreshold: 500,
+            ...config,
+        },
+        log: {
+            debug: () => {},
+            info: () => {},
+            warn: () => {},
+            error: () => {},
+        },
+        states,
+        multiMeterManager: {
+            getMetersForType: type =>
+                type === 'pv'
+                    ? [{ name: 'main', config: {} }]
+                    : [
+                          { name: 'main', config: { preis: 0.3 } },
+                          { name: 'waermepumpe', config: {} },
+                      ],
+        },
+        async getStateAsync(id) {
+            return states[id] || null;
+        },
+        async setStateAsync(id, value, ack) {
+            states[id] = { val: value, ack };
+        },
+    };
+}
+
+describe('SelfConsumptionManager Module', () => {
+    it('should only react to the configured generation sensor', () => {
+        const manager = new SelfConsumptionManager(createMockAdapter());
+        expect(manager.isGenerationSensor('test.0.pv.generation')).to.be.true;
+        expect(manager.isGenerationSensor('test.0.other')).to.be.false;
+        expect(new SelfConsumptionManager(createMockAdapter({ pvAktiv: false })).isActive()).to.be.false;
+    });
+
+    it('should derive self-consumption, quota, autarky and savings', async () => {
+        const adapter = createMockAdapter();
+        const manager = new SelfConsumptionManager(adapter);
+        adapter.states['pv.main.consumption.daily'] = { val: 4, ack: true };
+        adapter.states['electricity.main.consumption.daily'] = { val: 3, ack: true };
+        adapter.states['electricity.waermepumpe.consumption.daily'] = { val: 3, ack: true };
+        adapter.states['electricity.main.info.currentPrice'] = { val: 0.35, ack: true };
+
+        await manager.handleGenerationUpdate(1000);
+        await manager.handleGenerationUpdate(1010);
+
+        expect(adapter.states['pv.selfConsumption.generation.daily'].val).to.equal(10);
+        expect(adapter.states['pv.selfConsumption.selfConsumed.daily'].val).to.equal(6);
+        expect(adapter.states['pv.selfConsumption.quota.daily'].val).to.equal(60);
+        // 6 kWh own / (6 kWh own + 6 kWh grid)
+        expect(adapter.states['pv.selfConsumption.autarky.daily'].val).to.equal(50);
+        expect(adapter.states['pv.selfConsumption.savings.daily'].val).to.equal(2.1);
+    });
+
+    it('should reset the generation of a period and keep the reading', async () => {
+        const adapter = createMockAdapter();
+        const manager = new SelfConsumptionManager(adapter);
+
+        await manager.handleGenerationUpdate(1000);
+        await manager.handleGenerationUpdate(1005);
+        await manager.resetPeriod('daily');
+
+        expect(adapter.states['pv.selfConsumption.generation.daily'].val).to.equal(0);
+        expect(adapter.states['pv.selfConsumption.generation.monthly'].val).to.equal(5);
+        expect(adapter.states['pv.selfConsumption.quota.daily'].val).to.equal(0);
+        expect(adapter.states['pv.selfConsumption.generation.meterReading'].val).to.equal(1005);
+    });
+});
@@ -0,0 +1,70 @@
+/**
+ * Unit tests for statementHelper module
+ */
+
+const { expect } = require('chai');
+const statementHelper = require('../../lib/utils/statementHelper');
+
+describe('StatementHelper Module', () => {
+    const statement = {
+        type: 'electricity',
+        meterName: 'main',
+        label: 'Haus <EG>',
+        year: 2024,
+        periodStart: new Date(2024, 0, 1).getTime(),
+        periodEnd: new Date(2024, 11, 31).getTime(),
+        created: new Date(2025, 0, 2).getTime(),
+        unit: 'kWh',
+        volumeUnit: '',
+        startReading: 1000,
+        endReading: 4500,
+        consumption: 3500,
+        volume: 0,
+        zones: [
+            { name: 'HT', consumption: 2000, costs: 700 },
+            { name: 'NT', consumption: 1500, costs: 375 },
+        ],
+        price: 0.3,
+        workingCosts: 1075,
+        basicCharge: 120,
+        annualFee: 0,
+        totalCosts: 1195,
+        advance: 100,
+        paidTotal: 1200,
+        balance: 5,
+    };
+
+    describe('toHTML()', () => {
+        it('should render readings, HT/NT split, costs and the balance', () => {
+            const html = statementHelper.toHTML(statement);
+
+            expect(html).to.contain('<title>Jahresabrechnung Strom Haus &lt;EG&gt; 2024</title>');
+            expect(html).to.contain('01.01.2024 – 31.12.2024');
+            expect(html).to.contain('<td>Zählerstand Ende</td><td class="num">4.500,000 kWh</td>');
+            expect(html).to.contain('<td>Arbeitspreis NT</td><td class="num">375,00 €</td>');
+            expect(html).to.contain('<td>Abschläge (100,00 €/Monat)</td><td class="num">1.200,00 €</td>');
+            expect(html).to.contain('<td>Guthaben</td><td class="num">5,00 €</td>');
+        });
+
+        it('should show a negative balance as additional payment', () => {
+            const html = statementHelper.toHTML({ ...statement, zones: [], balance: -42.5 });
+
+            expect(html).to.contain('Arbeitspreis (0,3000 €/kWh)');
+            expect(html).to.contain('<td>Nachzahlung</td><td class="num">42,50 €</td>');
+        });
+    });
+
+    describe('toSummaryHTML()', () => {
+        it('should list all meters with a sum row', () => {
+            const html = statementHelper.toSummaryHTML('water', 2024, [
+                { label: 'Haus', consumption: 80, costs: 300, balance: 10, unit: 'm³' },
+                { label: 'Garten', consumption: 20, costs: 75.5, balance: -5, unit: 'm³' },
+            ]);
+
+            expect(html).to.contain('Jahresabrechnung Wasser 2024 (alle Zähler)');
+            expect(html).to.contain(
+                '<tr class="sum"><td>Summe</td><td class="num">100,00 m³</td><td class="num">375,50 €</td><td class="num">5,00 €</td></tr>',
+            );
+        });
+    });
+});
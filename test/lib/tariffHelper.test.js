@@ -0,0 +1,171 @@
+/**
+ * Unit tests for tariffHelper module
+ */
+
+const { expect } = require('chai');
+const tariffHelper = require('../../lib/utils/tariffHelper');
+
+// 2026-01-14 is a Wednesday, 2026-01-17 a Saturday
+const wednesday = (h, m = 0) => new Date(2026, 0, 14, h, m);
+const saturday = (h, m = 0) => new Date(2026, 0, 17, h, m);
+
+describe('TariffHelper Module', () => {
+    describe('timeToMinutes()', () => {
+        it('should parse HH:MM and plain hours', () => {
+            expect(tariffHelper.timeToMinutes('06:30')).to.equal(390);
+            expect(tariffHelper.timeToMinutes('22')).to.equal(1320);
+            expect(tariffHelper.timeToMinutes('24:00')).to.equal(0);
+        });
+
+        it('should return null for invalid input', () => {
+            expect(tariffHelper.timeToMinutes('abc')).to.be.null;
+            expect(tariffHelper.timeToMinutes('12:75')).to.be.null;
+            expect(tariffHelper.timeToMinutes('')).to.be.null;
+        });
+    });
+
+    describe('parseHolidays() / isHoliday()', () => {
+        it('should match recurring and year-specific holidays', () => {
+            const holidays = tariffHelper.parseHolidays('01.01., 25.12.; 03.04.2026');
+            expect(holidays).to.have.length(3);
+            expect(tariffHelper.isHoliday(new Date(2030, 0, 1), holidays)).to.be.true;
+            expect(tariffHelper.isHoliday(new Date(2026, 3, 3), holidays)).to.be.true;
+            expect(tariffHelper.isHoliday(new Date(2027, 3, 3), holidays)).to.be.false;
+        });
+    });
+
+    describe('buildTariffSchedule()', () => {
+        it('should return null when time-of-use tariffs are disabled', () => {
+            expect(tariffHelper.buildTariffSchedule({ stromHtNtEnabled: false }, 'strom')).to.be.null;
+        });
+
+        it('should map the classic HT/NT settings onto two zones', () => {
+            const schedule = tariffHelper.buildTariffSchedule(
+                {
+                    stromHtNtEnabled: true,
+                    stromHtPrice: '0,35',
+                    stromNtPrice: 0.25,
+                    stromHtStart: '06:00',
+                    stromHtEnd: '22:00',
+                },
+                'strom',
+            );
+            const zones = tariffHelper.getZones(schedule);
+            expect(zones.map(z => z.key)).to.deep.equal(['HT', 'NT']);
+            expect(zones[0].price).to.equal(0.35);
+
+            expect(tariffHelper.resolveTariff({ tariffSchedule: schedule }, wednesday(12)).key).to.equal('HT');
+            expect(tariffHelper.resolveTariff({ tariffSchedule: schedule }, wednesday(23)).key).to.equal('NT');
+        });
+    });
+
+    describe('buildMeterTariffSchedule()', () => {
+        const config = {
+            stromHtNtEnabled: true,
+            stromHtPrice: 0.35,
+            stromNtPrice: 0.25,
+            stromHtStart: '06:00',
+            stromHtEnd: '22:00',
+        };
+
+        it('should return null if the meter has HT/NT disabled', () => {
+            const schedule = tariffHelper.buildMeterTariffSchedule(
+                { htNtEnabled: false, htPrice: 0.3 },
+                config,
+                'strom',
+            );
+            expect(schedule).to.be.null;
+        });
+
+        it('should use own values and fall back to the main meter for empty fields', () => {
+            const schedule = tariffHelper.buildMeterTariffSchedule(
+                { htNtEnabled: true, htPrice: '0,30', ntPrice: '', htStart: '08:00' },
+                config,
+                'strom',
+            );
+            const zones = tariffHelper.getZones(schedule);
+            expect(zones.map(z => z.price)).to.deep.equal([0.3, 0.25]);
+            expect(tariffHelper.resolveTariff({ tariffSchedule: schedule }, wednesday(7)).key).to.equal('NT');
+            expect(tariffHelper.resolveTariff({ tariffSchedule: schedule }, wednesday(21)).key).to.equal('HT');
+        });
+
+        it('should work without HT/NT on the main meter', () => {
+            const schedule = tariffHelper.buildMeterTariffSchedule(
+                { htNtEnabled: true, htPrice: 0.3, ntPrice: 0.2, htStart: '06:00', htEnd: '22:00' },
+                {},
+                'strom',
+            );
+            expect(tariffHelper.getZones(schedule)).to.have.length(2);
+        });
+
+        it('should fall back to the base price of the meter for missing prices', () => {
+            const schedule = tariffHelper.buildMeterTariffSchedule(
+                { htNtEnabled: true, preis: '0,28', htStart: '06:00', htEnd: '22:00', ntPrice: 0.2 },
+                {},
+                'strom',
+            );
+            expect(tariffHelper.getZones(schedule).map(z => z.price)).to.deep.equal([0.28, 0.2]);
+        });
+
+        it('should ignore HT/NT without times on the meter and the main meter', () => {
+            const schedule = tariffHelper.buildMeterTariffSchedule(
+                { htNtEnabled: true, preis: 0.3 },
+                { stromHtNtEnabled: false },
+                'strom',
+            );
+            expect(schedule).to.be.null;
+        });
+    });
+
+    describe('createSchedule()', () => {
+        it('should reject windows of a zone with a different price', () => {
+            const schedule = tariffHelper.createSchedule([
+                { name: 'Nacht', start: '22:00', end: '06:00', days: 'weekday', price: 0.22 },
+                { name: 'Nacht', start: '20:00', end: '08:00', days: 'weekend', price: 0.18 },
+                { name: 'Nacht', start: '12:00', end: '13:00', days: 'all', price: '0,22' },
+                { name: 'Normal', start: '00:00', end: '00:00', days: 'all', price: 0.32 },
+            ]);
+
+            expect(schedule?.windows).to.have.length(3);
+            expect(schedule?.rejected).to.have.length(1);
+            expect(schedule?.rejected[0]).to.contain('20:00-08:00');
+            expect(tariffHelper.resolveTariff({ tariffSchedule: schedule }, saturday(21)).key).to.equal('Normal');
+        });
+    });
+
+    describe('resolveTariff()', () => {
+        const schedule = tariffHelper.createSchedule(
+            [
+                { name: 'Spitzenlast', start: '17:00', end: '20:00', days: 'weekday', price: 0.45 },
+                { name: 'Nacht', start: '22:00', end: '06:00', days: 'all', price: 0.22 },
+                { name: 'Normal', start: '00:00', end: '00:00', days: 'all', price: 0.32 },
+            ],
+            '14.01.',
+        );
+
+        it('should pick the first matching window', () => {
+            const tariff = tariffHelper.resolveTariff({ tariffSchedule: schedule }, new Date(2026, 0, 15, 18));
+            expect(tariff).to.deep.equal({ name: 'Spitzenlast', price: 0.45, key: 'Spitzenlast' });
+        });
+
+        it('should respect weekend and holiday masks', () => {
+            expect(tariffHelper.resolveTariff({ tariffSchedule: schedule }, saturday(18)).key).to.equal('Normal');
+            // 14.01. is configured as holiday
+            expect(tariffHelper.resolveTariff({ tariffSchedule: schedule }, wednesday(18)).key).to.equal('Normal');
+        });
+
+        it('should handle windows crossing midnight', () => {
+            expect(tariffHelper.resolveTariff({ tariffSchedule: schedule }, wednesday(23)).key).to.equal('Nacht');
+            expect(tariffHelper.resolveTariff({ tariffSchedule: schedule }, wednesday(5, 59)).key).to.equal('Nacht');
+            expect(tariffHelper.resolveTariff({ tariffSchedule: schedule }, wednesday(6)).key).to.equal('Normal');
+        });
+
+        it('should fall back to the base price without schedule', () => {
+            expect(tariffHelper.resolveTariff({ preis: 0.3 })).to.deep.equal({
+                name: 'Standard',
+                price: 0.3,
+                key: null,
+            });
+        });
+    });
+});